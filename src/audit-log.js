@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * Audit trail for tool calls
+ * Appends one JSON line per tools/call to MCP_AUDIT_LOG (default
+ * logs/mcp-audit.jsonl, "off" disables the file) and keeps the most recent
+ * entries in memory for the audit://recent resource.
+ *
+ * Each entry records who called (token fingerprint, client info or the
+ * caller forwarded by the HTTP bridge), the tool, redacted arguments,
+ * outcome, duration, result size, every upstream HTTP status and the body of
+ * every Jira mutation sent while the call ran. Upstream traffic is attributed
+ * to the call through AsyncLocalStorage and an axios interceptor.
+ */
+
+export const AUDIT_RESOURCE = {
+  uri: "audit://recent",
+  name: "Audit Log (recent)",
+  description:
+    "Most recent tool calls with caller, outcome, upstream statuses and Jira mutations; audit://recent/{n} limits the count",
+  mimeType: "application/json",
+};
+
+const REDACTED = "[REDACTED]";
+// Argument names that can carry credentials; issueKey/projectKey are fine
+const SENSITIVE_ARG_RE =
+  /(token|secret|password|passwd|api[_-]?key|authorization|credential|cookie)/i;
+const INTERNAL_ARGS = ["_auth", "_caller"];
+
+// POSTs that only read (JQL search)
+const READ_ONLY_POST_RE = /\/rest\/api\/\d+\/search(\/jql)?(\?|$)/;
+const JIRA_REST_RE = /\/rest\/(api|agile)\//;
+
+/**
+ * Copy of tool arguments with credential-like values replaced.
+ */
+export function redactArgs(value, depth = 0) {
+  if (depth > 8) return REDACTED;
+  if (Array.isArray(value)) return value.map((v) => redactArgs(v, depth + 1));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (INTERNAL_ARGS.includes(k)) continue;
+      out[k] = SENSITIVE_ARG_RE.test(k) ? REDACTED : redactArgs(v, depth + 1);
+    }
+    return out;
+  }
+  return value;
+}
+
+// Stable, non-reversible id for a bearer token
+export function tokenFingerprint(token) {
+  return crypto
+    .createHash("sha256")
+    .update(String(token))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+/**
+ * Caller identity for an HTTP request: the bearer token fingerprint when
+ * present (otherwise the remote address) plus the optional X-Agent-Id header.
+ */
+export function callerFromRequest(req) {
+  const auth = req.headers?.authorization || "";
+  const agent = req.headers?.["x-agent-id"] || null;
+  if (auth.startsWith("Bearer ")) {
+    return { kind: "token", id: tokenFingerprint(auth.slice(7)), agent };
+  }
+  return {
+    kind: "ip",
+    id: req.ip || req.socket?.remoteAddress || "unknown",
+    agent,
+  };
+}
+
+// Caller identity from MCP initialize clientInfo ({ name, version })
+export function callerFromClientInfo(clientInfo) {
+  return {
+    kind: "client",
+    id: clientInfo?.name
+      ? `${clientInfo.name}@${clientInfo.version || "unknown"}`
+      : "unknown",
+    agent: null,
+  };
+}
+
+function parseBody(data) {
+  if (typeof data !== "string") return data ?? null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+const byteLength = (value) => {
+  try {
+    return Buffer.byteLength(JSON.stringify(value) ?? "", "utf8");
+  } catch {
+    return null;
+  }
+};
+
+export class AuditLog {
+  constructor({
+    file = process.env.MCP_AUDIT_LOG || "logs/mcp-audit.jsonl",
+    recentLimit = 200,
+  } = {}) {
+    this.file = file === "off" ? null : path.resolve(file);
+    this.recentLimit = recentLimit;
+    this.entries = [];
+    this.context = new AsyncLocalStorage();
+    this.writeChain = Promise.resolve();
+    this.dirReady = null;
+  }
+
+  /**
+   * Attribute upstream requests made through this axios instance to the
+   * tool call that is running when they are sent.
+   */
+  instrumentAxios(axiosInstance) {
+    const note = (config, status) => {
+      const store = this.context.getStore();
+      if (!store || !config) return;
+      const method = String(config.method || "get").toUpperCase();
+      const url = axiosInstance.getUri
+        ? axiosInstance.getUri(config)
+        : config.url;
+      store.upstream.push({
+        method,
+        url,
+        status,
+        durationMs: config.__auditStart
+          ? Date.now() - config.__auditStart
+          : null,
+      });
+      if (
+        !["GET", "HEAD", "OPTIONS"].includes(method) &&
+        JIRA_REST_RE.test(url) &&
+        !READ_ONLY_POST_RE.test(url)
+      ) {
+        store.mutations.push({
+          method,
+          url,
+          status,
+          body: parseBody(config.data),
+        });
+      }
+    };
+
+    axiosInstance.interceptors.request.use((config) => {
+      config.__auditStart = Date.now();
+      return config;
+    });
+    axiosInstance.interceptors.response.use(
+      (response) => {
+        note(response.config, response.status);
+        return response;
+      },
+      (error) => {
+        note(error?.config, error?.response?.status ?? null);
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Run one tool call and record it, whether it succeeds or throws.
+   * @param {Object} call { transport, caller, tool, args }
+   * @param {Function} fn async work producing the tool result
+   */
+  async track({ transport, caller, tool, args }, fn) {
+    const store = { upstream: [], mutations: [] };
+    const started = Date.now();
+    let result;
+    let error = null;
+    try {
+      result = await this.context.run(store, fn);
+      return result;
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      this.record({
+        id: crypto.randomUUID(),
+        timestamp: new Date(started).toISOString(),
+        transport,
+        caller: caller || null,
+        tool,
+        args: redactArgs(args || {}),
+        outcome: error ? "error" : "ok",
+        error: error
+          ? {
+              code: error.code ?? null,
+              message: error.message || String(error),
+            }
+          : null,
+        durationMs: Date.now() - started,
+        resultBytes: error ? 0 : byteLength(result),
+        upstream: store.upstream,
+        mutations: store.mutations,
+      });
+    }
+  }
+
+  record(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.recentLimit) this.entries.shift();
+    if (!this.file) return;
+
+    // Serialize appends so lines never interleave
+    this.writeChain = this.writeChain
+      .then(async () => {
+        if (!this.dirReady) {
+          this.dirReady = fs.mkdir(path.dirname(this.file), {
+            recursive: true,
+          });
+        }
+        await this.dirReady;
+        await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`, {
+          flag: "a",
+        });
+      })
+      .catch((err) => {
+        console.error("Audit log write failed:", err.message);
+      });
+  }
+
+  recent(limit = 50) {
+    const n = Math.max(1, Math.min(limit, this.recentLimit));
+    return this.entries.slice(-n).reverse();
+  }
+
+  /**
+   * Data for audit://recent or audit://recent/{n} (newest first).
+   * Returns null for other URIs.
+   */
+  readResource(uri) {
+    const match = /^audit:\/\/recent(?:\/(\d+))?\/?$/.exec(uri || "");
+    if (!match) return null;
+    const entries = this.recent(match[1] ? parseInt(match[1], 10) : 50);
+    return {
+      resource_type: "audit_log",
+      file: this.file,
+      count: entries.length,
+      entries,
+    };
+  }
+}
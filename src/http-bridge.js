@@ -6,6 +6,7 @@ import { spawn } from "node:child_process";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
 import dotenv from "dotenv";
+import { callerFromRequest } from "./audit-log.js";
 
 // Load environment variables
 dotenv.config();
@@ -149,13 +150,21 @@ class HTTPBridge {
 
         // Inject auth context for tools that need per-request credentials
         let enhancedParams = normalized.params;
+        // The child audits tool calls under the caller authenticated here;
+        // any client-supplied _caller is overwritten
+        if (normalized.method === "tools/call") {
+          enhancedParams = {
+            ...enhancedParams,
+            _caller: callerFromRequest(req),
+          };
+        }
         if (
           perplexityKey &&
           normalized.method === "tools/call" &&
           normalized.params?.name === "fetch_perplexity_data"
         ) {
           enhancedParams = {
-            ...normalized.params,
+            ...enhancedParams,
             _auth: { perplexityKey }, // Internal auth envelope, not logged
           };
         }
@@ -215,7 +224,8 @@ class HTTPBridge {
     const stdioPath = join(__dirname, "stdio.js");
     this.child = spawn(process.execPath, [stdioPath], {
       stdio: ["pipe", "pipe", "inherit"],
-      env: process.env,
+      // Tells the child to trust the _caller this bridge injects
+      env: { ...process.env, MCP_BRIDGE_CHILD: "1" },
     });
 
     this.child.stdin.setEncoding("utf8");
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+import axios from "axios";
+import { invalidInput, makeAuthHeader, pagedGet } from "./jira-common-utils.js";
+import { fetchBoardConfig, normalizeSprint } from "./jira-project-board.js";
+
+/**
+ * Sprint planning writes (Agile v1.0)
+ * Move issues into a sprint or back to the backlog, and re-rank issues
+ * relative to an anchor issue. Both endpoints take at most 50 issues per
+ * request.
+ */
+
+const agileBase = (baseUrl) => `${baseUrl.replace(/\/+$/, "")}/rest/agile/1.0`;
+
+export const MAX_AGILE_ISSUES = 50;
+
+const writeHeaders = (auth) => ({
+  Accept: "application/json",
+  "Content-Type": "application/json",
+  ...makeAuthHeader(auth),
+});
+
+const describeSprint = (s) => `${s.name} [${s.id}, ${s.state}]`;
+
+/**
+ * Target sprint by id, or by name among the board's active and future
+ * sprints (case-insensitive). Closed sprints cannot take issues.
+ */
+async function resolveTargetSprint({ baseUrl, headers, sprint, boardId }) {
+  if (/^\d+$/.test(String(sprint).trim())) {
+    const { data } = await axios.get(
+      `${agileBase(baseUrl)}/sprint/${String(sprint).trim()}`,
+      { headers }
+    );
+    const target = normalizeSprint(data);
+    if (target.state === "closed") {
+      throw invalidInput(
+        `Sprint ${describeSprint(target)} is closed; issues can only move into active or future sprints`
+      );
+    }
+    return target;
+  }
+
+  if (!boardId) {
+    throw invalidInput("boardId is required to pick a sprint by name");
+  }
+  const open = (
+    await pagedGet(`${agileBase(baseUrl)}/board/${boardId}/sprint`, {
+      headers,
+      params: { state: "active,future", maxResults: 50 },
+      collectPath: "values",
+    })
+  ).map(normalizeSprint);
+  const name = String(sprint).trim().toLowerCase();
+  const matches = open.filter((s) => s.name.toLowerCase() === name);
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw invalidInput(
+      `Several sprints on board ${boardId} are named "${sprint}": ${matches
+        .map(describeSprint)
+        .join(", ")}; pass the sprint id instead`
+    );
+  }
+  throw invalidInput(
+    `No active or future sprint named "${sprint}" on board ${boardId}. Open sprints: ${
+      open.length ? open.map(describeSprint).join(", ") : "none"
+    }`
+  );
+}
+
+function rankAnchor({ rankBeforeIssue, rankAfterIssue }) {
+  if (rankBeforeIssue && rankAfterIssue) {
+    throw invalidInput(
+      "Use either rankBeforeIssue or rankAfterIssue, not both"
+    );
+  }
+  return rankBeforeIssue
+    ? { rankBeforeIssue }
+    : rankAfterIssue
+      ? { rankAfterIssue }
+      : {};
+}
+
+/**
+ * MOVE ISSUES TO SPRINT
+ * POST /sprint/{id}/issue, or POST /backlog/issue when sprint is "backlog".
+ *
+ * Params:
+ *   issueKeys: string[] (1-50)
+ *   sprint: sprint id, sprint name (needs boardId) or "backlog"
+ *   boardId: number (for names and the board's rank field)
+ *   rankBeforeIssue / rankAfterIssue: optional anchor (sprint moves only)
+ *   dryRun: resolve the sprint but do not send the move
+ */
+export async function moveIssuesToSprint({
+  baseUrl,
+  auth,
+  issueKeys,
+  sprint,
+  boardId,
+  rankBeforeIssue,
+  rankAfterIssue,
+  dryRun,
+}) {
+  const headers = writeHeaders(auth);
+  const anchor = rankAnchor({ rankBeforeIssue, rankAfterIssue });
+  const toBacklog = String(sprint).trim().toLowerCase() === "backlog";
+
+  let target = null;
+  let request;
+  if (toBacklog) {
+    if (anchor.rankBeforeIssue || anchor.rankAfterIssue) {
+      throw invalidInput(
+        "Ranking is not supported when moving to the backlog; use rank_issues afterwards"
+      );
+    }
+    request = {
+      method: "POST",
+      url: `${agileBase(baseUrl)}/backlog/issue`,
+      body: { issues: issueKeys },
+    };
+  } else {
+    target = await resolveTargetSprint({ baseUrl, headers, sprint, boardId });
+    const body = { issues: issueKeys, ...anchor };
+    if (boardId && Object.keys(anchor).length) {
+      const config = await fetchBoardConfig({ baseUrl, headers, boardId });
+      if (config.rankingFieldId) body.rankCustomFieldId = config.rankingFieldId;
+    }
+    request = {
+      method: "POST",
+      url: `${agileBase(baseUrl)}/sprint/${target.id}/issue`,
+      body,
+    };
+  }
+
+  if (dryRun) return { dryRun: true, requests: [request] };
+
+  console.error(
+    `Moving ${issueKeys.length} issues to ${
+      target ? `sprint ${describeSprint(target)}` : "the backlog"
+    }`
+  );
+  await axios.post(request.url, request.body, { headers });
+
+  return {
+    target: target ? "sprint" : "backlog",
+    sprint: target,
+    issueKeys,
+    rankBeforeIssue: anchor.rankBeforeIssue || null,
+    rankAfterIssue: anchor.rankAfterIssue || null,
+    moved: issueKeys.length,
+  };
+}
+
+/**
+ * RANK ISSUES
+ * PUT /issue/rank: place the issues, in the given order, before or after an
+ * anchor issue. Jira answers 207 when some issues could not be ranked; those
+ * are returned in `failed`.
+ *
+ * Params:
+ *   issueKeys: string[] (1-50)
+ *   rankBeforeIssue / rankAfterIssue: anchor issue key (exactly one)
+ *   boardId: number (optional, ranks with the board's rank field)
+ *   dryRun: return the request without sending it
+ */
+export async function rankIssues({
+  baseUrl,
+  auth,
+  issueKeys,
+  rankBeforeIssue,
+  rankAfterIssue,
+  boardId,
+  dryRun,
+}) {
+  const headers = writeHeaders(auth);
+  const anchor = rankAnchor({ rankBeforeIssue, rankAfterIssue });
+  if (!Object.keys(anchor).length) {
+    throw invalidInput("Provide rankBeforeIssue or rankAfterIssue");
+  }
+
+  let rankCustomFieldId = null;
+  if (boardId) {
+    const config = await fetchBoardConfig({ baseUrl, headers, boardId });
+    rankCustomFieldId = config.rankingFieldId;
+  }
+  const request = {
+    method: "PUT",
+    url: `${agileBase(baseUrl)}/issue/rank`,
+    body: {
+      issues: issueKeys,
+      ...anchor,
+      ...(rankCustomFieldId ? { rankCustomFieldId } : {}),
+    },
+  };
+
+  if (dryRun) return { dryRun: true, requests: [request] };
+
+  console.error(
+    `Ranking ${issueKeys.length} issues ${
+      anchor.rankBeforeIssue
+        ? `before ${anchor.rankBeforeIssue}`
+        : `after ${anchor.rankAfterIssue}`
+    }`
+  );
+  const { status, data } = await axios.put(request.url, request.body, {
+    headers,
+  });
+
+  // 204: all ranked; 207: per-issue results
+  const failed =
+    status === 207
+      ? (data?.entries || [])
+          .filter((e) => e.status >= 400)
+          .map((e) => ({
+            issueKey: e.issueKey || String(e.issueId),
+            status: e.status,
+            errors: e.errors || [],
+          }))
+      : [];
+  const failedKeys = new Set(failed.map((f) => f.issueKey));
+
+  return {
+    issueKeys,
+    rankBeforeIssue: anchor.rankBeforeIssue || null,
+    rankAfterIssue: anchor.rankAfterIssue || null,
+    rankCustomFieldId,
+    ranked: issueKeys.filter((k) => !failedKeys.has(k)),
+    failed,
+  };
+}
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+import axios from "axios";
+import { invalidInput, makeAuthHeader, pagedGet } from "./jira-common-utils.js";
+import { fetchBoardConfig, normalizeSprint } from "./jira-project-board.js";
+import { jqlAnd, jqlCondition, jqlIn, scopeJql } from "./utils/jql.js";
+
+/**
+ * Board views (Agile v1.0)
+ * What a board shows right now, computed from its configuration: issues
+ * bucketed into columns through each column's status ids, and the backlog
+ * in rank order.
+ */
+
+const agileBase = (baseUrl) => `${baseUrl.replace(/\/+$/, "")}/rest/agile/1.0`;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const estimateNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) ? value : null;
+
+/**
+ * BOARD STATE
+ * Snapshot of a board's columns with issue counts, estimate totals and
+ * per-assignee WIP.
+ *
+ * Scope follows what the board displays:
+ *   scrum  - issues in the active sprint(s)
+ *   kanban - open issues plus issues resolved in the last `doneWithinDays`
+ * An optional `jql` narrows the scope further (e.g. "assignee = currentUser()").
+ * A scrum board without an active sprint shows nothing: no issues are read
+ * and `scope.noActiveSprint` is set (the `jql` filter is echoed, unapplied).
+ *
+ * Params:
+ *   boardId: number (required)
+ *   jql: string (optional extra filter)
+ *   doneWithinDays: number (kanban only, default 14)
+ *   maxIssues: number (default 500)
+ *
+ * Issues whose status is not mapped to any column are returned in
+ * `unmapped` (the board hides them).
+ */
+export async function fetchBoardState({
+  baseUrl,
+  auth,
+  boardId,
+  jql,
+  doneWithinDays = 14,
+  maxIssues = 500,
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  const { data: board } = await axios.get(
+    `${agileBase(baseUrl)}/board/${boardId}`,
+    { headers }
+  );
+  const config = await fetchBoardConfig({ baseUrl, headers, boardId });
+  const estimation = config.estimation;
+
+  let sprints = null;
+  let boardJql;
+  if (board.type === "scrum") {
+    const active = await pagedGet(
+      `${agileBase(baseUrl)}/board/${boardId}/sprint`,
+      {
+        headers,
+        params: { state: "active", maxResults: 50 },
+        collectPath: "values",
+      }
+    );
+    sprints = active.map(normalizeSprint);
+    boardJql = sprints.length
+      ? jqlIn(
+          "sprint",
+          sprints.map((s) => s.id)
+        )
+      : null;
+  } else {
+    boardJql = `statusCategory != Done OR resolved >= -${Number(
+      doneWithinDays
+    )}d`;
+  }
+  const extraJql = jql ? jqlCondition(jql) : null;
+  const fullJql = boardJql && extraJql ? jqlAnd(boardJql, extraJql) : boardJql;
+
+  console.error(
+    `Loading board state for ${board.name} (${boardId}) with JQL: ${fullJql}`
+  );
+
+  // A scrum board without an active sprint shows nothing
+  let issues = [];
+  if (fullJql) {
+    issues = await pagedGet(`${agileBase(baseUrl)}/board/${boardId}/issue`, {
+      headers,
+      params: {
+        jql: scopeJql(fullJql),
+        fields: [
+          "summary",
+          "status",
+          "issuetype",
+          "priority",
+          "assignee",
+          estimation?.fieldId,
+        ]
+          .filter(Boolean)
+          .join(","),
+        maxResults: 100,
+      },
+      collectPath: "issues",
+      maxItems: maxIssues + 1,
+    });
+  }
+  const truncated = issues.length > maxIssues;
+  issues = issues.slice(0, maxIssues);
+
+  const toEntry = (issue) => {
+    const f = issue.fields || {};
+    return {
+      key: issue.key,
+      summary: f.summary || null,
+      status: f.status?.name || null,
+      statusId: f.status?.id ? String(f.status.id) : null,
+      issuetype: f.issuetype?.name || null,
+      priority: f.priority?.name || null,
+      assignee: f.assignee
+        ? {
+            displayName: f.assignee.displayName || "Unknown",
+            accountId: f.assignee.accountId || null,
+          }
+        : null,
+      estimate: estimation ? estimateNumber(f[estimation.fieldId]) : null,
+    };
+  };
+
+  const summarize = (entries) => {
+    const wip = new Map();
+    for (const e of entries) {
+      const id = e.assignee?.accountId || e.assignee?.displayName || "";
+      const w = wip.get(id) || {
+        assignee: e.assignee?.displayName || "Unassigned",
+        accountId: e.assignee?.accountId || null,
+        count: 0,
+        points: estimation ? 0 : null,
+      };
+      w.count += 1;
+      if (estimation) w.points = round(w.points + (e.estimate || 0));
+      wip.set(id, w);
+    }
+    return {
+      count: entries.length,
+      points: estimation
+        ? round(entries.reduce((t, e) => t + (e.estimate || 0), 0))
+        : null,
+      wip: [...wip.values()].sort((a, b) => b.count - a.count),
+    };
+  };
+
+  const entries = issues.map(toEntry);
+  const columnOf = new Map();
+  config.columns.forEach((c, index) =>
+    c.statusIds.forEach((id) => columnOf.set(String(id), index))
+  );
+
+  const columns = config.columns.map((c, index) => {
+    const inColumn = entries.filter((e) => columnOf.get(e.statusId) === index);
+    const totals = summarize(inColumn);
+    return {
+      name: c.name,
+      statusIds: c.statusIds,
+      limits: { min: c.min, max: c.max },
+      ...totals,
+      overLimit: c.max !== null && totals.count > c.max,
+      underLimit: c.min !== null && totals.count < c.min,
+      issues: inColumn,
+    };
+  });
+  const unmapped = entries.filter((e) => !columnOf.has(e.statusId));
+
+  console.error(
+    `Board ${boardId}: ${entries.length} issues across ${columns.length} columns (${unmapped.length} unmapped)`
+  );
+
+  return {
+    board: { id: board.id, name: board.name, type: board.type },
+    estimation,
+    scope: {
+      jql: fullJql,
+      filter: extraJql,
+      sprints,
+      noActiveSprint: board.type === "scrum" && !sprints.length,
+    },
+    issuesScanned: entries.length,
+    truncated,
+    columns,
+    unmapped: { count: unmapped.length, issues: unmapped },
+  };
+}
+
+// Epic of a backlog issue: the Agile `epic` field (Epic Link) or an
+// epic-level parent (team-managed and newer company-managed projects)
+function issueEpic(f) {
+  if (f.epic?.key) {
+    return { key: f.epic.key, summary: f.epic.summary || f.epic.name || null };
+  }
+  const parentType = f.parent?.fields?.issuetype;
+  if (
+    f.parent?.key &&
+    (parentType?.hierarchyLevel === 1 || /^epic$/i.test(parentType?.name || ""))
+  ) {
+    return { key: f.parent.key, summary: f.parent.fields?.summary || null };
+  }
+  return null;
+}
+
+/**
+ * BOARD BACKLOG
+ * Backlog issues in rank order (GET /board/{id}/backlog) with estimate,
+ * epic, labels and the flagged marker. Sub-tasks are left out like on the
+ * board.
+ *
+ * Params:
+ *   boardId: number (required)
+ *   jql: string (optional extra filter)
+ *   pointBudget: number (optional) - stop at the first issue that would
+ *     push the cumulative estimate over the budget; unestimated issues
+ *     count as zero
+ *   maxIssues: number (default 200)
+ */
+export async function fetchBoardBacklog({
+  baseUrl,
+  auth,
+  boardId,
+  jql,
+  pointBudget,
+  maxIssues = 200,
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  const { data: board } = await axios.get(
+    `${agileBase(baseUrl)}/board/${boardId}`,
+    { headers }
+  );
+  const config = await fetchBoardConfig({ baseUrl, headers, boardId });
+  const estimation = config.estimation;
+  if (pointBudget !== undefined && !estimation) {
+    throw invalidInput(
+      `Board ${boardId} estimates by issue count; pointBudget needs an estimation field`
+    );
+  }
+
+  console.error(`Loading backlog for ${board.name} (${boardId})`);
+
+  // Empty unless a filter or the project allowlist applies
+  const backlogJql = scopeJql(jql ? jqlCondition(jql) : "");
+
+  const raw = await pagedGet(`${agileBase(baseUrl)}/board/${boardId}/backlog`, {
+    headers,
+    params: {
+      ...(backlogJql ? { jql: backlogJql } : {}),
+      fields: [
+        "summary",
+        "status",
+        "issuetype",
+        "priority",
+        "assignee",
+        "labels",
+        "epic",
+        "parent",
+        "flagged",
+        estimation?.fieldId,
+      ]
+        .filter(Boolean)
+        .join(","),
+      maxResults: 100,
+    },
+    collectPath: "issues",
+    maxItems: maxIssues + 1,
+  });
+  const truncated = raw.length > maxIssues;
+
+  const issues = [];
+  let cumulative = 0;
+  let stoppedAt = null;
+  for (const issue of raw.slice(0, maxIssues)) {
+    const f = issue.fields || {};
+    if (f.issuetype?.subtask) continue;
+    const estimate = estimation ? estimateNumber(f[estimation.fieldId]) : null;
+    if (
+      pointBudget !== undefined &&
+      round(cumulative + (estimate || 0)) > pointBudget
+    ) {
+      stoppedAt = issue.key;
+      break;
+    }
+    cumulative = round(cumulative + (estimate || 0));
+    issues.push({
+      rank: issues.length + 1,
+      key: issue.key,
+      summary: f.summary || null,
+      issuetype: f.issuetype?.name || null,
+      status: f.status?.name || null,
+      priority: f.priority?.name || null,
+      assignee: f.assignee
+        ? {
+            displayName: f.assignee.displayName || "Unknown",
+            accountId: f.assignee.accountId || null,
+          }
+        : null,
+      estimate,
+      cumulativeEstimate: estimation ? cumulative : null,
+      epic: issueEpic(f),
+      labels: Array.isArray(f.labels) ? f.labels : [],
+      flagged: Boolean(f.flagged),
+    });
+  }
+
+  console.error(
+    `Backlog for board ${boardId}: ${issues.length} issues${
+      stoppedAt ? `, budget reached before ${stoppedAt}` : ""
+    }`
+  );
+
+  return {
+    board: { id: board.id, name: board.name, type: board.type },
+    estimation,
+    jql: jql || null,
+    rankingFieldId: config.rankingFieldId,
+    issuesScanned: Math.min(raw.length, maxIssues),
+    truncated: truncated && stoppedAt === null,
+    budget:
+      pointBudget === undefined
+        ? null
+        : {
+            points: pointBudget,
+            used: cumulative,
+            remaining: round(pointBudget - cumulative),
+            stoppedAt,
+          },
+    count: issues.length,
+    totalEstimate: estimation ? cumulative : null,
+    issues,
+  };
+}
@@ -1,38 +1,9 @@
 #!/usr/bin/env node
 
 import axios from "axios";
-
-/**
- * ADF to text converter for JIRA Cloud descriptions
- * ADF spec: https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
- */
-function adfToText(adf) {
-  if (!adf || typeof adf !== "object") return "";
-
-  const walk = (node) => {
-    if (!node) return "";
-    switch (node.type) {
-      case "text":
-        return node.text || "";
-      case "hardBreak":
-        return "\n";
-      case "paragraph":
-        return (node.content || []).map(walk).join("") + "\n";
-      case "bulletList":
-      case "orderedList":
-      case "listItem":
-      case "heading":
-      case "blockquote":
-      case "panel":
-      case "table":
-        return (node.content || []).map(walk).join("");
-      default:
-        return (node.content || []).map(walk).join("");
-    }
-  };
-
-  return walk(adf).trim();
-}
+import { jqlSearchPaged } from "./jira-common-utils.js";
+import { issueKeyValue, keyIn } from "./utils/jql.js";
+import { adfToText, renderRichText } from "./utils/adf-renderer.js";
 
 /**
  * Generic field discovery utility
@@ -76,35 +47,487 @@ function findEpicLinkFieldId(names = {}) {
 /**
  * Normalize issue links into structured format
  * Normalize issuelinks into a neat array:
- * [{ linkId, typeName, direction: 'outward'|'inward', key, id }]
- * Docs: request fields=issuelinks; outwardIssue/inwardIssue present per link.
+ * [{ linkId, typeName, typeInward, typeOutward, direction: 'outward'|'inward',
+ *    key, id, summary, status, statusCategory, priority, issuetype }]
+ * Docs: request fields=issuelinks; outwardIssue/inwardIssue present per link,
+ * each carrying summary, status, priority and issuetype of the other issue.
  */
 function mapIssueLinks(links = []) {
   const result = [];
   for (const link of links) {
     const typeName = link?.type?.name || null;
 
-    if (link.outwardIssue) {
+    for (const direction of ["outward", "inward"]) {
+      const other = link[`${direction}Issue`];
+      if (!other) continue;
+      const f = other.fields || {};
       result.push({
         linkId: link.id || null,
         typeName,
-        direction: "outward",
-        key: link.outwardIssue.key || null,
-        id: link.outwardIssue.id || null,
+        typeInward: link?.type?.inward || null,
+        typeOutward: link?.type?.outward || null,
+        direction,
+        key: other.key || null,
+        id: other.id || null,
+        summary: f.summary || null,
+        status: f.status?.name || null,
+        statusCategory: f.status?.statusCategory?.name || null,
+        priority: f.priority?.name || null,
+        issuetype: f.issuetype?.name || null,
       });
     }
+  }
+  return result;
+}
 
-    if (link.inwardIssue) {
-      result.push({
-        linkId: link.id || null,
-        typeName,
-        direction: "inward",
-        key: link.inwardIssue.key || null,
-        id: link.inwardIssue.id || null,
-      });
+// Compact value for a hydrated field: names for Jira objects, text for ADF
+function simpleFieldValue(value) {
+  if (Array.isArray(value)) return value.map(simpleFieldValue);
+  if (value && typeof value === "object") {
+    if (value.type === "doc") return adfToText(value);
+    return (
+      value.displayName ??
+      value.name ??
+      value.value ??
+      value.key ??
+      value.id ??
+      value
+    );
+  }
+  return value ?? null;
+}
+
+/**
+ * Key batch isolation
+ * Runs `run(group)` for a `key in (...)` batch. JQL rejects the whole query
+ * when one key is unknown, so a 400 that quotes keys ("An issue with key
+ * 'X-1' does not exist for field 'key'.") drops those keys and retries the
+ * rest, and a 400 quoting none splits the batch in half until the bad key is
+ * alone. Other errors reject the whole batch. Every rejected key is passed
+ * to `onReject(key, error, message)`.
+ */
+export async function runKeyBatch(group, run, onReject) {
+  if (!group.length) return;
+  try {
+    await run(group);
+  } catch (error) {
+    if (error?.response?.status !== 400) {
+      for (const key of group) onReject(key, error);
+      return;
+    }
+    const data = error.response.data || {};
+    const messages = [
+      ...(data.errorMessages || []),
+      ...Object.values(data.errors || {}),
+    ].map(String);
+    const naming = (key) =>
+      messages.find((m) => m.toUpperCase().includes(`'${key.toUpperCase()}'`));
+    const named = group.filter(naming);
+    if (named.length) {
+      for (const key of named) onReject(key, error, naming(key));
+      await runKeyBatch(
+        group.filter((k) => !named.includes(k)),
+        run,
+        onReject
+      );
+    } else if (group.length === 1) {
+      onReject(group[0], error);
+    } else {
+      const half = Math.ceil(group.length / 2);
+      console.warn(
+        `Key batch failed (${error.message}), splitting ${group.length} keys`
+      );
+      await runKeyBatch(group.slice(0, half), run, onReject);
+      await runKeyBatch(group.slice(half), run, onReject);
     }
   }
-  return result;
+}
+
+/**
+ * Linked issue hydration
+ * Loads `fields` (ids or display names) for every issue linked from the
+ * given normalized tickets in batched `key in (...)` queries and sets
+ * `fields` on each linkedIssues entry, keyed as requested. Links to issues
+ * the caller cannot see keep `fields: null`.
+ *
+ * @param {Object} cfg
+ * @param {Object[]} cfg.tickets normalized tickets (mutated)
+ * @param {string[]} cfg.fields  field ids or names, e.g. ["assignee", "Story Points"]
+ * @param {Object} [cfg.names]   { fieldId: displayName } when already known
+ */
+async function hydrateLinkedIssues({
+  baseUrl,
+  headers,
+  tickets,
+  fields,
+  names,
+}) {
+  const keys = [
+    ...new Set(
+      tickets.flatMap((t) => t.linkedIssues.map((l) => l.key).filter(Boolean))
+    ),
+  ];
+  if (!keys.length || !fields.length) return;
+
+  // Accept display names ("Story Points") as well as ids
+  const fieldNames = names || (await fetchFieldNames({ baseUrl, headers }));
+  const byName = new Map(
+    Object.entries(fieldNames).map(([fid, name]) => [name.toLowerCase(), fid])
+  );
+  const requested = fields.map((name) => ({
+    name,
+    id: fieldNames[name] ? name : byName.get(name.toLowerCase()) || name,
+  }));
+
+  const found = new Map();
+  const runJql = async (group) => {
+    const { issues } = await jqlSearchPaged({
+      baseUrl,
+      headers,
+      jql: keyIn(group),
+      fields: [...new Set(requested.map((r) => r.id))],
+      pageSize: 100,
+    });
+    for (const issue of issues) found.set(issue.key, issue.fields || {});
+  };
+  for (let i = 0; i < keys.length; i += 100) {
+    await runKeyBatch(keys.slice(i, i + 100), runJql, (key) =>
+      console.warn(`Linked issue ${key} is not visible`)
+    );
+  }
+  console.error(`Hydrated ${found.size}/${keys.length} linked issues`);
+
+  for (const ticket of tickets) {
+    for (const link of ticket.linkedIssues) {
+      const f = found.get(link.key);
+      link.fields = f
+        ? Object.fromEntries(
+            requested.map((r) => [r.name, simpleFieldValue(f[r.id])])
+          )
+        : null;
+    }
+  }
+}
+
+/**
+ * Site-wide field discovery
+ * Returns the same { fieldId: displayName } map that `expand=names` yields,
+ * but for every field on the site in one call (GET /rest/api/3/field).
+ * Lets multi-issue paths resolve custom field IDs once instead of per issue.
+ */
+async function fetchFieldNames({ baseUrl, headers }) {
+  const { data } = await axios.get(
+    `${baseUrl.replace(/\/+$/, "")}/rest/api/3/field`,
+    { headers }
+  );
+  const names = {};
+  for (const field of Array.isArray(data) ? data : []) {
+    if (field?.id) names[field.id] = field.name || field.id;
+  }
+  return names;
+}
+
+/**
+ * Normalize a raw issue payload into the "full ticket" shape.
+ * Shared by the single-ticket fetch and the bulk JQL fetch so both return
+ * identical objects. Custom field IDs are resolved by the caller (once).
+ *
+ * @param {Object} data  Raw issue as returned by the Get Issue / search APIs
+ * @param {Object} fieldIds { storyPointsFieldId, sprintFieldId, epicLinkFieldId }
+ * @param {Object} [opts]
+ * @param {string} [opts.descriptionFormat="text"] 'text' | 'markdown' | 'adf'
+ */
+function normalizeJiraTicket(
+  data,
+  {
+    storyPointsFieldId = null,
+    sprintFieldId = null,
+    epicLinkFieldId = null,
+  } = {},
+  { descriptionFormat = "text" } = {}
+) {
+  const { fields: f = {} } = data || {};
+
+  // Story Points
+  let storyPoints = null;
+  if (storyPointsFieldId && f.hasOwnProperty(storyPointsFieldId)) {
+    const raw = f[storyPointsFieldId];
+    storyPoints = typeof raw === "number" ? raw : raw ? Number(raw) : null;
+    console.error(
+      `Story Points found in field ${storyPointsFieldId}: ${storyPoints}`
+    );
+  } else {
+    console.error("Story Points field not found or not set");
+  }
+
+  // Sprints (custom field array of sprint objects)
+  let sprints = [];
+  if (sprintFieldId && Array.isArray(f[sprintFieldId])) {
+    sprints = (f[sprintFieldId] || []).map((sp) => ({
+      id: sp?.id ?? null,
+      name: sp?.name ?? null,
+      state: sp?.state ?? null, // 'future' | 'active' | 'closed'
+      boardId: sp?.originBoardId ?? sp?.boardId ?? null,
+      startDate: sp?.startDate ?? null,
+      endDate: sp?.endDate ?? null,
+      completeDate: sp?.completeDate ?? null,
+      goal: sp?.goal ?? null,
+    }));
+    console.error(`Found ${sprints.length} sprints for ticket`);
+  } else {
+    console.error("Sprint field not found or empty");
+  }
+  const activeSprint = sprints.find((sp) => sp.state === "active") || null;
+
+  // Epic detection (newer "parent" concept; else legacy Epic Link custom field)
+  let epicKey = null;
+  let epicSource = null;
+  // Prefer parent if it's an Epic
+  const parentType =
+    f.parent?.fields?.issuetype?.name || f.parent?.issuetype?.name;
+  if (f.parent?.key && /epic/i.test(parentType || "")) {
+    epicKey = f.parent.key;
+    epicSource = "parent";
+    console.error(`Epic found via parent: ${epicKey}`);
+  } else if (epicLinkFieldId && f[epicLinkFieldId]) {
+    const val = f[epicLinkFieldId];
+    epicKey = typeof val === "string" ? val : val?.key || null;
+    epicSource = "epicLink";
+    console.error(`Epic found via Epic Link: ${epicKey}`);
+  } else {
+    console.error("No Epic relationship found");
+  }
+
+  // Handle ADF description format (Cloud) vs HTML (Server)
+  const descriptionADF = f.description || null;
+  const descriptionText = renderRichText(descriptionADF, descriptionFormat);
+  console.error(
+    descriptionADF && typeof descriptionADF === "object"
+      ? `Rendered ADF description as ${descriptionFormat}`
+      : "Using plain/HTML description format"
+  );
+
+  // Normalize linked issues
+  const relatedIssues = mapIssueLinks(f.issuelinks || []);
+  console.error(`Found ${relatedIssues.length} linked issues`);
+
+  // Build comprehensive normalized ticket data with safe property access
+  const ticketData = {
+    // Basic identification
+    key: data.key,
+    id: data.id,
+    self: data.self,
+    summary: f.summary || null,
+    description: descriptionText,
+
+    // Status and workflow (with safe access)
+    status: {
+      name: f.status?.name || "Unknown",
+      id: f.status?.id || "unknown",
+      statusCategory: f.status?.statusCategory?.name || "Unknown",
+      description: f.status?.description || "",
+    },
+
+    // Issue classification
+    issueType: {
+      name: f.issuetype?.name || "Unknown",
+      id: f.issuetype?.id || "unknown",
+      description: f.issuetype?.description || "",
+      iconUrl: f.issuetype?.iconUrl || "",
+    },
+
+    // Priority (with safe access)
+    priority: {
+      name: f.priority?.name || "Not set",
+      id: f.priority?.id || null,
+      iconUrl: f.priority?.iconUrl || null,
+    },
+
+    // People (with safe access)
+    assignee: {
+      displayName: f.assignee?.displayName || "Unassigned",
+      accountId: f.assignee?.accountId || null,
+      emailAddress: f.assignee?.emailAddress || null,
+      avatarUrls: f.assignee?.avatarUrls || null,
+    },
+
+    reporter: {
+      displayName: f.reporter?.displayName || "Unknown",
+      accountId: f.reporter?.accountId || null,
+      emailAddress: f.reporter?.emailAddress || null,
+      avatarUrls: f.reporter?.avatarUrls || null,
+    },
+
+    // Dates
+    created: f.created || null,
+    updated: f.updated || null,
+    duedate: f.duedate || null,
+    resolutiondate: f.resolutiondate || null,
+
+    // Project information
+    project: {
+      key: f.project?.key || "Unknown",
+      name: f.project?.name || "Unknown",
+      id: f.project?.id || "unknown",
+      projectTypeKey: f.project?.projectTypeKey || "unknown",
+    },
+
+    // Resolution
+    resolution: f.resolution
+      ? {
+          name: f.resolution.name,
+          description: f.resolution.description || "",
+        }
+      : null,
+
+    // Components and versions
+    components: (f.components || []).map((c) => ({
+      name: c.name || "",
+      id: c.id || "",
+      description: c.description || "",
+    })),
+
+    fixVersions: (f.fixVersions || []).map((v) => ({
+      name: v.name || "",
+      id: v.id || "",
+      description: v.description || "",
+      released: v.released || false,
+      releaseDate: v.releaseDate || null,
+    })),
+
+    affectedVersions: (f.versions || []).map((v) => ({
+      name: v.name || "",
+      id: v.id || "",
+      description: v.description || "",
+      released: v.released || false,
+      releaseDate: v.releaseDate || null,
+    })),
+
+    // Labels and environment
+    labels: f.labels || [],
+    environment: f.environment || null,
+
+    // Agile fields (dynamically discovered)
+    storyPoints,
+    storyPointsFieldId, // For caching per project
+
+    // Sprint information
+    sprintFieldId,
+    sprints,
+    activeSprint,
+
+    // Epic relationship
+    epic: epicKey ? { key: epicKey, source: epicSource } : null,
+
+    // Enhanced time tracking (pretty strings + numeric seconds + aggregates)
+    timeTracking: {
+      // Pretty formatted strings from timetracking object
+      originalEstimate: f.timetracking?.originalEstimate ?? null,
+      remainingEstimate: f.timetracking?.remainingEstimate ?? null,
+      timeSpent: f.timetracking?.timeSpent ?? null,
+
+      // Raw seconds from direct fields
+      originalEstimateSeconds: f.timeoriginalestimate ?? null,
+      remainingEstimateSeconds: f.timeestimate ?? null,
+      timeSpentSeconds: f.timespent ?? null,
+
+      // Aggregate time tracking (includes subtasks)
+      aggregate: {
+        originalEstimateSeconds: f.aggregatetimeoriginalestimate ?? null,
+        remainingEstimateSeconds: f.aggregatetimeestimate ?? null,
+        timeSpentSeconds: f.aggregatetimespent ?? null,
+      },
+    },
+
+    // Security level
+    security: f.security
+      ? {
+          name: f.security.name,
+          description: f.security.description || "",
+        }
+      : null,
+
+    // Linked issues (normalized); extra fields come from hydrateLinkedIssues
+    linkedIssues: relatedIssues.map((link) => {
+      const ref = {
+        key: link.key,
+        summary: link.summary || "",
+        status: link.status || "",
+        priority: link.priority || "",
+        issuetype: link.issuetype,
+        statusCategory: link.statusCategory,
+      };
+      return {
+        id: link.linkId,
+        type: {
+          name: link.typeName,
+          inward: link.typeInward || "",
+          outward: link.typeOutward || "",
+        },
+        direction: link.direction,
+        key: link.key,
+        targetId: link.id,
+        inwardIssue: link.direction === "inward" ? ref : null,
+        outwardIssue: link.direction === "outward" ? ref : null,
+        fields: null,
+      };
+    }),
+
+    // Attachments
+    attachmentsCount: f.attachment?.length || 0,
+    attachments: (f.attachment || []).slice(0, 5).map((att) => ({
+      id: att.id || "",
+      filename: att.filename || "",
+      size: att.size || 0,
+      mimeType: att.mimeType || "",
+      created: att.created || "",
+      author: att.author?.displayName || "Unknown",
+    })),
+
+    // Comments
+    commentsCount: f.comment?.total || 0,
+    recentComments: (f.comment?.comments || []).slice(-3).map((comment) => ({
+      id: comment.id || "",
+      author: comment.author?.displayName || "Unknown",
+      body: renderRichText(comment.body, descriptionFormat) ?? "",
+      created: comment.created || "",
+      updated: comment.updated || "",
+    })),
+
+    // Activity metrics
+    watchersCount: f.watches?.watchCount || 0,
+    votesCount: f.votes?.votes || 0,
+
+    // Progress
+    progress: f.progress
+      ? {
+          progress: f.progress.progress || 0,
+          total: f.progress.total || 0,
+          percent: f.progress.percent || 0,
+        }
+      : null,
+
+    // Parent/subtasks relationships
+    parent: f.parent
+      ? {
+          key: f.parent.key || "",
+          summary: f.parent.fields?.summary || "",
+          status: f.parent.fields?.status?.name || "Unknown",
+        }
+      : null,
+
+    subtasks: (f.subtasks || []).map((subtask) => ({
+      key: subtask.key || "",
+      summary: subtask.fields?.summary || "",
+      status: subtask.fields?.status?.name || "Unknown",
+      assignee: subtask.fields?.assignee?.displayName || "Unassigned",
+    })),
+
+    // Raw data for debugging (optional)
+    raw: data,
+  };
+
+  return ticketData;
 }
 
 /**
@@ -117,8 +540,16 @@ function mapIssueLinks(links = []) {
  * @param {string} cfg.baseUrl  e.g. "https://your-domain.atlassian.net"
  * @param {string} cfg.issueKey e.g. "SCRUM-8"
  * @param {Object} cfg.auth     { email, apiToken }
+ * @param {string} [cfg.descriptionFormat="text"] 'text' | 'markdown' | 'adf'
+ * @param {string[]} [cfg.linkedFields] extra fields to load for linked issues
  */
-export async function fetchJiraTicketFull({ baseUrl, issueKey, auth }) {
+export async function fetchJiraTicketFull({
+  baseUrl,
+  issueKey,
+  auth,
+  descriptionFormat = "text",
+  linkedFields = [],
+}) {
   const headers = {
     Accept: "application/json",
     Authorization: `Basic ${Buffer.from(
@@ -213,296 +644,22 @@ export async function fetchJiraTicketFull({ baseUrl, issueKey, auth }) {
       totalFields: Object.keys(names).length,
     });
 
-    // Story Points
-    let storyPoints = null;
-    if (storyPointsFieldId && f.hasOwnProperty(storyPointsFieldId)) {
-      const raw = f[storyPointsFieldId];
-      storyPoints = typeof raw === "number" ? raw : raw ? Number(raw) : null;
-      console.log(
-        `Story Points found in field ${storyPointsFieldId}: ${storyPoints}`
-      );
-    } else {
-      console.log("Story Points field not found or not set");
-    }
-
-    // Sprints (custom field array of sprint objects)
-    let sprints = [];
-    if (sprintFieldId && Array.isArray(f[sprintFieldId])) {
-      sprints = (f[sprintFieldId] || []).map((sp) => ({
-        id: sp?.id ?? null,
-        name: sp?.name ?? null,
-        state: sp?.state ?? null, // 'future' | 'active' | 'closed'
-        boardId: sp?.originBoardId ?? sp?.boardId ?? null,
-        startDate: sp?.startDate ?? null,
-        endDate: sp?.endDate ?? null,
-        completeDate: sp?.completeDate ?? null,
-        goal: sp?.goal ?? null,
-      }));
-      console.log(`Found ${sprints.length} sprints for ticket`);
-    } else {
-      console.log("Sprint field not found or empty");
-    }
-    const activeSprint = sprints.find((sp) => sp.state === "active") || null;
-
-    // Epic detection (newer "parent" concept; else legacy Epic Link custom field)
-    let epicKey = null;
-    let epicSource = null;
-    // Prefer parent if it's an Epic
-    const parentType =
-      f.parent?.fields?.issuetype?.name || f.parent?.issuetype?.name;
-    if (f.parent?.key && /epic/i.test(parentType || "")) {
-      epicKey = f.parent.key;
-      epicSource = "parent";
-      console.log(`Epic found via parent: ${epicKey}`);
-    } else if (epicLinkFieldId && f[epicLinkFieldId]) {
-      const val = f[epicLinkFieldId];
-      epicKey = typeof val === "string" ? val : val?.key || null;
-      epicSource = "epicLink";
-      console.log(`Epic found via Epic Link: ${epicKey}`);
-    } else {
-      console.log("No Epic relationship found");
-    }
-
-    // Handle ADF description format (Cloud) vs HTML (Server)
-    const descriptionADF = f.description || null;
-    let descriptionText;
+    const ticketData = normalizeJiraTicket(
+      data,
+      { storyPointsFieldId, sprintFieldId, epicLinkFieldId },
+      { descriptionFormat }
+    );
 
-    if (descriptionADF && typeof descriptionADF === "object") {
-      // ADF format (Cloud)
-      descriptionText = adfToText(descriptionADF);
-      console.log("Processed ADF description format");
-    } else {
-      // Plain text or HTML format (Server)
-      descriptionText = descriptionADF || null;
-      console.log("Using plain/HTML description format");
+    if (linkedFields.length) {
+      await hydrateLinkedIssues({
+        baseUrl,
+        headers,
+        tickets: [ticketData],
+        fields: linkedFields,
+        names,
+      });
     }
 
-    // Normalize linked issues
-    const relatedIssues = mapIssueLinks(f.issuelinks || []);
-    console.log(`Found ${relatedIssues.length} linked issues`);
-
-    // Build comprehensive normalized ticket data with safe property access
-    const ticketData = {
-      // Basic identification
-      key: data.key,
-      id: data.id,
-      self: data.self,
-      summary: f.summary || null,
-      description: descriptionText,
-
-      // Status and workflow (with safe access)
-      status: {
-        name: f.status?.name || "Unknown",
-        id: f.status?.id || "unknown",
-        statusCategory: f.status?.statusCategory?.name || "Unknown",
-        description: f.status?.description || "",
-      },
-
-      // Issue classification
-      issueType: {
-        name: f.issuetype?.name || "Unknown",
-        id: f.issuetype?.id || "unknown",
-        description: f.issuetype?.description || "",
-        iconUrl: f.issuetype?.iconUrl || "",
-      },
-
-      // Priority (with safe access)
-      priority: {
-        name: f.priority?.name || "Not set",
-        id: f.priority?.id || null,
-        iconUrl: f.priority?.iconUrl || null,
-      },
-
-      // People (with safe access)
-      assignee: {
-        displayName: f.assignee?.displayName || "Unassigned",
-        accountId: f.assignee?.accountId || null,
-        emailAddress: f.assignee?.emailAddress || null,
-        avatarUrls: f.assignee?.avatarUrls || null,
-      },
-
-      reporter: {
-        displayName: f.reporter?.displayName || "Unknown",
-        accountId: f.reporter?.accountId || null,
-        emailAddress: f.reporter?.emailAddress || null,
-        avatarUrls: f.reporter?.avatarUrls || null,
-      },
-
-      // Dates
-      created: f.created || null,
-      updated: f.updated || null,
-      duedate: f.duedate || null,
-      resolutiondate: f.resolutiondate || null,
-
-      // Project information
-      project: {
-        key: f.project?.key || "Unknown",
-        name: f.project?.name || "Unknown",
-        id: f.project?.id || "unknown",
-        projectTypeKey: f.project?.projectTypeKey || "unknown",
-      },
-
-      // Resolution
-      resolution: f.resolution
-        ? {
-            name: f.resolution.name,
-            description: f.resolution.description || "",
-          }
-        : null,
-
-      // Components and versions
-      components: (f.components || []).map((c) => ({
-        name: c.name || "",
-        id: c.id || "",
-        description: c.description || "",
-      })),
-
-      fixVersions: (f.fixVersions || []).map((v) => ({
-        name: v.name || "",
-        id: v.id || "",
-        description: v.description || "",
-        released: v.released || false,
-        releaseDate: v.releaseDate || null,
-      })),
-
-      affectedVersions: (f.versions || []).map((v) => ({
-        name: v.name || "",
-        id: v.id || "",
-        description: v.description || "",
-        released: v.released || false,
-        releaseDate: v.releaseDate || null,
-      })),
-
-      // Labels and environment
-      labels: f.labels || [],
-      environment: f.environment || null,
-
-      // Agile fields (dynamically discovered)
-      storyPoints,
-      storyPointsFieldId, // For caching per project
-
-      // Sprint information
-      sprintFieldId,
-      sprints,
-      activeSprint,
-
-      // Epic relationship
-      epic: epicKey ? { key: epicKey, source: epicSource } : null,
-
-      // Enhanced time tracking (pretty strings + numeric seconds + aggregates)
-      timeTracking: {
-        // Pretty formatted strings from timetracking object
-        originalEstimate: f.timetracking?.originalEstimate ?? null,
-        remainingEstimate: f.timetracking?.remainingEstimate ?? null,
-        timeSpent: f.timetracking?.timeSpent ?? null,
-
-        // Raw seconds from direct fields
-        originalEstimateSeconds: f.timeoriginalestimate ?? null,
-        remainingEstimateSeconds: f.timeestimate ?? null,
-        timeSpentSeconds: f.timespent ?? null,
-
-        // Aggregate time tracking (includes subtasks)
-        aggregate: {
-          originalEstimateSeconds: f.aggregatetimeoriginalestimate ?? null,
-          remainingEstimateSeconds: f.aggregatetimeestimate ?? null,
-          timeSpentSeconds: f.aggregatetimespent ?? null,
-        },
-      },
-
-      // Security level
-      security: f.security
-        ? {
-            name: f.security.name,
-            description: f.security.description || "",
-          }
-        : null,
-
-      // Linked issues (normalized)
-      linkedIssues: relatedIssues.map((link) => ({
-        id: link.linkId,
-        type: {
-          name: link.typeName,
-          inward: "", // Could be enhanced if needed
-          outward: "", // Could be enhanced if needed
-        },
-        direction: link.direction,
-        key: link.key,
-        targetId: link.id,
-        // Add placeholders for compatibility
-        inwardIssue:
-          link.direction === "inward"
-            ? {
-                key: link.key,
-                summary: "",
-                status: "",
-                priority: "",
-              }
-            : null,
-        outwardIssue:
-          link.direction === "outward"
-            ? {
-                key: link.key,
-                summary: "",
-                status: "",
-                priority: "",
-              }
-            : null,
-      })),
-
-      // Attachments
-      attachmentsCount: f.attachment?.length || 0,
-      attachments: (f.attachment || []).slice(0, 5).map((att) => ({
-        id: att.id || "",
-        filename: att.filename || "",
-        size: att.size || 0,
-        mimeType: att.mimeType || "",
-        created: att.created || "",
-        author: att.author?.displayName || "Unknown",
-      })),
-
-      // Comments
-      commentsCount: f.comment?.total || 0,
-      recentComments: (f.comment?.comments || []).slice(-3).map((comment) => ({
-        id: comment.id || "",
-        author: comment.author?.displayName || "Unknown",
-        body: comment.body || "",
-        created: comment.created || "",
-        updated: comment.updated || "",
-      })),
-
-      // Activity metrics
-      watchersCount: f.watches?.watchCount || 0,
-      votesCount: f.votes?.votes || 0,
-
-      // Progress
-      progress: f.progress
-        ? {
-            progress: f.progress.progress || 0,
-            total: f.progress.total || 0,
-            percent: f.progress.percent || 0,
-          }
-        : null,
-
-      // Parent/subtasks relationships
-      parent: f.parent
-        ? {
-            key: f.parent.key || "",
-            summary: f.parent.fields?.summary || "",
-            status: f.parent.fields?.status?.name || "Unknown",
-          }
-        : null,
-
-      subtasks: (f.subtasks || []).map((subtask) => ({
-        key: subtask.key || "",
-        summary: subtask.fields?.summary || "",
-        status: subtask.fields?.status?.name || "Unknown",
-        assignee: subtask.fields?.assignee?.displayName || "Unassigned",
-      })),
-
-      // Raw data for debugging (optional)
-      raw: data,
-    };
-
     console.log(`Successfully processed JIRA ticket ${issueKey}`);
     return ticketData;
   } catch (error) {
@@ -530,11 +687,184 @@ export async function fetchJiraTicketFull({ baseUrl, issueKey, auth }) {
   }
 }
 
+/**
+ * Bulk JIRA ticket fetcher
+ * Fetches many tickets through JQL `key in (...)` batches and returns the same
+ * normalized shape as fetchJiraTicketFull for every key that resolved, plus a
+ * per-key error list for misses. Custom field IDs are discovered once.
+ *
+ * Unknown keys are isolated per runKeyBatch. Keys of moved issues come back
+ * under the issue's current key; they are matched to the requested key and
+ * listed in `moved`.
+ *
+ * @param {Object} cfg
+ * @param {string} cfg.baseUrl   e.g. "https://your-domain.atlassian.net"
+ * @param {string[]} cfg.issueKeys e.g. ["SCRUM-8", "SCRUM-9"]
+ * @param {Object} cfg.auth      { email, apiToken }
+ * @param {number} [cfg.chunkSize=50] keys per JQL query
+ * @param {string} [cfg.descriptionFormat="text"] 'text' | 'markdown' | 'adf'
+ * @param {string[]} [cfg.linkedFields] extra fields to load for linked issues
+ */
+export async function fetchJiraTicketsBulk({
+  baseUrl,
+  issueKeys = [],
+  auth,
+  chunkSize = 50,
+  descriptionFormat = "text",
+  linkedFields = [],
+}) {
+  const headers = {
+    Accept: "application/json",
+    Authorization: `Basic ${Buffer.from(
+      `${auth.email}:${auth.apiToken}`
+    ).toString("base64")}`,
+  };
+
+  const keys = [...new Set(issueKeys.map((k) => String(k).trim()))].filter(
+    Boolean
+  );
+  const errors = [];
+  const byKey = new Map();
+
+  // Dynamic custom field discovery (once for the whole batch)
+  let fieldIds = {};
+  let names;
+  try {
+    names = await fetchFieldNames({ baseUrl, headers });
+    fieldIds = {
+      storyPointsFieldId: findStoryPointsFieldId(names),
+      sprintFieldId: findSprintFieldId(names),
+      epicLinkFieldId: findEpicLinkFieldId(names),
+    };
+    console.error("Custom field discovery (bulk):", {
+      ...fieldIds,
+      totalFields: Object.keys(names).length,
+    });
+  } catch (error) {
+    // Not fatal: tickets still normalize, just without custom agile fields
+    console.warn("Field discovery failed for bulk fetch:", error.message);
+  }
+
+  const describe = (error) => {
+    const status = error?.response?.status;
+    const message =
+      error?.response?.data?.errorMessages?.[0] ||
+      error?.response?.statusText ||
+      error?.message;
+    return status ? `JIRA API error (${status}): ${message}` : message;
+  };
+
+  const runJql = async (group) => {
+    const { issues } = await jqlSearchPaged({
+      baseUrl,
+      headers,
+      jql: keyIn(group),
+      fields: ["*all"],
+      pageSize: 100,
+    });
+    for (const issue of issues) {
+      byKey.set(
+        issue.key,
+        normalizeJiraTicket(issue, fieldIds, { descriptionFormat })
+      );
+    }
+  };
+
+  const valid = [];
+  for (const key of keys) {
+    try {
+      issueKeyValue(key);
+      valid.push(key);
+    } catch (error) {
+      errors.push({ key, error: error.message });
+    }
+  }
+  for (let i = 0; i < valid.length; i += chunkSize) {
+    const group = valid.slice(i, i + chunkSize);
+    console.error(
+      `Bulk fetching ${group.length} tickets (${i + group.length}/${
+        valid.length
+      })`
+    );
+    await runKeyBatch(group, runJql, (key, error, message) =>
+      errors.push({
+        key,
+        error: message ? `JIRA API error (400): ${message}` : describe(error),
+      })
+    );
+  }
+
+  // Moved issues answer to their old key but come back under the new one;
+  // look the leftover keys up one by one only when such strays exist
+  const moved = new Map();
+  const failed = new Set(errors.map((e) => e.key));
+  const missing = valid.filter((k) => !byKey.has(k) && !failed.has(k));
+  const strays = [...byKey.keys()].filter((k) => !keys.includes(k));
+  if (missing.length && strays.length) {
+    for (const key of missing) {
+      try {
+        const { issues } = await jqlSearchPaged({
+          baseUrl,
+          headers,
+          jql: keyIn([key]),
+          fields: ["key"],
+          pageSize: 1,
+          maxResults: 1,
+        });
+        const current = issues[0]?.key;
+        if (current && byKey.has(current)) moved.set(key, current);
+      } catch (error) {
+        console.warn(`Could not resolve moved key ${key}:`, describe(error));
+      }
+    }
+  }
+
+  for (const key of missing) {
+    if (!moved.has(key)) {
+      errors.push({
+        key,
+        error: `JIRA ticket ${key} not found or not visible`,
+      });
+    }
+  }
+
+  const tickets = keys
+    .map((k) => byKey.get(k) || byKey.get(moved.get(k)))
+    .filter(Boolean);
+  if (linkedFields.length) {
+    try {
+      await hydrateLinkedIssues({
+        baseUrl,
+        headers,
+        tickets,
+        fields: linkedFields,
+        names,
+      });
+    } catch (error) {
+      // Tickets are still useful without the extra linked fields
+      console.warn("Linked issue hydration failed:", error.message);
+    }
+  }
+  console.error(
+    `Bulk fetch complete: ${tickets.length} tickets, ${errors.length} errors`
+  );
+
+  return {
+    requested: keys.length,
+    tickets,
+    moved: [...moved].map(([requestedKey, key]) => ({ requestedKey, key })),
+    errors,
+    fieldIds,
+  };
+}
+
 export {
   adfToText,
   findFieldIdByName,
   findStoryPointsFieldId,
   findSprintFieldId,
   findEpicLinkFieldId,
+  fetchFieldNames,
   mapIssueLinks,
+  normalizeJiraTicket,
 };
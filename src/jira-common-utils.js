@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import axios from "axios";
+import { scopeJql } from "./utils/jql.js";
 
 /**
  * Auth header helper (Bearer OR Basic)
@@ -15,13 +16,19 @@ export function makeAuthHeader({ email, apiToken, bearer }) {
   throw new Error("Provide either { bearer } or { email, apiToken }");
 }
 
+// Errors the caller can fix by changing arguments (not upstream failures)
+export function invalidInput(message, extra = {}) {
+  return Object.assign(new Error(message), { invalidInput: true }, extra);
+}
+
 /**
  * Small pagination helper for JIRA APIs
  * Handles both "isLast/nextPage" style and traditional startAt/total pagination
+ * Pass `maxItems` to stop once that many items have been collected.
  */
 export async function pagedGet(
   url,
-  { headers, params = {}, collectPath = "values" }
+  { headers, params = {}, collectPath = "values", maxItems }
 ) {
   const all = [];
   let startAt = params.startAt || 0;
@@ -54,6 +61,11 @@ export async function pagedGet(
       break;
     }
 
+    if (typeof maxItems === "number" && all.length >= maxItems) {
+      console.error(`Pagination stopped: reached maxItems (${maxItems})`);
+      break;
+    }
+
     // Some endpoints return total; if present, stop when we've read all
     if (typeof data.total === "number") {
       const next = startAt + pageValues.length;
@@ -77,5 +89,62 @@ export async function pagedGet(
   }
 
   console.log(`Pagination complete: ${all.length} total items collected`);
-  return all;
+  return typeof maxItems === "number" ? all.slice(0, maxItems) : all;
+}
+
+/**
+ * JQL search with token pagination (Enhanced Search: /rest/api/3/search/jql)
+ * Follows nextPageToken until the result set is exhausted or `maxResults`
+ * issues have been collected. The returned nextPageToken (if any) can be
+ * passed back in to resume from where this call stopped. Without
+ * `maxResults` every page is read; when given it must be a positive integer.
+ * The query is limited to the MCP_JQL_PROJECTS allowlist when one is set.
+ */
+export async function jqlSearchPaged({
+  baseUrl,
+  headers,
+  jql,
+  fields = [],
+  expand = [],
+  pageSize = 100,
+  maxResults,
+  nextPageToken,
+}) {
+  const urlJql = `${baseUrl.replace(/\/+$/, "")}/rest/api/3/search/jql`;
+  const scopedJql = scopeJql(jql);
+  const issues = [];
+  let token = nextPageToken || undefined;
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw invalidInput("pageSize must be a positive integer");
+  }
+  if (
+    maxResults !== undefined &&
+    (!Number.isInteger(maxResults) || maxResults < 1)
+  ) {
+    throw invalidInput("maxResults must be a positive integer");
+  }
+  const limit = maxResults === undefined ? Infinity : maxResults;
+
+  while (issues.length < limit) {
+    const body = {
+      jql: scopedJql,
+      // Never ask for more than we still need so the returned token lines up
+      maxResults: Math.min(pageSize, limit - issues.length),
+      fields: fields.length ? fields : [],
+      fieldsByKeys: false,
+      ...(expand.length ? { expand: expand.join(",") } : {}),
+      ...(token ? { nextPageToken: token } : {}),
+    };
+    const { data } = await axios.post(urlJql, body, {
+      headers: {
+        ...headers,
+        Accept: "application/json",
+        "Content-Type": "application/json",
+      },
+    });
+    issues.push(...(data?.issues || []));
+    token = data?.nextPageToken;
+    if (!token) break;
+  }
+  return { issues, nextPageToken: token || null, isLast: !token };
 }
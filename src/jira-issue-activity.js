@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+import axios from "axios";
+import {
+  makeAuthHeader,
+  pagedGet,
+  jqlSearchPaged,
+} from "./jira-common-utils.js";
+import { renderRichText } from "./utils/adf-renderer.js";
+
+const issueUrl = (baseUrl, issueKey) =>
+  `${baseUrl.replace(/\/+$/, "")}/rest/api/3/issue/${encodeURIComponent(
+    issueKey
+  )}`;
+
+const normUser = (u) =>
+  u
+    ? {
+        displayName: u.displayName || "Unknown",
+        accountId: u.accountId || null,
+      }
+    : { displayName: "Automation", accountId: null };
+
+/**
+ * Flatten changelog histories into one event per changed field.
+ * Histories carry an author + timestamp and a list of items; every item
+ * becomes its own event so callers can filter on a single field.
+ */
+export function flattenChangelog(histories = []) {
+  const events = [];
+  for (const h of histories) {
+    for (const item of h.items || []) {
+      events.push({
+        historyId: h.id || null,
+        field: item.field || null,
+        fieldId: item.fieldId || null,
+        fieldType: item.fieldtype || null,
+        from: item.from ?? null,
+        fromString: item.fromString ?? null,
+        to: item.to ?? null,
+        toString: item.toString ?? null,
+        author: normUser(h.author),
+        created: h.created || null,
+      });
+    }
+  }
+  return events.sort((a, b) => Date.parse(a.created) - Date.parse(b.created));
+}
+
+/**
+ * Derive status periods from status change events.
+ * The first period starts at issue creation with the status the issue was
+ * created in (the `fromString` of the first change, or the current status
+ * when it never moved). The last period is open (exitedAt: null) and is
+ * measured up to `now`.
+ */
+function deriveStatusPeriods({ created, currentStatus, statusEvents, now }) {
+  const periods = [];
+  let status = statusEvents.length ? statusEvents[0].fromString : currentStatus;
+  let enteredAt = created;
+
+  for (const ev of statusEvents) {
+    periods.push({ status, enteredAt, exitedAt: ev.created });
+    status = ev.toString;
+    enteredAt = ev.created;
+  }
+  periods.push({ status, enteredAt, exitedAt: null });
+
+  return periods.map((p) => ({
+    ...p,
+    durationSeconds: Math.max(
+      0,
+      Math.round(
+        ((p.exitedAt ? Date.parse(p.exitedAt) : now) -
+          Date.parse(p.enteredAt)) /
+          1000
+      )
+    ),
+  }));
+}
+
+/**
+ * ISSUE HISTORY (v3 changelog)
+ * Pages through /rest/api/3/issue/{key}/changelog and returns normalized
+ * change events plus the time the issue spent in each status.
+ *
+ * Params:
+ *   issueKey: string (required)
+ *   fields: string[] restrict returned events to these fields (name or id)
+ *   since: ISO date, only return events at or after this time
+ *
+ * Status periods are always derived from the full changelog, regardless of
+ * the `fields`/`since` filters.
+ */
+export async function fetchIssueHistory({
+  baseUrl,
+  auth,
+  issueKey,
+  fields = [],
+  since,
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  console.error(`Fetching changelog for ${issueKey}`);
+
+  const { data: issue } = await axios.get(issueUrl(baseUrl, issueKey), {
+    headers,
+    params: { fields: "created,status,summary" },
+  });
+
+  const histories = await pagedGet(`${issueUrl(baseUrl, issueKey)}/changelog`, {
+    headers,
+    params: { maxResults: 100 },
+    collectPath: "values",
+  });
+
+  const allEvents = flattenChangelog(histories);
+  console.error(
+    `Changelog for ${issueKey}: ${histories.length} histories, ${allEvents.length} changes`
+  );
+
+  const created = issue?.fields?.created || null;
+  const currentStatus = issue?.fields?.status?.name || null;
+  const statusEvents = allEvents.filter(
+    (ev) => ev.fieldId === "status" || ev.field === "status"
+  );
+
+  const statusPeriods = created
+    ? deriveStatusPeriods({
+        created,
+        currentStatus,
+        statusEvents,
+        now: Date.now(),
+      })
+    : [];
+
+  // Totals per status (an issue can re-enter the same status several times)
+  const totals = new Map();
+  for (const p of statusPeriods) {
+    const t = totals.get(p.status) || {
+      status: p.status,
+      totalSeconds: 0,
+      visits: 0,
+    };
+    t.totalSeconds += p.durationSeconds;
+    t.visits += 1;
+    totals.set(p.status, t);
+  }
+
+  const wanted = fields.map((f) => String(f).toLowerCase());
+  const sinceMs = since ? Date.parse(since) : null;
+  const events = allEvents.filter(
+    (ev) =>
+      (!wanted.length ||
+        wanted.includes(String(ev.field).toLowerCase()) ||
+        wanted.includes(String(ev.fieldId).toLowerCase())) &&
+      (sinceMs === null || Date.parse(ev.created) >= sinceMs)
+  );
+
+  return {
+    issueKey: issue?.key || issueKey,
+    summary: issue?.fields?.summary || null,
+    created,
+    currentStatus,
+    totalChanges: allEvents.length,
+    filters: { fields, since: since || null },
+    events,
+    statusTransitions: statusEvents.map((ev) => ({
+      from: ev.fromString,
+      to: ev.toString,
+      author: ev.author,
+      at: ev.created,
+    })),
+    statusPeriods,
+    timeInStatus: Array.from(totals.values()),
+  };
+}
+
+/**
+ * Normalize one comment; ADF bodies (Cloud) are rendered with the same
+ * renderer used for descriptions, plain bodies (Server) pass through.
+ */
+export function normalizeComment(comment, descriptionFormat = "text") {
+  return {
+    id: comment?.id || null,
+    author: normUser(comment?.author),
+    updateAuthor: comment?.updateAuthor ? normUser(comment.updateAuthor) : null,
+    body: renderRichText(comment?.body, descriptionFormat) ?? "",
+    created: comment?.created || null,
+    updated: comment?.updated || null,
+    visibility: comment?.visibility
+      ? { type: comment.visibility.type, value: comment.visibility.value }
+      : null,
+  };
+}
+
+/**
+ * ISSUE COMMENTS (v3)
+ * Pages through /rest/api/3/issue/{key}/comment and returns every comment
+ * with its body rendered as text (default), Markdown or raw ADF.
+ *
+ * Params:
+ *   issueKey: string (required)
+ *   orderBy: 'created' | '-created' (default 'created', oldest first)
+ *   since: ISO date, only comments created at or after this time
+ *   limit: maximum number of comments to return
+ *   descriptionFormat: 'text' | 'markdown' | 'adf'
+ */
+export async function fetchIssueComments({
+  baseUrl,
+  auth,
+  issueKey,
+  orderBy = "created",
+  since,
+  limit,
+  descriptionFormat = "text",
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  console.error(`Fetching comments for ${issueKey} (orderBy=${orderBy})`);
+
+  // With a `since` filter every page is needed before the limit applies
+  const sinceMs = since ? Date.parse(since) : null;
+  const raw = await pagedGet(`${issueUrl(baseUrl, issueKey)}/comment`, {
+    headers,
+    params: { maxResults: 100, orderBy },
+    collectPath: "comments",
+    maxItems: sinceMs === null ? limit : undefined,
+  });
+
+  let comments = raw.map((c) => normalizeComment(c, descriptionFormat));
+  if (sinceMs !== null) {
+    comments = comments.filter((c) => Date.parse(c.created) >= sinceMs);
+  }
+  if (typeof limit === "number") {
+    comments = comments.slice(0, limit);
+  }
+
+  console.error(`Fetched ${comments.length} comments for ${issueKey}`);
+
+  return {
+    issueKey,
+    orderBy,
+    since: since || null,
+    limit: limit ?? null,
+    count: comments.length,
+    comments,
+  };
+}
+
+/**
+ * Group worklog entries by user, day (date part of `started`) or issue.
+ */
+function groupWorklogs(entries, groupBy) {
+  const keyOf = {
+    user: (e) => [
+      e.author.accountId || e.author.displayName,
+      e.author.displayName,
+    ],
+    day: (e) => [
+      (e.started || "").slice(0, 10),
+      (e.started || "").slice(0, 10),
+    ],
+    issue: (e) => [e.issueKey, e.issueKey],
+  }[groupBy];
+  if (!keyOf) return null;
+
+  const groups = new Map();
+  for (const e of entries) {
+    const [key, label] = keyOf(e);
+    const g = groups.get(key) || { key, label, totalSeconds: 0, count: 0 };
+    g.totalSeconds += e.timeSpentSeconds;
+    g.count += 1;
+    groups.set(key, g);
+  }
+  return Array.from(groups.values()).sort((a, b) =>
+    String(a.key).localeCompare(String(b.key))
+  );
+}
+
+/**
+ * ISSUE WORKLOGS (v3)
+ * Returns every worklog entry for one issue, or for each issue matched by a
+ * JQL query, with optional grouping by user, day or issue.
+ *
+ * Params:
+ *   issueKey: string (one of issueKey / jql is required)
+ *   jql: string, e.g. 'parent = WEB-1' to cover an epic
+ *   startedAfter / startedBefore: ISO dates bounding the worklog start time
+ *   groupBy: 'user' | 'day' | 'issue'
+ *   maxIssues: cap on issues visited for a JQL query (default 200)
+ *   descriptionFormat: 'text' | 'markdown' | 'adf' for worklog comments
+ */
+export async function fetchIssueWorklogs({
+  baseUrl,
+  auth,
+  issueKey,
+  jql,
+  startedAfter,
+  startedBefore,
+  groupBy,
+  maxIssues = 200,
+  descriptionFormat = "text",
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  let issueKeys = [];
+  let truncated = false;
+  if (issueKey) {
+    issueKeys = [issueKey];
+  } else {
+    console.error(`Resolving worklog issues with JQL: ${jql}`);
+    const { issues, isLast } = await jqlSearchPaged({
+      baseUrl,
+      headers,
+      jql,
+      fields: ["timespent"],
+      maxResults: maxIssues,
+    });
+    truncated = !isLast;
+    // Issues without logged time have nothing to fetch
+    issueKeys = issues
+      .filter((i) => (i.fields?.timespent ?? 0) > 0)
+      .map((i) => i.key);
+  }
+
+  const params = { maxResults: 1000 };
+  if (startedAfter) params.startedAfter = Date.parse(startedAfter);
+  if (startedBefore) params.startedBefore = Date.parse(startedBefore);
+
+  const entries = [];
+  for (const key of issueKeys) {
+    console.error(`Fetching worklogs for ${key}`);
+    const worklogs = await pagedGet(`${issueUrl(baseUrl, key)}/worklog`, {
+      headers,
+      params,
+      collectPath: "worklogs",
+    });
+    for (const w of worklogs) {
+      entries.push({
+        id: w.id || null,
+        issueKey: key,
+        author: normUser(w.author),
+        started: w.started || null,
+        timeSpent: w.timeSpent || null,
+        timeSpentSeconds: w.timeSpentSeconds || 0,
+        comment: renderRichText(w.comment, descriptionFormat) ?? "",
+        created: w.created || null,
+        updated: w.updated || null,
+      });
+    }
+  }
+
+  entries.sort((a, b) => Date.parse(a.started) - Date.parse(b.started));
+  console.error(
+    `Fetched ${entries.length} worklogs across ${issueKeys.length} issues`
+  );
+
+  return {
+    scope: issueKey ? { issueKey } : { jql },
+    startedAfter: startedAfter || null,
+    startedBefore: startedBefore || null,
+    issuesScanned: issueKeys.length,
+    truncated,
+    totalSeconds: entries.reduce((sum, e) => sum + e.timeSpentSeconds, 0),
+    count: entries.length,
+    groupBy: groupBy || null,
+    groups: groupBy ? groupWorklogs(entries, groupBy) : null,
+    entries,
+  };
+}
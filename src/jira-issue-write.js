@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+
+import axios from "axios";
+import { invalidInput, makeAuthHeader } from "./jira-common-utils.js";
+import {
+  fetchFieldNames,
+  findStoryPointsFieldId,
+  findEpicLinkFieldId,
+} from "./jira-client.js";
+import { markdownToAdf } from "./utils/markdown-to-adf.js";
+
+const apiBase = (baseUrl) => `${baseUrl.replace(/\/+$/, "")}/rest/api/3`;
+
+const issueUrl = (baseUrl, issueKey) =>
+  `${apiBase(baseUrl)}/issue/${encodeURIComponent(issueKey)}`;
+
+// Numeric values are sent as ids, anything else as key/name
+const idOr = (value, prop) =>
+  /^\d+$/.test(String(value)) ? { id: String(value) } : { [prop]: value };
+
+/**
+ * Turn a JIRA 4xx payload into one readable message.
+ * Create/edit errors come back as { errorMessages: [], errors: { field: msg } }.
+ */
+export function describeJiraError(error) {
+  const status = error?.response?.status;
+  const data = error?.response?.data || {};
+  const parts = [
+    ...(data.errorMessages || []),
+    ...Object.entries(data.errors || {}).map(
+      ([field, msg]) => `${field}: ${msg}`
+    ),
+  ];
+  const message = parts.length
+    ? parts.join("; ")
+    : error?.response?.statusText || error?.message;
+  return status ? `JIRA API error (${status}): ${message}` : message;
+}
+
+/**
+ * Build the POST /rest/api/3/issue body.
+ * Custom field IDs come from discovery (see resolveWriteFieldIds); an epic
+ * goes into the legacy Epic Link field when the site has one, otherwise it
+ * becomes the issue parent (team-managed and newer company-managed projects).
+ *
+ * @param {Object} issue
+ * @param {Object} fieldIds { storyPointsFieldId, epicLinkFieldId }
+ */
+export function buildCreateIssuePayload(
+  {
+    projectKey,
+    issueType,
+    summary,
+    description,
+    labels = [],
+    components = [],
+    priority,
+    assigneeAccountId,
+    parentKey,
+    epicKey,
+    storyPoints,
+  },
+  { storyPointsFieldId = null, epicLinkFieldId = null } = {}
+) {
+  const fields = {
+    project: idOr(projectKey, "key"),
+    issuetype: idOr(issueType, "name"),
+    summary,
+  };
+
+  if (description) fields.description = markdownToAdf(description);
+  if (labels.length) fields.labels = labels;
+  if (components.length) {
+    fields.components = components.map((c) => idOr(c, "name"));
+  }
+  if (priority) fields.priority = idOr(priority, "name");
+  if (assigneeAccountId) fields.assignee = { accountId: assigneeAccountId };
+  if (parentKey) fields.parent = { key: parentKey };
+
+  if (epicKey) {
+    if (epicLinkFieldId) {
+      fields[epicLinkFieldId] = epicKey;
+    } else if (!parentKey) {
+      fields.parent = { key: epicKey };
+    } else {
+      throw invalidInput(
+        "This site has no Epic Link field; pass either parentKey or epicKey, not both"
+      );
+    }
+  }
+
+  if (storyPoints !== undefined && storyPoints !== null) {
+    if (!storyPointsFieldId) {
+      throw invalidInput("No Story Points field found on this JIRA site");
+    }
+    fields[storyPointsFieldId] = storyPoints;
+  }
+
+  return { fields };
+}
+
+/**
+ * Resolve the custom field IDs writes need, only when the request uses them.
+ */
+export async function resolveWriteFieldIds({
+  baseUrl,
+  headers,
+  needStoryPoints,
+  needEpicLink,
+}) {
+  if (!needStoryPoints && !needEpicLink) {
+    return { storyPointsFieldId: null, epicLinkFieldId: null };
+  }
+  const names = await fetchFieldNames({ baseUrl, headers });
+  const fieldIds = {
+    storyPointsFieldId: findStoryPointsFieldId(names),
+    epicLinkFieldId: findEpicLinkFieldId(names),
+  };
+  console.error("Custom field discovery (create):", fieldIds);
+  return fieldIds;
+}
+
+/**
+ * CREATE ISSUE (v3)
+ * Creates an issue from Markdown input: the description is converted to ADF,
+ * Story Points / Epic Link are resolved per site.
+ *
+ * Params:
+ *   projectKey, issueType, summary: required (key/name or numeric id)
+ *   description: Markdown
+ *   labels: string[]; components: names or ids
+ *   priority: name or id; assigneeAccountId: Atlassian account id
+ *   parentKey: parent issue (sub-tasks, or epic as parent)
+ *   epicKey: epic to link (Epic Link field or parent, whichever the site uses)
+ *   storyPoints: number
+ *   dryRun: build the request but do not send it
+ *
+ * Returns { id, key, self, url, epicKey, storyPoints, fields } where
+ * `fields` is the body that was sent, or { dryRun, requests } for a dry run.
+ */
+export async function createJiraIssue({ baseUrl, auth, dryRun, ...issue }) {
+  const headers = {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    ...makeAuthHeader(auth),
+  };
+
+  const fieldIds = await resolveWriteFieldIds({
+    baseUrl,
+    headers,
+    needStoryPoints:
+      issue.storyPoints !== undefined && issue.storyPoints !== null,
+    needEpicLink: Boolean(issue.epicKey),
+  });
+  const payload = buildCreateIssuePayload(issue, fieldIds);
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      requests: [
+        { method: "POST", url: `${apiBase(baseUrl)}/issue`, body: payload },
+      ],
+    };
+  }
+
+  console.error(
+    `Creating ${issue.issueType} in ${issue.projectKey}: ${issue.summary}`
+  );
+
+  const { data } = await axios.post(`${apiBase(baseUrl)}/issue`, payload, {
+    headers,
+  });
+
+  console.error(`Created issue ${data.key}`);
+
+  return {
+    id: data.id,
+    key: data.key,
+    self: data.self || null,
+    url: `${baseUrl.replace(/\/+$/, "")}/browse/${data.key}`,
+    epicKey: issue.epicKey || null,
+    storyPoints: issue.storyPoints ?? null,
+    fields: payload.fields,
+  };
+}
+
+/**
+ * Normalize a transition from GET .../transitions?expand=transitions.fields.
+ * Screen fields keep what a caller needs to fill them: required flag,
+ * default presence and the allowed values (by id and name).
+ */
+function normalizeTransition(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    to: {
+      id: t.to?.id || null,
+      name: t.to?.name || null,
+      statusCategory: t.to?.statusCategory?.name || null,
+    },
+    hasScreen: Boolean(t.hasScreen),
+    isGlobal: Boolean(t.isGlobal),
+    isConditional: Boolean(t.isConditional),
+    fields: Object.entries(t.fields || {}).map(([fieldId, f]) => ({
+      id: fieldId,
+      name: f.name || fieldId,
+      required: Boolean(f.required),
+      hasDefaultValue: Boolean(f.hasDefaultValue),
+      type: f.schema?.type || null,
+      allowedValues: Array.isArray(f.allowedValues)
+        ? f.allowedValues.map((v) => ({
+            id: v.id ?? null,
+            name: v.name ?? v.value ?? null,
+          }))
+        : null,
+    })),
+  };
+}
+
+const describeTarget = (t) =>
+  t.name === t.to.name ? `"${t.to.name}"` : `"${t.to.name}" (via "${t.name}")`;
+
+/**
+ * LIST TRANSITIONS (v3)
+ * Returns the issue's current status and every transition available from it
+ * for the calling user, including the screen fields each one asks for.
+ */
+export async function listIssueTransitions({ baseUrl, auth, issueKey }) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  console.error(`Fetching transitions for ${issueKey}`);
+
+  const [{ data: issue }, { data }] = await Promise.all([
+    axios.get(issueUrl(baseUrl, issueKey), {
+      headers,
+      params: { fields: "status,summary" },
+    }),
+    axios.get(`${issueUrl(baseUrl, issueKey)}/transitions`, {
+      headers,
+      params: { expand: "transitions.fields" },
+    }),
+  ]);
+
+  const transitions = (data?.transitions || []).map(normalizeTransition);
+  console.error(`Found ${transitions.length} transitions for ${issueKey}`);
+
+  return {
+    issueKey: issue?.key || issueKey,
+    summary: issue?.fields?.summary || null,
+    currentStatus: issue?.fields?.status?.name || null,
+    currentStatusCategory: issue?.fields?.status?.statusCategory?.name || null,
+    transitions,
+  };
+}
+
+/**
+ * Pick the transition for a target: an exact transition id wins, then the
+ * destination status name, then the transition name (case-insensitive).
+ */
+export function matchTransition(transitions, { transitionId, status }) {
+  if (transitionId) {
+    return transitions.find((t) => String(t.id) === String(transitionId));
+  }
+  const wanted = String(status || "")
+    .trim()
+    .toLowerCase();
+  return (
+    transitions.find((t) => (t.to.name || "").toLowerCase() === wanted) ||
+    transitions.find((t) => (t.name || "").toLowerCase() === wanted)
+  );
+}
+
+// Map a caller value onto a screen field: option-like fields accept an
+// allowed value's name or id and are sent as { id }
+function screenFieldValue(field, value) {
+  if (!field?.allowedValues || typeof value !== "string") return value;
+  const wanted = value.toLowerCase();
+  const match = field.allowedValues.find(
+    (v) => String(v.id) === value || (v.name || "").toLowerCase() === wanted
+  );
+  if (!match) {
+    throw invalidInput(
+      `"${value}" is not an allowed value for ${field.name}. Allowed: ${field.allowedValues
+        .map((v) => v.name || v.id)
+        .join(", ")}`
+    );
+  }
+  return { id: String(match.id) };
+}
+
+/**
+ * TRANSITION ISSUE (v3)
+ * Moves an issue to a target status (or through a given transition id),
+ * filling screen fields and optionally adding a Markdown comment.
+ *
+ * Params:
+ *   issueKey: string (required)
+ *   status: destination status or transition name (e.g. "Done")
+ *   transitionId: explicit transition id (takes precedence over status)
+ *   fields: { fieldIdOrName: value } screen fields to set
+ *   resolution: shorthand for fields.resolution (name or id)
+ *   comment: Markdown comment added with the transition
+ *   dryRun: resolve and validate everything but do not send the transition
+ *
+ * Errors for unreachable targets or missing required fields carry
+ * `invalidInput: true` and, for unreachable targets, `validTargets`.
+ */
+export async function transitionJiraIssue({
+  baseUrl,
+  auth,
+  issueKey,
+  status,
+  transitionId,
+  fields = {},
+  resolution,
+  comment,
+  dryRun,
+}) {
+  const headers = {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    ...makeAuthHeader(auth),
+  };
+
+  const available = await listIssueTransitions({ baseUrl, auth, issueKey });
+  const transition = matchTransition(available.transitions, {
+    transitionId,
+    status,
+  });
+
+  if (!transition) {
+    const targets = available.transitions.map(describeTarget);
+    throw invalidInput(
+      `Cannot move ${issueKey} from "${available.currentStatus}" to "${
+        transitionId ? `transition ${transitionId}` : status
+      }". Valid targets: ${targets.length ? targets.join(", ") : "none"}`,
+      {
+        validTargets: available.transitions.map((t) => ({
+          transitionId: t.id,
+          transition: t.name,
+          status: t.to.name,
+        })),
+      }
+    );
+  }
+
+  // Resolve caller fields (by id or display name) against the screen
+  const requested = { ...fields };
+  if (resolution) requested.resolution = resolution;
+  const payloadFields = {};
+  for (const [nameOrId, value] of Object.entries(requested)) {
+    const field =
+      transition.fields.find((f) => f.id === nameOrId) ||
+      transition.fields.find(
+        (f) => f.name.toLowerCase() === nameOrId.toLowerCase()
+      );
+    payloadFields[field?.id || nameOrId] = screenFieldValue(field, value);
+  }
+
+  const missing = transition.fields.filter(
+    (f) => f.required && !f.hasDefaultValue && !(f.id in payloadFields)
+  );
+  if (missing.length) {
+    throw invalidInput(
+      `Transition "${transition.name}" requires: ${missing
+        .map((f) =>
+          f.allowedValues
+            ? `${f.name} (${f.allowedValues
+                .map((v) => v.name || v.id)
+                .join(", ")})`
+            : f.name
+        )
+        .join("; ")}`
+    );
+  }
+
+  const body = { transition: { id: String(transition.id) } };
+  if (Object.keys(payloadFields).length) body.fields = payloadFields;
+  if (comment) {
+    body.update = { comment: [{ add: { body: markdownToAdf(comment) } }] };
+  }
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      requests: [
+        {
+          method: "POST",
+          url: `${issueUrl(baseUrl, issueKey)}/transitions`,
+          body,
+        },
+      ],
+    };
+  }
+
+  console.error(
+    `Transitioning ${issueKey}: ${available.currentStatus} -> ${transition.to.name} (${transition.name})`
+  );
+  await axios.post(`${issueUrl(baseUrl, issueKey)}/transitions`, body, {
+    headers,
+  });
+
+  // Read the status back; post functions can land somewhere unexpected
+  const { data: after } = await axios.get(issueUrl(baseUrl, issueKey), {
+    headers,
+    params: { fields: "status,resolution" },
+  });
+
+  return {
+    issueKey: available.issueKey,
+    transition: { id: String(transition.id), name: transition.name },
+    from: available.currentStatus,
+    to: after?.fields?.status?.name || transition.to.name,
+    statusCategory:
+      after?.fields?.status?.statusCategory?.name ||
+      transition.to.statusCategory,
+    resolution: after?.fields?.resolution?.name || null,
+    fields: payloadFields,
+    commented: Boolean(comment),
+  };
+}
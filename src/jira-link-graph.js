@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+
+import {
+  invalidInput,
+  jqlSearchPaged,
+  makeAuthHeader,
+} from "./jira-common-utils.js";
+import { fetchFieldNames, findEpicLinkFieldId } from "./jira-client.js";
+import { issueKeyValue, jqlIn, keyIn, parentIn } from "./utils/jql.js";
+
+/**
+ * ISSUE LINK GRAPH
+ * Breadth-first walk from one issue over issue links and (optionally) the
+ * hierarchy: parent, subtasks, epic children and the legacy Epic Link.
+ * Every issue is visited once, so cycles cannot loop the walk; directed
+ * cycles among the followed links are reported separately.
+ *
+ * Edges always point the way the link reads: for "A blocks B" the edge is
+ * A -> B with label "blocks"; hierarchy edges go parent -> child.
+ *
+ * Params:
+ *   issueKey: string (required)
+ *   maxDepth: number (default 2) - hops from the root
+ *   linkTypes: string[] - link type names or descriptions to follow
+ *     ("Blocks", "is blocked by"); all types when omitted
+ *   direction: 'both' | 'outward' | 'inward' (default 'both') - which side
+ *     of a link to follow from each issue
+ *   includeHierarchy: boolean (default true)
+ *   maxNodes: number (default 200)
+ */
+
+const GRAPH_FIELDS = [
+  "summary",
+  "status",
+  "issuetype",
+  "priority",
+  "resolution",
+  "issuelinks",
+  "parent",
+  "subtasks",
+];
+
+const isEpic = (issuetype) =>
+  issuetype?.hierarchyLevel === 1 || /^epic$/i.test(issuetype?.name || "");
+
+// Epics and higher levels keep their children off the issue itself
+const hasChildLevel = (issuetype) =>
+  (issuetype?.hierarchyLevel ?? 0) >= 1 || isEpic(issuetype);
+
+const childType = (parentType, child) =>
+  child?.fields?.issuetype?.subtask
+    ? "Subtask"
+    : isEpic(parentType)
+      ? "Epic"
+      : "Parent";
+
+// Node fields from a full issue or the stub embedded in a link/parent
+function describeIssue(issue) {
+  const f = issue?.fields || {};
+  return {
+    id: issue?.id ? String(issue.id) : null,
+    summary: f.summary || null,
+    status: f.status?.name || null,
+    statusCategory: f.status?.statusCategory?.name || null,
+    issuetype: f.issuetype?.name || null,
+    priority: f.priority?.name || null,
+  };
+}
+
+/**
+ * Directed cycles among `edges` ({ from, to }); one cycle per back edge
+ * found by depth-first search, each listed from its first issue back to it.
+ */
+export function findCycles(edges, limit = 20) {
+  const adjacency = new Map();
+  for (const e of edges) {
+    if (!adjacency.has(e.from)) adjacency.set(e.from, []);
+    adjacency.get(e.from).push(e.to);
+  }
+  const state = new Map(); // 1 = on stack, 2 = done
+  const stack = [];
+  const cycles = [];
+
+  const visit = (key) => {
+    state.set(key, 1);
+    stack.push(key);
+    for (const next of adjacency.get(key) || []) {
+      if (cycles.length >= limit) break;
+      if (state.get(next) === 1) {
+        cycles.push([...stack.slice(stack.indexOf(next)), next]);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state.set(key, 2);
+  };
+  for (const key of adjacency.keys()) {
+    if (!state.has(key) && cycles.length < limit) visit(key);
+  }
+  return cycles;
+}
+
+export async function fetchIssueLinkGraph({
+  baseUrl,
+  auth,
+  issueKey,
+  maxDepth = 2,
+  linkTypes,
+  direction = "both",
+  includeHierarchy = true,
+  maxNodes = 200,
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  let epicLinkFieldId = null;
+  if (includeHierarchy) {
+    try {
+      epicLinkFieldId = findEpicLinkFieldId(
+        await fetchFieldNames({ baseUrl, headers })
+      );
+    } catch (error) {
+      console.warn("Field discovery failed for link graph:", error.message);
+    }
+  }
+  const fields = [...GRAPH_FIELDS, epicLinkFieldId].filter(Boolean);
+
+  const typeFilter = Array.isArray(linkTypes)
+    ? linkTypes.map((t) => String(t).toLowerCase())
+    : null;
+  const followsType = (type) =>
+    !typeFilter ||
+    [type?.name, type?.inward, type?.outward].some(
+      (n) => n && typeFilter.includes(n.toLowerCase())
+    );
+
+  // Issues by key; a key JQL cannot see is remembered as null
+  const cache = new Map();
+  const runJql = async (jql, maxResults) =>
+    (
+      await jqlSearchPaged({
+        baseUrl,
+        headers,
+        jql,
+        fields,
+        pageSize: 100,
+        maxResults,
+      })
+    ).issues;
+  const load = async (keys) => {
+    const missing = keys.filter((k) => !cache.has(k));
+    for (let i = 0; i < missing.length; i += 50) {
+      const group = missing.slice(i, i + 50);
+      let issues;
+      try {
+        issues = await runJql(keyIn(group));
+      } catch (error) {
+        if (![400, 404].includes(error?.response?.status)) throw error;
+        // One unknown or hidden key fails the whole query; retry one by one
+        issues = [];
+        for (const key of group.length > 1 ? group : []) {
+          try {
+            issues.push(...(await runJql(keyIn([key]))));
+          } catch (e) {
+            if (![400, 404].includes(e?.response?.status)) throw e;
+            console.warn(`Issue ${key} is not visible, keeping the link stub`);
+          }
+        }
+      }
+      for (const issue of issues) cache.set(issue.key, issue);
+      for (const key of group) if (!cache.has(key)) cache.set(key, null);
+    }
+  };
+
+  const nodes = new Map();
+  const edges = new Map();
+  let truncated = false;
+  let maxDepthReached = 0;
+
+  nodes.set(issueKey, { key: issueKey, depth: 0, ...describeIssue(null) });
+  let frontier = [issueKey];
+
+  for (let depth = 0; frontier.length; depth++) {
+    await load(frontier);
+    if (depth === 0 && !cache.get(issueKey)) {
+      throw invalidInput(`Issue ${issueKey} not found or not visible`);
+    }
+    maxDepthReached = depth;
+    const expand = depth < maxDepth;
+    const next = [];
+
+    // New keys join the next level while depth and node budget allow;
+    // edges between issues already in the graph are always kept
+    const discover = (key, stub) => {
+      if (nodes.has(key)) return true;
+      if (!expand) return false;
+      if (nodes.size >= maxNodes) {
+        truncated = true;
+        return false;
+      }
+      nodes.set(key, { key, depth: depth + 1, ...describeIssue(stub) });
+      next.push(key);
+      return true;
+    };
+    const addEdge = (id, edge, otherKey, stub) => {
+      if (!otherKey || !discover(otherKey, stub)) return;
+      if (!edges.has(id)) edges.set(id, { id, ...edge });
+    };
+    // otherKey is whichever end is not the issue being expanded
+    const addHierarchyEdge = (parentKey, childKey, type, otherKey, stub) =>
+      addEdge(
+        `parent:${parentKey}>${childKey}`,
+        {
+          from: parentKey,
+          to: childKey,
+          kind: "hierarchy",
+          type,
+          label: "parent of",
+        },
+        otherKey,
+        stub
+      );
+
+    const epics = [];
+    for (const key of frontier) {
+      const issue = cache.get(key);
+      const node = nodes.get(key);
+      node.visible = Boolean(issue);
+      node.expanded = expand && Boolean(issue);
+      node.resolved = issue ? Boolean(issue.fields?.resolution) : null;
+      if (!issue) continue;
+      Object.assign(node, describeIssue(issue));
+      const f = issue.fields || {};
+
+      for (const link of f.issuelinks || []) {
+        if (!followsType(link.type)) continue;
+        const edge = {
+          kind: "link",
+          type: link.type?.name || null,
+          label: link.type?.outward || null,
+        };
+        if (link.outwardIssue && direction !== "inward") {
+          addEdge(
+            `link:${link.id}`,
+            { from: key, to: link.outwardIssue.key, ...edge },
+            link.outwardIssue.key,
+            link.outwardIssue
+          );
+        }
+        if (link.inwardIssue && direction !== "outward") {
+          addEdge(
+            `link:${link.id}`,
+            { from: link.inwardIssue.key, to: key, ...edge },
+            link.inwardIssue.key,
+            link.inwardIssue
+          );
+        }
+      }
+
+      if (!includeHierarchy) continue;
+      for (const sub of f.subtasks || []) {
+        addHierarchyEdge(key, sub.key, "Subtask", sub.key, sub);
+      }
+      if (f.parent?.key) {
+        addHierarchyEdge(
+          f.parent.key,
+          key,
+          childType(f.parent.fields?.issuetype, issue),
+          f.parent.key,
+          f.parent
+        );
+      }
+      const epicLink = epicLinkFieldId ? f[epicLinkFieldId] : null;
+      if (typeof epicLink === "string" && epicLink !== f.parent?.key) {
+        addHierarchyEdge(epicLink, key, "Epic", epicLink, null);
+      }
+      if (hasChildLevel(f.issuetype)) epics.push(key);
+    }
+
+    if (expand && epics.length) {
+      // Company-managed projects may still attach children by Epic Link only
+      const clauses = [parentIn(epics)];
+      const linkEpics = epics.filter((k) =>
+        isEpic(cache.get(k)?.fields?.issuetype)
+      );
+      if (epicLinkFieldId && linkEpics.length) {
+        clauses.push(jqlIn(epicLinkFieldId, linkEpics, issueKeyValue));
+      }
+      try {
+        const children = await runJql(clauses.join(" OR "), maxNodes);
+        for (const child of children) {
+          if (!cache.has(child.key)) cache.set(child.key, child);
+          const parentKey = child.fields?.parent?.key;
+          const epicLink = epicLinkFieldId
+            ? child.fields?.[epicLinkFieldId]
+            : null;
+          if (parentKey && nodes.has(parentKey)) {
+            addHierarchyEdge(
+              parentKey,
+              child.key,
+              childType(cache.get(parentKey)?.fields?.issuetype, child),
+              child.key,
+              child
+            );
+          }
+          if (
+            typeof epicLink === "string" &&
+            epicLink !== parentKey &&
+            nodes.has(epicLink)
+          ) {
+            addHierarchyEdge(epicLink, child.key, "Epic", child.key, child);
+          }
+        }
+      } catch (error) {
+        console.warn("Failed to load epic children:", error.message);
+      }
+    }
+
+    frontier = next;
+  }
+
+  const edgeList = [...edges.values()];
+  const cycles = findCycles(edgeList.filter((e) => e.kind === "link"));
+
+  console.error(
+    `Link graph for ${issueKey}: ${nodes.size} issues, ${edgeList.length} edges, ${cycles.length} cycles`
+  );
+
+  return {
+    root: issueKey,
+    maxDepth,
+    filters: {
+      linkTypes: typeFilter ? linkTypes : null,
+      direction,
+      includeHierarchy,
+    },
+    truncated,
+    stats: {
+      nodes: nodes.size,
+      edges: edgeList.length,
+      cycles: cycles.length,
+      maxDepthReached,
+    },
+    nodes: [...nodes.values()],
+    edges: edgeList,
+    cycles,
+  };
+}
@@ -56,6 +56,60 @@ export async function searchProjects({
   return normalizedProjects;
 }
 
+/**
+ * Sprint as returned by the Agile API, reduced to the fields we expose
+ */
+export function normalizeSprint(s) {
+  return {
+    id: s.id,
+    name: s.name,
+    state: s.state,
+    startDate: s.startDate ?? null,
+    endDate: s.endDate ?? null,
+    completeDate: s.completeDate ?? null,
+    originBoardId: s.originBoardId ?? null,
+    goal: s.goal ?? null,
+  };
+}
+
+/**
+ * BOARD CONFIG (Agile v1.0)
+ * GET /board/{id}/configuration normalized to: filterId, estimation
+ * ({ displayName, fieldId } or null), columns ({ name, statusIds, min, max }),
+ * rankingFieldId, location.
+ */
+export async function fetchBoardConfig({ baseUrl, headers, boardId }) {
+  const { data: cfg } = await axios.get(
+    `${baseUrl.replace(/\/+$/, "")}/rest/agile/1.0/board/${boardId}/configuration`,
+    { headers }
+  );
+  return {
+    filterId: cfg?.filter?.id ?? null,
+    estimation: cfg?.estimation?.field
+      ? {
+          displayName: cfg.estimation.field.displayName,
+          fieldId: cfg.estimation.field.fieldId,
+        }
+      : null,
+    columns: (cfg?.columnConfig?.columns || []).map((c) => ({
+      name: c.name,
+      statusIds: (c.statuses || []).map((s) => s.id),
+      // Column WIP limits (absent when not configured)
+      min: c.min ?? null,
+      max: c.max ?? null,
+    })),
+    rankingFieldId: cfg?.ranking?.rankCustomFieldId ?? null,
+    location: cfg?.location
+      ? {
+          type: cfg.location.type,
+          projectId: cfg.location.projectId ?? null,
+          projectKey: cfg.location.key ?? cfg.location.projectKey ?? null,
+          name: cfg.location.name ?? cfg.location.displayName ?? null,
+        }
+      : null,
+  };
+}
+
 /**
  * BOARD SEARCH (Agile v1.0)
  * One-shot board search with optional filters:
@@ -122,34 +176,7 @@ export async function searchBoardsFull({
     if (includeConfig) {
       try {
         console.log(`Fetching config for board ${b.id}`);
-        const { data: cfg } = await axios.get(
-          `${baseUrl.replace(/\/+$/, "")}/rest/agile/1.0/board/${
-            b.id
-          }/configuration`,
-          { headers }
-        );
-        config = {
-          filterId: cfg?.filter?.id ?? null,
-          estimation: cfg?.estimation?.field
-            ? {
-                displayName: cfg.estimation.field.displayName,
-                fieldId: cfg.estimation.field.fieldId,
-              }
-            : null,
-          columns: (cfg?.columnConfig?.columns || []).map((c) => ({
-            name: c.name,
-            statusIds: (c.statuses || []).map((s) => s.id),
-          })),
-          rankingFieldId: cfg?.ranking?.rankCustomFieldId ?? null,
-          location: cfg?.location
-            ? {
-                type: cfg.location.type,
-                projectId: cfg.location.projectId ?? null,
-                projectKey: cfg.location.key ?? cfg.location.projectKey ?? null,
-                name: cfg.location.name ?? cfg.location.displayName ?? null,
-              }
-            : null,
-        };
+        config = await fetchBoardConfig({ baseUrl, headers, boardId: b.id });
         console.log(
           `Config loaded for board ${b.id}: ${config.columns.length} columns, filter ${config.filterId}`
         );
@@ -170,16 +197,7 @@ export async function searchBoardsFull({
         );
         activeSprints = (spr?.values || [])
           .filter((s) => s.state === "active")
-          .map((s) => ({
-            id: s.id,
-            name: s.name,
-            state: s.state,
-            startDate: s.startDate ?? null,
-            endDate: s.endDate ?? null,
-            completeDate: s.completeDate ?? null,
-            originBoardId: s.originBoardId ?? null,
-            goal: s.goal ?? null,
-          }));
+          .map(normalizeSprint);
         console.log(
           `Found ${activeSprints.length} active sprints for board ${b.id}`
         );
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+import axios from "axios";
+import { makeAuthHeader, pagedGet } from "./jira-common-utils.js";
+
+/**
+ * PROJECT VERSIONS (v3)
+ * Releases of a project with their dates, released/archived flags and how
+ * far each one is from shipping.
+ *
+ * Counts per version:
+ *   byStatusCategory - fix-version issues per status category
+ *                      (expand=issuesstatus on the version list)
+ *   issues / unresolved - GET /version/{id}/unresolvedIssueCount
+ *   affected - GET /version/{id}/relatedIssueCounts
+ *
+ * Params:
+ *   projectKeyOrId: string (required)
+ *   status: 'released' | 'unreleased' | 'archived' (comma-separated allowed)
+ *   query: string (matches name and description)
+ *   includeCounts: boolean (default true) - skip the per-version count calls
+ *   maxResults: number (default 50)
+ */
+export async function fetchProjectVersions({
+  baseUrl,
+  auth,
+  projectKeyOrId,
+  status,
+  query,
+  includeCounts = true,
+  maxResults = 50,
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+  const apiBase = `${baseUrl.replace(/\/+$/, "")}/rest/api/3`;
+
+  const params = { expand: "issuesstatus", maxResults: 50 };
+  if (status) params.status = status;
+  if (query) params.query = query;
+
+  console.error(`Fetching versions for project ${projectKeyOrId}:`, params);
+
+  const raw = await pagedGet(
+    `${apiBase}/project/${encodeURIComponent(projectKeyOrId)}/version`,
+    { headers, params, collectPath: "values", maxItems: maxResults + 1 }
+  );
+  const truncated = raw.length > maxResults;
+
+  const today = new Date().toISOString().slice(0, 10);
+  const versions = [];
+  for (const v of raw.slice(0, maxResults)) {
+    const statusCounts = v.issuesStatusForFixVersion;
+    const byStatusCategory = statusCounts
+      ? {
+          toDo: statusCounts.toDo ?? 0,
+          inProgress: statusCounts.inProgress ?? 0,
+          done: statusCounts.done ?? 0,
+          unmapped: statusCounts.unmapped ?? 0,
+        }
+      : null;
+
+    let issueCounts = null;
+    if (includeCounts) {
+      try {
+        const [{ data: unresolved }, { data: related }] = await Promise.all([
+          axios.get(`${apiBase}/version/${v.id}/unresolvedIssueCount`, {
+            headers,
+          }),
+          axios.get(`${apiBase}/version/${v.id}/relatedIssueCounts`, {
+            headers,
+          }),
+        ]);
+        issueCounts = {
+          issues: unresolved.issuesCount ?? 0,
+          unresolved: unresolved.issuesUnresolvedCount ?? 0,
+          resolved:
+            (unresolved.issuesCount ?? 0) -
+            (unresolved.issuesUnresolvedCount ?? 0),
+          affected: related.issuesAffectedCount ?? 0,
+        };
+      } catch (e) {
+        console.warn(
+          `Failed to load issue counts for version ${v.id}:`,
+          e.message
+        );
+      }
+    }
+
+    // Share of fix-version issues done (status category, else resolution)
+    const categorized = byStatusCategory
+      ? Object.values(byStatusCategory).reduce((t, n) => t + n, 0)
+      : 0;
+    let progress = null;
+    if (categorized > 0) {
+      progress = byStatusCategory.done / categorized;
+    } else if (issueCounts?.issues > 0) {
+      progress = issueCounts.resolved / issueCounts.issues;
+    }
+
+    versions.push({
+      id: String(v.id),
+      name: v.name,
+      description: v.description || null,
+      startDate: v.startDate || null,
+      releaseDate: v.releaseDate || null,
+      released: Boolean(v.released),
+      archived: Boolean(v.archived),
+      overdue:
+        v.overdue ??
+        Boolean(!v.released && v.releaseDate && v.releaseDate < today),
+      counts: {
+        byStatusCategory,
+        issues: issueCounts?.issues ?? null,
+        unresolved: issueCounts?.unresolved ?? null,
+        resolved: issueCounts?.resolved ?? null,
+        affected: issueCounts?.affected ?? null,
+      },
+      progress: progress === null ? null : Math.round(progress * 1000) / 1000,
+    });
+  }
+
+  console.error(
+    `Found ${versions.length} versions for project ${projectKeyOrId}${
+      truncated ? " (truncated)" : ""
+    }`
+  );
+
+  return {
+    project: projectKeyOrId,
+    filters: { status: status || null, query: query || null },
+    truncated,
+    summary: {
+      total: versions.length,
+      released: versions.filter((v) => v.released).length,
+      unreleased: versions.filter((v) => !v.released && !v.archived).length,
+      archived: versions.filter((v) => v.archived).length,
+      overdue: versions.filter((v) => v.overdue).length,
+    },
+    versions,
+  };
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+import { makeAuthHeader, jqlSearchPaged } from "./jira-common-utils.js";
+import { renderRichText } from "./utils/adf-renderer.js";
+
+// Fields returned when the caller does not pick their own
+export const DEFAULT_SEARCH_FIELDS = [
+  "summary",
+  "status",
+  "issuetype",
+  "priority",
+  "assignee",
+  "reporter",
+  "created",
+  "updated",
+  "labels",
+  "components",
+  "parent",
+];
+
+/**
+ * Normalize a search hit into the flat shape tools return.
+ * Well-known fields are mapped to plain values; any other requested field
+ * is passed through untouched under `fields` so callers can still read
+ * custom fields (e.g. "customfield_10016"). A requested `description` is
+ * rendered in `descriptionFormat` ('text' | 'markdown' | 'adf').
+ */
+export function normalizeSearchIssue(
+  issue,
+  { descriptionFormat = "text" } = {}
+) {
+  const f = issue.fields || {};
+  const known = new Set([...DEFAULT_SEARCH_FIELDS, "description"]);
+
+  const extra = {};
+  for (const [fieldId, value] of Object.entries(f)) {
+    if (!known.has(fieldId)) extra[fieldId] = value;
+  }
+
+  return {
+    id: issue.id,
+    key: issue.key,
+    self: issue.self || null,
+    summary: f.summary ?? null,
+    status: f.status?.name ?? null,
+    statusCategory: f.status?.statusCategory?.name ?? null,
+    issuetype: f.issuetype?.name ?? null,
+    priority: f.priority?.name ?? null,
+    assignee: f.assignee?.displayName ?? null,
+    reporter: f.reporter?.displayName ?? null,
+    created: f.created ?? null,
+    updated: f.updated ?? null,
+    labels: f.labels || [],
+    components: (f.components || []).map((c) => c.name),
+    parentKey: f.parent?.key ?? null,
+    ...("description" in f
+      ? { description: renderRichText(f.description, descriptionFormat) }
+      : {}),
+    fields: extra,
+    // Only present when requested via `expand`
+    ...(issue.renderedFields ? { renderedFields: issue.renderedFields } : {}),
+    ...(issue.names ? { names: issue.names } : {}),
+    ...(issue.changelog ? { changelog: issue.changelog } : {}),
+  };
+}
+
+/**
+ * GENERIC JQL SEARCH (v3 Enhanced Search)
+ * Runs an arbitrary JQL query and returns normalized issues plus the
+ * nextPageToken cursor so callers can resume where this page stopped.
+ *
+ * Params:
+ *   jql: string (required)
+ *   fields: string[] (defaults to DEFAULT_SEARCH_FIELDS)
+ *   expand: string[] (e.g. ["renderedFields", "names", "changelog"])
+ *   maxResults: number of issues to collect in this call
+ *   pageSize: issues per upstream request
+ *   nextPageToken: cursor returned by a previous call
+ *   descriptionFormat: 'text' | 'markdown' | 'adf' for a requested description
+ */
+export async function searchJiraIssues({
+  baseUrl,
+  auth,
+  jql,
+  fields,
+  expand = [],
+  maxResults = 50,
+  pageSize = 100,
+  nextPageToken,
+  descriptionFormat = "text",
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+  const requestedFields =
+    Array.isArray(fields) && fields.length ? fields : DEFAULT_SEARCH_FIELDS;
+
+  console.error(`Searching issues with JQL: ${jql}`);
+
+  const result = await jqlSearchPaged({
+    baseUrl,
+    headers,
+    jql,
+    fields: requestedFields,
+    expand,
+    pageSize,
+    maxResults,
+    nextPageToken,
+  });
+
+  const issues = result.issues.map((i) =>
+    normalizeSearchIssue(i, { descriptionFormat })
+  );
+  console.error(
+    `JQL search returned ${issues.length} issues (more: ${!result.isLast})`
+  );
+
+  return {
+    jql,
+    fields: requestedFields,
+    expand,
+    count: issues.length,
+    issues,
+    nextPageToken: result.nextPageToken,
+    isLast: result.isLast,
+  };
+}
@@ -0,0 +1,781 @@
+#!/usr/bin/env node
+
+import axios from "axios";
+import {
+  invalidInput,
+  jqlSearchPaged,
+  makeAuthHeader,
+  pagedGet,
+} from "./jira-common-utils.js";
+import { fetchFieldNames, findSprintFieldId } from "./jira-client.js";
+import { flattenChangelog } from "./jira-issue-activity.js";
+import { fetchBoardConfig, normalizeSprint } from "./jira-project-board.js";
+import { jqlAnd, jqlEquals, jqlString, jqlValue } from "./utils/jql.js";
+
+/**
+ * Sprint reporting (Agile v1.0 + changelog replay)
+ * Sprint scope, completion and estimates are rebuilt from issue changelogs:
+ * the Sprint field, status and the board's estimation field are replayed to
+ * get their values at any point of the sprint. Jira's own sprint report API
+ * is private, so this is the only supported way to get the numbers.
+ *
+ * Conventions follow Jira's sprint report:
+ *   - an issue is done when its status maps to the board's last column
+ *   - committed scope is what was in the sprint at its start date
+ *   - sub-tasks are left out (their parents carry the estimate)
+ */
+
+const agileBase = (baseUrl) => `${baseUrl.replace(/\/+$/, "")}/rest/agile/1.0`;
+
+const apiBase = (baseUrl) => `${baseUrl.replace(/\/+$/, "")}/rest/api/3`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const iso = (t) =>
+  t === null || t === undefined ? null : new Date(t).toISOString();
+
+// Sprint field changes hold comma-separated sprint ids ("12, 13")
+const sprintIds = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const estimateNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const sumPoints = (values) =>
+  Math.round(values.reduce((total, v) => total + (v || 0), 0) * 100) / 100;
+
+/**
+ * Value of a replayed field at time `t`: the last change at or before `t`
+ * wins, before the first change the field held that change's old value, and
+ * a field that never changed still has its current value.
+ */
+export function valueAt(events, t, current, read) {
+  if (!events.length) return current;
+  let value = read(events[0], "from");
+  for (const ev of events) {
+    if (Date.parse(ev.created) > t) break;
+    value = read(ev, "to");
+  }
+  return value;
+}
+
+// Cloud changelogs carry fieldId; older Server ones only the field name
+const isField = (ev, fieldId, name) =>
+  ev.fieldId
+    ? ev.fieldId === fieldId
+    : String(ev.field || "").toLowerCase() === String(name).toLowerCase();
+
+/**
+ * Point-in-time view of one issue built from its changelog.
+ * sprintsAt/statusAt/estimateAt/remainingSecondsAt answer "what was it at
+ * time t" (epoch ms).
+ */
+function buildTimeline(issue, histories, { sprintFieldId, estimation }) {
+  const f = issue.fields || {};
+  const events = flattenChangelog(histories);
+  const created = Date.parse(f.created);
+
+  const sprintEvents = events.filter((ev) =>
+    isField(ev, sprintFieldId, "Sprint")
+  );
+  const statusEvents = events.filter((ev) => isField(ev, "status", "status"));
+  const estimateEvents = estimation
+    ? events.filter((ev) =>
+        isField(ev, estimation.fieldId, estimation.displayName)
+      )
+    : [];
+  const remainingEvents = events.filter((ev) =>
+    isField(ev, "timeestimate", "timeestimate")
+  );
+
+  const currentSprints = (
+    Array.isArray(f[sprintFieldId]) ? f[sprintFieldId] : []
+  ).map((s) => String(s.id));
+  const currentStatus = {
+    id: f.status?.id ? String(f.status.id) : null,
+    name: f.status?.name || null,
+  };
+  const currentEstimate = estimation
+    ? estimateNumber(f[estimation.fieldId])
+    : null;
+
+  return {
+    key: issue.key,
+    summary: f.summary || null,
+    issuetype: f.issuetype?.name || null,
+    assignee: f.assignee?.displayName || null,
+    created,
+    // Times at which sprint membership or the estimate changed
+    sprintChangeTimes: sprintEvents.map((ev) => Date.parse(ev.created)),
+    estimateChangeTimes: estimateEvents.map((ev) => Date.parse(ev.created)),
+    sprintsAt: (t) =>
+      t < created
+        ? []
+        : valueAt(sprintEvents, t, currentSprints, (ev, side) =>
+            sprintIds(ev[side])
+          ),
+    statusAt: (t) =>
+      valueAt(statusEvents, t, currentStatus, (ev, side) => ({
+        id: ev[side] ?? null,
+        name: ev[`${side}String`] ?? null,
+      })),
+    estimateAt: (t) =>
+      !estimation || t < created
+        ? null
+        : valueAt(estimateEvents, t, currentEstimate, (ev, side) =>
+            estimateNumber(ev[`${side}String`] ?? ev[side])
+          ),
+    // Remaining time estimate in seconds
+    remainingSecondsAt: (t) =>
+      t < created
+        ? null
+        : valueAt(
+            remainingEvents,
+            t,
+            estimateNumber(f.timeestimate),
+            (ev, side) => estimateNumber(ev[side])
+          ),
+  };
+}
+
+/**
+ * Place an issue relative to a sprint window [start, end]: in scope at
+ * start (committed), when it joined or left during the sprint, and whether
+ * it was still in the sprint at the end. `changes` lists every join/leave
+ * in the window. Null when it never belonged.
+ */
+export function sprintScope(timeline, sprintId, start, end) {
+  const id = String(sprintId);
+  const inSprint = (t) => timeline.sprintsAt(t).includes(id);
+
+  const committed = inSprint(start);
+  let member = committed;
+  let addedAt = null;
+  let removedAt = null;
+  const changes = [];
+  const times = [timeline.created, ...timeline.sprintChangeTimes]
+    .filter((t) => t > start && t <= end)
+    .sort((a, b) => a - b);
+  for (const t of times) {
+    const now = inSprint(t);
+    if (now && !member && !committed && addedAt === null) addedAt = t;
+    if (!now && member) removedAt = t;
+    if (now !== member)
+      changes.push({ at: t, type: now ? "added" : "removed" });
+    member = now;
+  }
+
+  const atEnd = inSprint(end);
+  if (!committed && addedAt === null) return null;
+  return {
+    committed,
+    addedAt,
+    removedAt: atEnd ? null : removedAt,
+    atEnd,
+    changes,
+  };
+}
+
+/**
+ * Board facts every sprint computation needs: name/type, estimation field,
+ * filter, the site's Sprint field and the status ids that count as done.
+ */
+async function loadBoardContext({ baseUrl, headers, boardId }) {
+  const { data: board } = await axios.get(
+    `${agileBase(baseUrl)}/board/${boardId}`,
+    { headers }
+  );
+  const config = await fetchBoardConfig({ baseUrl, headers, boardId });
+
+  const sprintFieldId = findSprintFieldId(
+    await fetchFieldNames({ baseUrl, headers })
+  );
+  if (!sprintFieldId) {
+    throw invalidInput("No Sprint field found on this JIRA site");
+  }
+
+  // The board's last column is "done"; without columns fall back to the
+  // done status category
+  let doneStatusIds = [...config.columns]
+    .reverse()
+    .find((c) => c.statusIds.length)?.statusIds;
+  if (!doneStatusIds) {
+    const { data: statuses } = await axios.get(`${apiBase(baseUrl)}/status`, {
+      headers,
+    });
+    doneStatusIds = (Array.isArray(statuses) ? statuses : [])
+      .filter((s) => s.statusCategory?.key === "done")
+      .map((s) => s.id);
+  }
+
+  return {
+    board: { id: board.id, name: board.name, type: board.type },
+    estimation: config.estimation,
+    filterId: config.filterId,
+    sprintFieldId,
+    doneStatusIds: new Set(doneStatusIds.map(String)),
+  };
+}
+
+/**
+ * Closed sprints of a board, most recently completed first
+ */
+async function fetchClosedSprints({ baseUrl, headers, boardId }) {
+  const sprints = await pagedGet(
+    `${agileBase(baseUrl)}/board/${boardId}/sprint`,
+    {
+      headers,
+      params: { state: "closed", maxResults: 50 },
+      collectPath: "values",
+    }
+  );
+  const completed = (s) => Date.parse(s.completeDate || s.endDate) || 0;
+  return sprints
+    .map(normalizeSprint)
+    .sort((a, b) => completed(b) - completed(a));
+}
+
+/**
+ * Resolve a sprint selector: a sprint id, "active" or "last closed".
+ * A sprint id must belong to `boardId` so the report never mixes one board's
+ * columns and estimation with another board's sprint.
+ */
+async function resolveSprint({ baseUrl, headers, boardId, sprint }) {
+  const selector = String(sprint ?? "active")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, " ");
+
+  if (/^\d+$/.test(selector)) {
+    const { data } = await axios.get(
+      `${agileBase(baseUrl)}/sprint/${selector}`,
+      {
+        headers,
+      }
+    );
+    const resolved = normalizeSprint(data);
+    if (
+      resolved.originBoardId !== null &&
+      String(resolved.originBoardId) !== String(boardId)
+    ) {
+      throw invalidInput(
+        `Sprint ${resolved.id} belongs to board ${resolved.originBoardId}, not board ${boardId}`
+      );
+    }
+    return resolved;
+  }
+
+  if (selector === "active") {
+    const active = await pagedGet(
+      `${agileBase(baseUrl)}/board/${boardId}/sprint`,
+      {
+        headers,
+        params: { state: "active", maxResults: 50 },
+        collectPath: "values",
+      }
+    );
+    if (!active.length) {
+      throw invalidInput(`Board ${boardId} has no active sprint`);
+    }
+    if (active.length > 1) {
+      throw invalidInput(
+        `Board ${boardId} has ${active.length} active sprints; pass one of: ${active
+          .map((s) => `${s.id} (${s.name})`)
+          .join(", ")}`
+      );
+    }
+    return normalizeSprint(active[0]);
+  }
+
+  if (selector === "last closed") {
+    const [last] = await fetchClosedSprints({ baseUrl, headers, boardId });
+    if (!last) throw invalidInput(`Board ${boardId} has no closed sprints`);
+    return last;
+  }
+
+  throw invalidInput(
+    `Unknown sprint "${sprint}": use a sprint id, "active" or "last closed"`
+  );
+}
+
+/**
+ * Fetch every issue that may have been part of a sprint, with full
+ * changelogs, as timelines.
+ * `sprint = id` misses issues removed mid-sprint, so once the sprint's own
+ * issues are in, the board filter narrowed to other issues updated during
+ * the sprint window (up to the day after a finished sprint ended) is
+ * searched with what is left of `maxIssues`; the replay discards issues that
+ * never joined. An issue removed from a finished sprint and edited again
+ * after it ended is not found this way.
+ */
+async function loadSprintTimelines({
+  baseUrl,
+  headers,
+  context,
+  sprint,
+  maxIssues,
+}) {
+  const since = sprint.startDate.slice(0, 10);
+  const { end, ongoing } = sprintWindow(sprint);
+  // Date-only bound, a day late so the end day is covered in any timezone
+  const until = ongoing
+    ? null
+    : new Date(end + DAY_MS).toISOString().slice(0, 10);
+  const queries = [jqlEquals("sprint", sprint.id)];
+  if (context.filterId) {
+    queries.push(
+      jqlAnd(
+        jqlEquals("filter", context.filterId),
+        `updated >= ${jqlString(since)}`,
+        until && `updated <= ${jqlString(until)}`,
+        `sprint is EMPTY OR sprint != ${jqlValue(sprint.id)}`
+      )
+    );
+  }
+  const fields = [
+    "summary",
+    "status",
+    "issuetype",
+    "assignee",
+    "created",
+    "timeestimate",
+    context.sprintFieldId,
+    context.estimation?.fieldId,
+  ].filter(Boolean);
+
+  const issues = [];
+  let truncated = false;
+  for (const jql of queries) {
+    const remaining = maxIssues - issues.length;
+    if (remaining <= 0) {
+      truncated = true;
+      break;
+    }
+    const page = await jqlSearchPaged({
+      baseUrl,
+      headers,
+      jql,
+      fields,
+      expand: ["changelog"],
+      maxResults: remaining,
+    });
+    issues.push(...page.issues);
+    truncated = truncated || Boolean(page.nextPageToken);
+  }
+
+  const timelines = [];
+  for (const issue of issues) {
+    if (issue.fields?.issuetype?.subtask) continue;
+    let histories = issue.changelog?.histories || [];
+    // Search embeds at most one page of changelog; page the rest
+    if ((issue.changelog?.total ?? 0) > histories.length) {
+      histories = await pagedGet(
+        `${apiBase(baseUrl)}/issue/${encodeURIComponent(issue.key)}/changelog`,
+        { headers, params: { maxResults: 100 }, collectPath: "values" }
+      );
+    }
+    timelines.push(buildTimeline(issue, histories, context));
+  }
+
+  return { timelines, issuesScanned: issues.length, truncated };
+}
+
+/**
+ * Sprint window in epoch ms; an unfinished sprint is measured up to `now`.
+ */
+function sprintWindow(sprint, now = Date.now()) {
+  if (!sprint.startDate) {
+    throw invalidInput(
+      `Sprint ${sprint.name} (${sprint.id}) has not started yet`
+    );
+  }
+  const finished =
+    sprint.completeDate || (sprint.state === "closed" && sprint.endDate);
+  return {
+    start: Date.parse(sprint.startDate),
+    end: finished ? Date.parse(finished) : now,
+    ongoing: !finished,
+  };
+}
+
+/**
+ * Bucket timelines into committed / added / removed / completed /
+ * incomplete for one sprint.
+ * Estimates are taken when the issue entered scope (sprint start, or when
+ * it was added) and when it left (sprint end, or when it was removed).
+ * Totals: committed and added count the entry estimate; removed, completed
+ * and incomplete count the exit estimate.
+ */
+function buildSprintReport({ sprint, window, timelines, context }) {
+  const buckets = {
+    committed: [],
+    added: [],
+    removed: [],
+    completed: [],
+    incomplete: [],
+  };
+
+  for (const tl of timelines) {
+    const scope = sprintScope(tl, sprint.id, window.start, window.end);
+    if (!scope) continue;
+
+    const enteredAt = scope.committed ? window.start : scope.addedAt;
+    const leftAt = scope.atEnd ? window.end : scope.removedAt;
+    const status = tl.statusAt(leftAt);
+    const entry = {
+      key: tl.key,
+      summary: tl.summary,
+      issuetype: tl.issuetype,
+      assignee: tl.assignee,
+      status: status.name,
+      committed: scope.committed,
+      addedAt: iso(scope.addedAt),
+      removedAt: iso(scope.removedAt),
+      completed: scope.atEnd && context.doneStatusIds.has(String(status.id)),
+      estimateAtStart: tl.estimateAt(enteredAt),
+      estimateAtEnd: tl.estimateAt(leftAt),
+    };
+
+    if (entry.committed) buckets.committed.push(entry);
+    if (entry.addedAt) buckets.added.push(entry);
+    if (entry.removedAt) buckets.removed.push(entry);
+    if (scope.atEnd) {
+      (entry.completed ? buckets.completed : buckets.incomplete).push(entry);
+    }
+  }
+
+  const total = (list, estimateKey) => ({
+    count: list.length,
+    points: context.estimation
+      ? sumPoints(list.map((e) => e[estimateKey]))
+      : null,
+  });
+
+  return {
+    totals: {
+      committed: total(buckets.committed, "estimateAtStart"),
+      added: total(buckets.added, "estimateAtStart"),
+      removed: total(buckets.removed, "estimateAtEnd"),
+      completed: total(buckets.completed, "estimateAtEnd"),
+      incomplete: total(buckets.incomplete, "estimateAtEnd"),
+    },
+    ...buckets,
+  };
+}
+
+/**
+ * SPRINT REPORT
+ * Committed vs completed scope for one sprint of a board.
+ *
+ * Params:
+ *   boardId: number (required)
+ *   sprint: sprint id | 'active' (default) | 'last closed'
+ *   maxIssues: cap on issues scanned (default 500)
+ *
+ * Returns { board, sprint, estimation, window, issuesScanned, truncated,
+ * totals: { committed|added|removed|completed|incomplete: { count, points } },
+ * committed, added, removed, completed, incomplete }. `points` is null when
+ * the board estimates by issue count.
+ */
+export async function fetchSprintReport({
+  baseUrl,
+  auth,
+  boardId,
+  sprint = "active",
+  maxIssues = 500,
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  const context = await loadBoardContext({ baseUrl, headers, boardId });
+  const resolved = await resolveSprint({ baseUrl, headers, boardId, sprint });
+  const window = sprintWindow(resolved);
+
+  console.error(
+    `Building sprint report for ${resolved.name} (${resolved.id}) on board ${boardId}`
+  );
+
+  const { timelines, issuesScanned, truncated } = await loadSprintTimelines({
+    baseUrl,
+    headers,
+    context,
+    sprint: resolved,
+    maxIssues,
+  });
+
+  const report = buildSprintReport({
+    sprint: resolved,
+    window,
+    timelines,
+    context,
+  });
+
+  console.error(
+    `Sprint ${resolved.id}: ${report.totals.committed.count} committed, ${report.totals.completed.count} completed`
+  );
+
+  return {
+    board: context.board,
+    sprint: resolved,
+    estimation: context.estimation,
+    window: {
+      start: iso(window.start),
+      end: iso(window.end),
+      ongoing: window.ongoing,
+    },
+    issuesScanned,
+    truncated,
+    ...report,
+  };
+}
+
+// Mean, population standard deviation and range of a numeric series
+function seriesStats(values) {
+  if (!values.length) {
+    return { average: null, stdDev: null, min: null, max: null };
+  }
+  const round = (n) => Math.round(n * 100) / 100;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance =
+    values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
+  return {
+    average: round(mean),
+    stdDev: round(Math.sqrt(variance)),
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+}
+
+/**
+ * VELOCITY
+ * Committed vs completed estimate for the last `sprintCount` closed sprints
+ * of a board, oldest first, computed exactly like the sprint report.
+ *
+ * Params:
+ *   boardId: number (required)
+ *   sprintCount: closed sprints to include (default 6)
+ *   maxIssuesPerSprint: cap on issues scanned per sprint (default 500)
+ *
+ * Returns { board, estimation, basis, sprints: [{ sprint, committed,
+ * completed, completionRate, issuesScanned, truncated }], stats }.
+ * Stats use story points (or seconds) when the board has an estimation
+ * field and issue counts otherwise (`basis`: 'points' | 'count').
+ */
+export async function fetchBoardVelocity({
+  baseUrl,
+  auth,
+  boardId,
+  sprintCount = 6,
+  maxIssuesPerSprint = 500,
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  const context = await loadBoardContext({ baseUrl, headers, boardId });
+  const closed = (
+    await fetchClosedSprints({ baseUrl, headers, boardId })
+  ).filter((s) => s.startDate);
+  const selected = closed.slice(0, sprintCount).reverse();
+
+  console.error(
+    `Computing velocity for board ${boardId} over ${selected.length} closed sprints`
+  );
+
+  const basis = context.estimation ? "points" : "count";
+  const sprints = [];
+  for (const sprint of selected) {
+    const { timelines, issuesScanned, truncated } = await loadSprintTimelines({
+      baseUrl,
+      headers,
+      context,
+      sprint,
+      maxIssues: maxIssuesPerSprint,
+    });
+    const { totals } = buildSprintReport({
+      sprint,
+      window: sprintWindow(sprint),
+      timelines,
+      context,
+    });
+    const committed = totals.committed[basis];
+    sprints.push({
+      sprint,
+      committed: totals.committed,
+      completed: totals.completed,
+      completionRate: committed
+        ? Math.round((totals.completed[basis] / committed) * 100) / 100
+        : null,
+      issuesScanned,
+      truncated,
+    });
+  }
+
+  const rates = sprints.map((s) => s.completionRate).filter((r) => r !== null);
+
+  return {
+    board: context.board,
+    estimation: context.estimation,
+    basis,
+    sprints,
+    stats: {
+      sprintCount: sprints.length,
+      committed: seriesStats(sprints.map((s) => s.committed[basis])),
+      completed: seriesStats(sprints.map((s) => s.completed[basis])),
+      averageCompletionRate: rates.length
+        ? Math.round((rates.reduce((a, b) => a + b, 0) / rates.length) * 100) /
+          100
+        : null,
+    },
+  };
+}
+
+/**
+ * SPRINT BURNDOWN
+ * Daily series of total, completed and remaining scope for one sprint,
+ * replayed from changelogs. Samples are taken at the sprint start and every
+ * 24 hours after it, plus a last one at the sprint end (completion, or now
+ * for a sprint in progress), so the series does not depend on a timezone.
+ *
+ * Params: boardId, sprint ('active' | 'last closed' | id), maxIssues
+ *
+ * Each sample: { day, at, scopeIssues, completedIssues, remainingIssues,
+ * scopePoints, completedPoints, remainingPoints, remainingSeconds,
+ * guidelinePoints }. Points are null when the board estimates by issue
+ * count; guidelinePoints falls linearly from the remaining points at start
+ * to zero at the planned end date. remainingSeconds sums the remaining time
+ * estimate of issues not done.
+ * `scopeChanges` lists issues added to or removed from the sprint and
+ * estimate changes on issues in the sprint, in time order.
+ */
+export async function fetchSprintBurndown({
+  baseUrl,
+  auth,
+  boardId,
+  sprint = "active",
+  maxIssues = 500,
+}) {
+  const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+
+  const context = await loadBoardContext({ baseUrl, headers, boardId });
+  const resolved = await resolveSprint({ baseUrl, headers, boardId, sprint });
+  const window = sprintWindow(resolved);
+
+  console.error(
+    `Building burndown for ${resolved.name} (${resolved.id}) on board ${boardId}`
+  );
+
+  const { timelines, issuesScanned, truncated } = await loadSprintTimelines({
+    baseUrl,
+    headers,
+    context,
+    sprint: resolved,
+    maxIssues,
+  });
+
+  const id = String(resolved.id);
+  const estimated = Boolean(context.estimation);
+  const members = timelines
+    .map((tl) => ({
+      tl,
+      scope: sprintScope(tl, resolved.id, window.start, window.end),
+    }))
+    .filter((m) => m.scope);
+
+  const sample = (t) => {
+    const scope = [];
+    const completed = [];
+    let remainingSeconds = 0;
+    for (const { tl } of members) {
+      if (!tl.sprintsAt(t).includes(id)) continue;
+      const estimate = tl.estimateAt(t);
+      scope.push(estimate);
+      if (context.doneStatusIds.has(String(tl.statusAt(t).id))) {
+        completed.push(estimate);
+      } else {
+        remainingSeconds += tl.remainingSecondsAt(t) || 0;
+      }
+    }
+    const scopePoints = estimated ? sumPoints(scope) : null;
+    const completedPoints = estimated ? sumPoints(completed) : null;
+    return {
+      scopeIssues: scope.length,
+      completedIssues: completed.length,
+      remainingIssues: scope.length - completed.length,
+      scopePoints,
+      completedPoints,
+      remainingPoints: estimated
+        ? Math.round((scopePoints - completedPoints) * 100) / 100
+        : null,
+      remainingSeconds,
+    };
+  };
+
+  const times = [];
+  for (let t = window.start; t < window.end; t += DAY_MS) times.push(t);
+  times.push(window.end);
+
+  const plannedEnd = resolved.endDate ? Date.parse(resolved.endDate) : null;
+  let startRemaining = null;
+  const series = times.map((t, day) => {
+    const point = sample(t);
+    if (day === 0) startRemaining = point.remainingPoints;
+    const guidelinePoints =
+      estimated && plannedEnd !== null && plannedEnd > window.start
+        ? Math.max(
+            0,
+            Math.round(
+              startRemaining *
+                (1 - (t - window.start) / (plannedEnd - window.start)) *
+                100
+            ) / 100
+          )
+        : null;
+    return { day, at: iso(t), ...point, guidelinePoints };
+  });
+
+  const scopeChanges = [];
+  for (const { tl, scope } of members) {
+    for (const change of scope.changes) {
+      scopeChanges.push({
+        at: change.at,
+        key: tl.key,
+        type: change.type,
+        from: change.type === "removed" ? tl.estimateAt(change.at - 1) : null,
+        to: change.type === "added" ? tl.estimateAt(change.at) : null,
+      });
+    }
+    if (!estimated) continue;
+    for (const t of tl.estimateChangeTimes) {
+      if (t <= window.start || t > window.end) continue;
+      if (!tl.sprintsAt(t).includes(id)) continue;
+      scopeChanges.push({
+        at: t,
+        key: tl.key,
+        type: "estimate",
+        from: tl.estimateAt(t - 1),
+        to: tl.estimateAt(t),
+      });
+    }
+  }
+  scopeChanges.sort((a, b) => a.at - b.at);
+
+  return {
+    board: context.board,
+    sprint: resolved,
+    estimation: context.estimation,
+    window: {
+      start: iso(window.start),
+      end: iso(window.end),
+      plannedEnd: resolved.endDate,
+      ongoing: window.ongoing,
+    },
+    issuesScanned,
+    truncated,
+    series,
+    scopeChanges: scopeChanges.map((c) => ({ ...c, at: iso(c.at) })),
+  };
+}
@@ -0,0 +1,956 @@
+/**
+ * Tool output contracts
+ * JSON Schemas for the normalized objects each tool returns as
+ * structuredContent (output 'json' / 'both'). Advertised as `outputSchema`
+ * in tools/list so bridge consumers can generate types from them, and
+ * checked at runtime by both servers (see MCP_SCHEMA_VALIDATION) whatever
+ * the output mode.
+ *
+ * Objects we normalize ourselves are closed (additionalProperties: false)
+ * so a renamed or added field shows up as drift instead of slipping through.
+ */
+
+/** ---------- Builders ---------- */
+const str = { type: "string" };
+const num = { type: "number" };
+const int = { type: "integer" };
+const bool = { type: "boolean" };
+const nullable = (schema) => ({
+  ...schema,
+  type: [].concat(schema.type, "null"),
+  ...(schema.enum ? { enum: [...schema.enum, null] } : {}),
+});
+const arr = (items) => ({ type: "array", items });
+// Closed object; every listed property is required unless named in `optional`
+const obj = (properties, optional = []) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties).filter((k) => !optional.includes(k)),
+  additionalProperties: false,
+});
+const anyObject = { type: "object" };
+const id = { type: ["string", "number"] };
+// Rich text is a string for 'text'/'markdown' and the ADF document for 'adf'
+const richText = { type: ["string", "object", "null"] };
+
+/** ---------- Shared pieces ---------- */
+const person = obj({
+  displayName: str,
+  accountId: nullable(str),
+  emailAddress: nullable(str),
+  avatarUrls: nullable(anyObject),
+});
+
+const actor = obj({ displayName: str, accountId: nullable(str) });
+
+const version = obj({
+  name: str,
+  id: str,
+  description: str,
+  released: bool,
+  releaseDate: nullable(str),
+});
+
+const ticketSprint = obj({
+  id: nullable(id),
+  name: nullable(str),
+  state: nullable(str),
+  boardId: nullable(id),
+  startDate: nullable(str),
+  endDate: nullable(str),
+  completeDate: nullable(str),
+  goal: nullable(str),
+});
+
+const linkedIssueRef = nullable(
+  obj({
+    key: nullable(str),
+    summary: str,
+    status: str,
+    priority: str,
+    issuetype: nullable(str),
+    statusCategory: nullable(str),
+  })
+);
+
+const boardSprint = obj({
+  id: id,
+  name: str,
+  state: str,
+  startDate: nullable(str),
+  endDate: nullable(str),
+  completeDate: nullable(str),
+  originBoardId: nullable(id),
+  goal: nullable(str),
+});
+
+// Optional keys below are copied straight from upstream and may be absent
+const location = nullable(
+  obj(
+    {
+      type: str,
+      projectId: nullable(id),
+      projectKey: nullable(str),
+      name: nullable(str),
+    },
+    ["type"]
+  )
+);
+
+/** ---------- fetch_jira_ticket / fetch_ticket ---------- */
+export const TICKET_SCHEMA = obj(
+  {
+    key: str,
+    id: str,
+    self: str,
+    summary: nullable(str),
+    description: richText,
+    status: obj({
+      name: str,
+      id: str,
+      statusCategory: str,
+      description: str,
+    }),
+    issueType: obj({ name: str, id: str, description: str, iconUrl: str }),
+    priority: obj({ name: str, id: nullable(str), iconUrl: nullable(str) }),
+    assignee: person,
+    reporter: person,
+    created: nullable(str),
+    updated: nullable(str),
+    duedate: nullable(str),
+    resolutiondate: nullable(str),
+    project: obj({ key: str, name: str, id: str, projectTypeKey: str }),
+    resolution: nullable(obj({ name: str, description: str })),
+    components: arr(obj({ name: str, id: str, description: str })),
+    fixVersions: arr(version),
+    affectedVersions: arr(version),
+    labels: arr(str),
+    environment: richText,
+    storyPoints: nullable(num),
+    storyPointsFieldId: nullable(str),
+    sprintFieldId: nullable(str),
+    sprints: arr(ticketSprint),
+    activeSprint: nullable(ticketSprint),
+    epic: nullable(obj({ key: str, source: str })),
+    timeTracking: obj({
+      originalEstimate: nullable(str),
+      remainingEstimate: nullable(str),
+      timeSpent: nullable(str),
+      originalEstimateSeconds: nullable(num),
+      remainingEstimateSeconds: nullable(num),
+      timeSpentSeconds: nullable(num),
+      aggregate: obj({
+        originalEstimateSeconds: nullable(num),
+        remainingEstimateSeconds: nullable(num),
+        timeSpentSeconds: nullable(num),
+      }),
+    }),
+    security: nullable(obj({ name: str, description: str })),
+    linkedIssues: arr(
+      obj({
+        id: nullable(str),
+        type: obj({ name: nullable(str), inward: str, outward: str }),
+        direction: { type: "string", enum: ["inward", "outward"] },
+        key: nullable(str),
+        targetId: nullable(str),
+        inwardIssue: linkedIssueRef,
+        outwardIssue: linkedIssueRef,
+        // Requested linkedFields by the name they were asked for
+        fields: nullable(anyObject),
+      })
+    ),
+    attachmentsCount: int,
+    attachments: arr(
+      obj({
+        id: str,
+        filename: str,
+        size: num,
+        mimeType: str,
+        created: str,
+        author: str,
+      })
+    ),
+    commentsCount: int,
+    recentComments: arr(
+      obj({ id: str, author: str, body: richText, created: str, updated: str })
+    ),
+    watchersCount: int,
+    votesCount: int,
+    progress: nullable(obj({ progress: num, total: num, percent: num })),
+    parent: nullable(obj({ key: str, summary: str, status: str })),
+    subtasks: arr(obj({ key: str, summary: str, status: str, assignee: str })),
+  },
+  ["self"]
+);
+
+/** ---------- fetch_jira_tickets ---------- */
+export const TICKETS_BULK_SCHEMA = obj({
+  requested: int,
+  tickets: arr(TICKET_SCHEMA),
+  moved: arr(obj({ requestedKey: str, key: str })),
+  errors: arr(obj({ key: str, error: str })),
+  fieldIds: {
+    type: "object",
+    additionalProperties: nullable(str),
+  },
+});
+
+/** ---------- search_jira_projects ---------- */
+const project = obj(
+  {
+    id: str,
+    key: str,
+    name: str,
+    projectTypeKey: nullable(str),
+    simplified: nullable(bool),
+    style: nullable(str),
+    category: nullable(obj({ id: str, name: str })),
+    avatarUrls: anyObject,
+    self: str,
+  },
+  ["self"]
+);
+
+export const PROJECTS_SCHEMA = obj({
+  search: obj({
+    query: nullable(str),
+    status: nullable(str),
+    categoryId: nullable(str),
+  }),
+  count: int,
+  projects: arr(project),
+});
+
+/** ---------- search_jira_boards ---------- */
+const boardEstimation = nullable(obj({ displayName: str, fieldId: str }));
+
+export const BOARD_SCHEMA = obj(
+  {
+    id: id,
+    name: str,
+    type: str,
+    self: str,
+    location,
+    config: nullable(
+      obj({
+        filterId: nullable(id),
+        estimation: boardEstimation,
+        columns: arr(
+          obj({
+            name: str,
+            statusIds: arr(str),
+            min: nullable(int),
+            max: nullable(int),
+          })
+        ),
+        rankingFieldId: nullable(id),
+        location,
+      })
+    ),
+    activeSprints: arr(boardSprint),
+    projects: arr(
+      obj({
+        id: str,
+        key: str,
+        name: str,
+        projectTypeKey: nullable(str),
+        simplified: nullable(bool),
+        style: nullable(str),
+        avatarUrls: anyObject,
+      })
+    ),
+  },
+  ["self"]
+);
+
+export const BOARDS_SCHEMA = obj({
+  search: obj({
+    name: nullable(str),
+    type: nullable(str),
+    projectKeyOrId: nullable(str),
+  }),
+  count: int,
+  boards: arr(BOARD_SCHEMA),
+});
+
+/** ---------- search_projects_with_boards ---------- */
+export const PROJECTS_WITH_BOARDS_SCHEMA = obj({
+  search: obj({
+    projectQuery: nullable(str),
+    projectStatus: nullable(str),
+    projectCategoryId: nullable(str),
+    boardType: nullable(str),
+  }),
+  count: int,
+  results: arr(obj({ project, boards: arr(BOARD_SCHEMA) })),
+});
+
+/** ---------- fetch_jira_project_tree ---------- */
+const treeNodeFields = {
+  id: str,
+  key: str,
+  summary: nullable(str),
+  status: nullable(str),
+  issuetype: nullable(str),
+  priority: nullable(str),
+  assignee: nullable(str),
+  reporter: nullable(str),
+  parentKey: nullable(str),
+  level: int,
+  statusCategory: nullable(str),
+  done: bool,
+  storyPoints: nullable(num),
+  originalEstimateSeconds: nullable(num),
+  remainingEstimateSeconds: nullable(num),
+  rollup: obj({
+    points: obj({ done: num, total: num }),
+    timeSeconds: obj({ done: num, total: num, remaining: num }),
+    issues: obj({ done: int, total: int }),
+    progress: nullable(num),
+  }),
+};
+
+// No $ref support in the validator: nest node schemas a fixed number of
+// levels (deeper than any Jira hierarchy) and leave the remainder open
+const treeNode = (depth) =>
+  obj({
+    ...treeNodeFields,
+    children: arr(depth > 0 ? treeNode(depth - 1) : anyObject),
+  });
+
+export const PROJECT_TREE_SCHEMA = obj({
+  project: str,
+  rootJql: nullable(str),
+  maxDepth: nullable(int),
+  storyPointsFieldId: nullable(str),
+  levels: int,
+  hierarchy: arr(
+    obj({ level: int, issueTypes: arr(obj({ id: str, name: str })) })
+  ),
+  stats: obj({
+    total: int,
+    byLevel: arr(obj({ level: int, count: int })),
+    epics: int,
+    children: int,
+    subtasks: int,
+    orphans: int,
+    epicLinkChildren: int,
+    points: obj({ done: num, total: num }),
+    timeSeconds: obj({ done: num, total: num, remaining: num }),
+  }),
+  roots: arr(treeNode(6)),
+  unassigned: arr(treeNode(5)),
+});
+
+/** ---------- search_jira_issues ---------- */
+export const SEARCH_ISSUES_SCHEMA = obj({
+  jql: str,
+  fields: arr(str),
+  expand: arr(str),
+  count: int,
+  issues: arr(
+    obj(
+      {
+        id: str,
+        key: str,
+        self: nullable(str),
+        summary: nullable(str),
+        status: nullable(str),
+        statusCategory: nullable(str),
+        issuetype: nullable(str),
+        priority: nullable(str),
+        assignee: nullable(str),
+        reporter: nullable(str),
+        created: nullable(str),
+        updated: nullable(str),
+        labels: arr(str),
+        components: arr(str),
+        parentKey: nullable(str),
+        description: richText,
+        fields: anyObject,
+        renderedFields: anyObject,
+        names: anyObject,
+        changelog: anyObject,
+      },
+      ["description", "renderedFields", "names", "changelog"]
+    )
+  ),
+  nextPageToken: nullable(str),
+  isLast: bool,
+});
+
+/** ---------- fetch_jira_issue_history ---------- */
+export const ISSUE_HISTORY_SCHEMA = obj({
+  issueKey: str,
+  summary: nullable(str),
+  created: nullable(str),
+  currentStatus: nullable(str),
+  totalChanges: int,
+  filters: obj({ fields: arr(str), since: nullable(str) }),
+  events: arr(
+    obj({
+      historyId: nullable(str),
+      field: nullable(str),
+      fieldId: nullable(str),
+      fieldType: nullable(str),
+      from: nullable(str),
+      fromString: nullable(str),
+      to: nullable(str),
+      toString: nullable(str),
+      author: actor,
+      created: nullable(str),
+    })
+  ),
+  statusTransitions: arr(
+    obj({ from: nullable(str), to: nullable(str), author: actor, at: str })
+  ),
+  statusPeriods: arr(
+    obj({
+      status: nullable(str),
+      enteredAt: str,
+      exitedAt: nullable(str),
+      durationSeconds: int,
+    })
+  ),
+  timeInStatus: arr(
+    obj({ status: nullable(str), totalSeconds: int, visits: int })
+  ),
+});
+
+/** ---------- fetch_jira_comments ---------- */
+export const COMMENTS_SCHEMA = obj({
+  issueKey: str,
+  orderBy: { type: "string", enum: ["created", "-created"] },
+  since: nullable(str),
+  limit: nullable(int),
+  count: int,
+  comments: arr(
+    obj({
+      id: nullable(str),
+      author: actor,
+      updateAuthor: nullable(actor),
+      body: richText,
+      created: nullable(str),
+      updated: nullable(str),
+      visibility: nullable(obj({ type: str, value: str })),
+    })
+  ),
+});
+
+/** ---------- fetch_jira_worklogs ---------- */
+export const WORKLOGS_SCHEMA = obj({
+  scope: obj({ issueKey: str, jql: str }, ["issueKey", "jql"]),
+  startedAfter: nullable(str),
+  startedBefore: nullable(str),
+  issuesScanned: int,
+  truncated: bool,
+  totalSeconds: int,
+  count: int,
+  groupBy: nullable({ type: "string", enum: ["user", "day", "issue"] }),
+  groups: nullable(
+    arr(obj({ key: str, label: str, totalSeconds: int, count: int }))
+  ),
+  entries: arr(
+    obj({
+      id: nullable(str),
+      issueKey: str,
+      author: actor,
+      started: nullable(str),
+      timeSpent: nullable(str),
+      timeSpentSeconds: int,
+      comment: richText,
+      created: nullable(str),
+      updated: nullable(str),
+    })
+  ),
+});
+
+/** ---------- create_jira_issue ---------- */
+export const CREATE_ISSUE_SCHEMA = obj({
+  id: str,
+  key: str,
+  self: nullable(str),
+  url: str,
+  epicKey: nullable(str),
+  storyPoints: nullable(num),
+  // The create payload as sent; custom field ids vary per site
+  fields: anyObject,
+});
+
+/** ---------- list_jira_transitions ---------- */
+export const TRANSITIONS_SCHEMA = obj({
+  issueKey: str,
+  summary: nullable(str),
+  currentStatus: nullable(str),
+  currentStatusCategory: nullable(str),
+  transitions: arr(
+    obj({
+      id: str,
+      name: str,
+      to: obj({
+        id: nullable(str),
+        name: nullable(str),
+        statusCategory: nullable(str),
+      }),
+      hasScreen: bool,
+      isGlobal: bool,
+      isConditional: bool,
+      fields: arr(
+        obj({
+          id: str,
+          name: str,
+          required: bool,
+          hasDefaultValue: bool,
+          type: nullable(str),
+          allowedValues: nullable(
+            arr(obj({ id: nullable(id), name: nullable(str) }))
+          ),
+        })
+      ),
+    })
+  ),
+});
+
+/** ---------- transition_jira_issue ---------- */
+export const TRANSITION_RESULT_SCHEMA = obj({
+  issueKey: str,
+  transition: obj({ id: str, name: str }),
+  from: nullable(str),
+  to: nullable(str),
+  statusCategory: nullable(str),
+  resolution: nullable(str),
+  fields: anyObject,
+  commented: bool,
+});
+
+/** ---------- fetch_sprint_report ---------- */
+const sprintBoard = obj({ id: id, name: str, type: str });
+
+const sprintReportIssue = obj({
+  key: str,
+  summary: nullable(str),
+  issuetype: nullable(str),
+  assignee: nullable(str),
+  status: nullable(str),
+  committed: bool,
+  addedAt: nullable(str),
+  removedAt: nullable(str),
+  completed: bool,
+  estimateAtStart: nullable(num),
+  estimateAtEnd: nullable(num),
+});
+
+const bucketTotal = obj({ count: int, points: nullable(num) });
+
+export const SPRINT_REPORT_SCHEMA = obj({
+  board: sprintBoard,
+  sprint: boardSprint,
+  estimation: boardEstimation,
+  window: obj({ start: str, end: str, ongoing: bool }),
+  issuesScanned: int,
+  truncated: bool,
+  totals: obj({
+    committed: bucketTotal,
+    added: bucketTotal,
+    removed: bucketTotal,
+    completed: bucketTotal,
+    incomplete: bucketTotal,
+  }),
+  committed: arr(sprintReportIssue),
+  added: arr(sprintReportIssue),
+  removed: arr(sprintReportIssue),
+  completed: arr(sprintReportIssue),
+  incomplete: arr(sprintReportIssue),
+});
+
+/** ---------- fetch_board_velocity ---------- */
+const seriesStats = obj({
+  average: nullable(num),
+  stdDev: nullable(num),
+  min: nullable(num),
+  max: nullable(num),
+});
+
+export const BOARD_VELOCITY_SCHEMA = obj({
+  board: sprintBoard,
+  estimation: boardEstimation,
+  basis: { type: "string", enum: ["points", "count"] },
+  sprints: arr(
+    obj({
+      sprint: boardSprint,
+      committed: bucketTotal,
+      completed: bucketTotal,
+      completionRate: nullable(num),
+      issuesScanned: int,
+      truncated: bool,
+    })
+  ),
+  stats: obj({
+    sprintCount: int,
+    committed: seriesStats,
+    completed: seriesStats,
+    averageCompletionRate: nullable(num),
+  }),
+});
+
+/** ---------- fetch_sprint_burndown ---------- */
+export const SPRINT_BURNDOWN_SCHEMA = obj({
+  board: sprintBoard,
+  sprint: boardSprint,
+  estimation: boardEstimation,
+  window: obj({
+    start: str,
+    end: str,
+    plannedEnd: nullable(str),
+    ongoing: bool,
+  }),
+  issuesScanned: int,
+  truncated: bool,
+  series: arr(
+    obj({
+      day: int,
+      at: str,
+      scopeIssues: int,
+      completedIssues: int,
+      remainingIssues: int,
+      scopePoints: nullable(num),
+      completedPoints: nullable(num),
+      remainingPoints: nullable(num),
+      remainingSeconds: num,
+      guidelinePoints: nullable(num),
+    })
+  ),
+  scopeChanges: arr(
+    obj({
+      at: str,
+      key: str,
+      type: { type: "string", enum: ["added", "removed", "estimate"] },
+      from: nullable(num),
+      to: nullable(num),
+    })
+  ),
+});
+
+/** ---------- fetch_board_state ---------- */
+const boardIssue = obj({
+  key: str,
+  summary: nullable(str),
+  status: nullable(str),
+  statusId: nullable(str),
+  issuetype: nullable(str),
+  priority: nullable(str),
+  assignee: nullable(actor),
+  estimate: nullable(num),
+});
+
+const assigneeWip = obj({
+  assignee: str,
+  accountId: nullable(str),
+  count: int,
+  points: nullable(num),
+});
+
+export const BOARD_STATE_SCHEMA = obj({
+  board: sprintBoard,
+  estimation: boardEstimation,
+  scope: obj({
+    jql: nullable(str),
+    filter: nullable(str),
+    sprints: nullable(arr(boardSprint)),
+    noActiveSprint: bool,
+  }),
+  issuesScanned: int,
+  truncated: bool,
+  columns: arr(
+    obj({
+      name: str,
+      statusIds: arr(str),
+      limits: obj({ min: nullable(int), max: nullable(int) }),
+      count: int,
+      points: nullable(num),
+      wip: arr(assigneeWip),
+      overLimit: bool,
+      underLimit: bool,
+      issues: arr(boardIssue),
+    })
+  ),
+  unmapped: obj({ count: int, issues: arr(boardIssue) }),
+});
+
+/** ---------- fetch_board_backlog ---------- */
+export const BOARD_BACKLOG_SCHEMA = obj({
+  board: sprintBoard,
+  estimation: boardEstimation,
+  jql: nullable(str),
+  rankingFieldId: nullable(id),
+  issuesScanned: int,
+  truncated: bool,
+  budget: nullable(
+    obj({
+      points: num,
+      used: num,
+      remaining: num,
+      stoppedAt: nullable(str),
+    })
+  ),
+  count: int,
+  totalEstimate: nullable(num),
+  issues: arr(
+    obj({
+      rank: int,
+      key: str,
+      summary: nullable(str),
+      issuetype: nullable(str),
+      status: nullable(str),
+      priority: nullable(str),
+      assignee: nullable(actor),
+      estimate: nullable(num),
+      cumulativeEstimate: nullable(num),
+      epic: nullable(obj({ key: str, summary: nullable(str) })),
+      labels: arr(str),
+      flagged: bool,
+    })
+  ),
+});
+
+/** ---------- move_issues_to_sprint ---------- */
+export const MOVE_ISSUES_SCHEMA = obj({
+  target: str,
+  sprint: nullable(boardSprint),
+  issueKeys: arr(str),
+  rankBeforeIssue: nullable(str),
+  rankAfterIssue: nullable(str),
+  moved: int,
+});
+
+/** ---------- rank_issues ---------- */
+export const RANK_ISSUES_SCHEMA = obj({
+  issueKeys: arr(str),
+  rankBeforeIssue: nullable(str),
+  rankAfterIssue: nullable(str),
+  rankCustomFieldId: nullable(id),
+  ranked: arr(str),
+  failed: arr(obj({ issueKey: str, status: int, errors: arr(str) })),
+});
+
+/** ---------- fetch_project_versions ---------- */
+export const PROJECT_VERSIONS_SCHEMA = obj({
+  project: str,
+  filters: obj({ status: nullable(str), query: nullable(str) }),
+  truncated: bool,
+  summary: obj({
+    total: int,
+    released: int,
+    unreleased: int,
+    archived: int,
+    overdue: int,
+  }),
+  versions: arr(
+    obj({
+      id: str,
+      name: str,
+      description: nullable(str),
+      startDate: nullable(str),
+      releaseDate: nullable(str),
+      released: bool,
+      archived: bool,
+      overdue: bool,
+      counts: obj({
+        byStatusCategory: nullable(
+          obj({ toDo: int, inProgress: int, done: int, unmapped: int })
+        ),
+        issues: nullable(int),
+        unresolved: nullable(int),
+        resolved: nullable(int),
+        affected: nullable(int),
+      }),
+      progress: nullable(num),
+    })
+  ),
+});
+
+/** ---------- fetch_issue_link_graph ---------- */
+export const ISSUE_LINK_GRAPH_SCHEMA = obj({
+  root: str,
+  maxDepth: int,
+  filters: obj({
+    linkTypes: nullable(arr(str)),
+    direction: str,
+    includeHierarchy: bool,
+  }),
+  truncated: bool,
+  stats: obj({ nodes: int, edges: int, cycles: int, maxDepthReached: int }),
+  nodes: arr(
+    obj({
+      key: str,
+      depth: int,
+      id: nullable(str),
+      summary: nullable(str),
+      status: nullable(str),
+      statusCategory: nullable(str),
+      issuetype: nullable(str),
+      priority: nullable(str),
+      visible: bool,
+      expanded: bool,
+      resolved: nullable(bool),
+    })
+  ),
+  edges: arr(
+    obj({
+      id: str,
+      from: str,
+      to: str,
+      kind: str,
+      type: nullable(str),
+      label: nullable(str),
+    })
+  ),
+  cycles: arr(arr(str)),
+});
+
+/** ---------- fetch_perplexity_data ---------- */
+export const PERPLEXITY_SEARCH_RESULT_SCHEMA = obj(
+  {
+    search_metadata: obj({
+      query: str,
+      original_query: nullable(str),
+      space_name: nullable(str),
+      user: nullable(str),
+      timestamp: str,
+      domain_filter: nullable(str),
+      recency_filter: nullable(str),
+      max_results: int,
+    }),
+    content: str,
+    sources: arr(obj({ id: int, name: str, url: str, snippet: str })),
+    citations: arr(str),
+    usage: anyObject,
+    cache_hit: bool,
+    cached_at: str,
+  },
+  ["cached_at"]
+);
+
+/** ---------- add_numbers ---------- */
+export const ADD_NUMBERS_SCHEMA = obj({ numbers: arr(num), sum: num });
+
+/** ---------- stdio server (src/stdio.js) ----------
+ * The standalone stdio server has its own, smaller tool set whose results
+ * are shaped differently from the LocalMCPServer tools of the same name. */
+const STDIO_TICKET_SCHEMA = obj({
+  key: str,
+  summary: nullable(str),
+  status: str,
+  issueType: str,
+  priority: str,
+  assignee: str,
+  reporter: str,
+  created: nullable(str),
+  updated: nullable(str),
+  description: richText,
+});
+
+const STDIO_WHOAMI_SCHEMA = obj(
+  {
+    accountId: str,
+    displayName: nullable(str),
+    emailAddress: nullable(str),
+    active: nullable(bool),
+    timeZone: nullable(str),
+    locale: nullable(str),
+  },
+  ["displayName", "emailAddress", "active", "timeZone", "locale"]
+);
+
+const STDIO_PROJECTS_SCHEMA = obj(
+  {
+    projects: arr(
+      obj(
+        {
+          key: str,
+          name: str,
+          projectTypeKey: nullable(str),
+          style: nullable(str),
+          lead: str,
+        },
+        ["projectTypeKey", "style"]
+      )
+    ),
+    total: nullable(int),
+  },
+  ["total"]
+);
+
+const STDIO_CURRENT_SPRINT_SCHEMA = obj({
+  projectKey: str,
+  boardId: id,
+  sprints: arr(
+    obj(
+      {
+        id: int,
+        name: str,
+        state: str,
+        startDate: nullable(str),
+        endDate: nullable(str),
+        goal: str,
+      },
+      ["startDate", "endDate"]
+    )
+  ),
+});
+
+const STDIO_PERPLEXITY_SCHEMA = obj({
+  search_metadata: obj({
+    query: str,
+    timestamp: str,
+    recency_filter: nullable(str),
+    domain_filter: nullable(str),
+  }),
+  content: str,
+  citations: { type: "array" },
+  sources: { type: "array" },
+  raw_response: anyObject,
+  instructions_for_local_llm: str,
+  cache_hit: bool,
+  search_id: str,
+});
+
+export const STDIO_TOOL_OUTPUT_SCHEMAS = {
+  add_numbers: ADD_NUMBERS_SCHEMA,
+  jira_whoami: STDIO_WHOAMI_SCHEMA,
+  fetch_jira_ticket: STDIO_TICKET_SCHEMA,
+  fetch_jira_projects: STDIO_PROJECTS_SCHEMA,
+  fetch_current_sprint: STDIO_CURRENT_SPRINT_SCHEMA,
+  fetch_perplexity_data: STDIO_PERPLEXITY_SCHEMA,
+};
+
+/**
+ * Output schema per tool name (aliases share their target's schema)
+ */
+export const TOOL_OUTPUT_SCHEMAS = {
+  add_numbers: ADD_NUMBERS_SCHEMA,
+  fetch_jira_ticket: TICKET_SCHEMA,
+  fetch_ticket: TICKET_SCHEMA,
+  fetch_jira_tickets: TICKETS_BULK_SCHEMA,
+  fetch_perplexity_data: PERPLEXITY_SEARCH_RESULT_SCHEMA,
+  search_jira_projects: PROJECTS_SCHEMA,
+  search_jira_boards: BOARDS_SCHEMA,
+  search_projects_with_boards: PROJECTS_WITH_BOARDS_SCHEMA,
+  fetch_jira_project_tree: PROJECT_TREE_SCHEMA,
+  search_jira_issues: SEARCH_ISSUES_SCHEMA,
+  fetch_jira_issue_history: ISSUE_HISTORY_SCHEMA,
+  fetch_jira_comments: COMMENTS_SCHEMA,
+  fetch_jira_worklogs: WORKLOGS_SCHEMA,
+  create_jira_issue: CREATE_ISSUE_SCHEMA,
+  list_jira_transitions: TRANSITIONS_SCHEMA,
+  transition_jira_issue: TRANSITION_RESULT_SCHEMA,
+  fetch_sprint_report: SPRINT_REPORT_SCHEMA,
+  fetch_board_velocity: BOARD_VELOCITY_SCHEMA,
+  fetch_sprint_burndown: SPRINT_BURNDOWN_SCHEMA,
+  fetch_board_state: BOARD_STATE_SCHEMA,
+  fetch_board_backlog: BOARD_BACKLOG_SCHEMA,
+  move_issues_to_sprint: MOVE_ISSUES_SCHEMA,
+  rank_issues: RANK_ISSUES_SCHEMA,
+  fetch_project_versions: PROJECT_VERSIONS_SCHEMA,
+  fetch_issue_link_graph: ISSUE_LINK_GRAPH_SCHEMA,
+};
@@ -0,0 +1,79 @@
+/**
+ * Minimal JSON Schema validator for tool output contracts.
+ * Supports the subset the output schemas use: type (incl. arrays of types,
+ * "integer" and "null"), enum, properties, required, additionalProperties,
+ * items and anyOf. Returns a list of "path: problem" strings (empty = valid).
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(
+    (t) => t === actual || (t === "number" && actual === "integer")
+  );
+}
+
+export function validateAgainstSchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some(
+      (s) => validateAgainstSchema(value, s, path).length === 0
+    );
+    if (!ok) errors.push(`${path}: does not match any allowed schema`);
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(
+      `${path}: expected ${[].concat(schema.type).join("|")}, got ${typeOf(
+        value
+      )}`
+    );
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of the enum`);
+  }
+
+  if (typeOf(value) === "object") {
+    // Keys holding undefined are dropped on serialization, treat as absent
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (props[key]) {
+        errors.push(...validateAgainstSchema(v, props[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not declared in the schema`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateAgainstSchema(
+            v,
+            schema.additionalProperties,
+            `${path}.${key}`
+          )
+        );
+      }
+    }
+  }
+
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((item, i) =>
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`))
+    );
+  }
+
+  return errors;
+}
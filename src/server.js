@@ -15,13 +15,49 @@ import axios from "axios";
 import express from "express";
 import cors from "cors";
 import { PerplexityTool } from "./tools/perplexity.js";
-import { fetchJiraTicketFull } from "./jira-client.js";
+import { fetchJiraTicketFull, fetchJiraTicketsBulk } from "./jira-client.js";
 import {
   searchProjects,
   searchBoardsFull,
   searchProjectsWithBoards,
 } from "./jira-project-board.js";
-import { fetchProjectTree3Levels } from "./utils/jira-project-tree.js";
+import { fetchProjectTree } from "./utils/jira-project-tree.js";
+import { searchJiraIssues } from "./jira-search.js";
+import { RICH_TEXT_FORMATS } from "./utils/adf-renderer.js";
+import {
+  fetchIssueHistory,
+  fetchIssueComments,
+  fetchIssueWorklogs,
+} from "./jira-issue-activity.js";
+import {
+  createJiraIssue,
+  describeJiraError,
+  listIssueTransitions,
+  transitionJiraIssue,
+} from "./jira-issue-write.js";
+import {
+  fetchBoardVelocity,
+  fetchSprintBurndown,
+  fetchSprintReport,
+} from "./jira-sprint-reports.js";
+import { fetchBoardBacklog, fetchBoardState } from "./jira-board-views.js";
+import {
+  MAX_AGILE_ISSUES,
+  moveIssuesToSprint,
+  rankIssues,
+} from "./jira-agile-write.js";
+import { fetchProjectVersions } from "./jira-project-versions.js";
+import { fetchIssueLinkGraph } from "./jira-link-graph.js";
+import { WriteGuard, WRITE_GUARD_PROPERTIES } from "./write-guard.js";
+import { ISSUE_KEY_PATTERN, ISSUE_KEY_RE } from "./utils/jql.js";
+import {
+  AuditLog,
+  AUDIT_RESOURCE,
+  callerFromClientInfo,
+  callerFromRequest,
+} from "./audit-log.js";
+import { TOOL_OUTPUT_SCHEMAS } from "./schemas/tool-outputs.js";
+import { validateAgainstSchema } from "./schemas/validate.js";
 
 // Load environment variables
 dotenv.config();
@@ -33,10 +69,55 @@ const JIRA_CONFIG = {
   apiToken: process.env.JIRA_API_TOKEN,
 };
 
+const OUTPUT_MODES = ["text", "json", "both"];
+
+// Normalized object behind a text-only result, kept for the schema check
+// (symbol keys are not serialized, so it never reaches the client)
+const OUTPUT_DATA = Symbol("outputData");
+
+// The normalized output is checked against the tool's output schema in every
+// output mode: 'off' skips the check, 'warn' logs violations, 'strict' fails
+// the call
+const SCHEMA_VALIDATION_MODE = ["off", "warn", "strict"].includes(
+  process.env.MCP_SCHEMA_VALIDATION,
+)
+  ? process.env.MCP_SCHEMA_VALIDATION
+  : "warn";
+
+// Shared input property for tools that return descriptions or comments
+const DESCRIPTION_FORMAT_PROPERTY = {
+  type: "string",
+  enum: RICH_TEXT_FORMATS,
+  default: "text",
+  description:
+    "Rich text rendering: 'text' (structured plain text), 'markdown', or 'adf' (raw document)",
+};
+
+// Shared input property for tools that return tickets with linked issues
+const LINKED_FIELDS_PROPERTY = {
+  type: "array",
+  items: { type: "string" },
+  maxItems: 20,
+  description:
+    'Extra fields to load for every linked issue in one batched query, by id or name (e.g., ["assignee", "Story Points"])',
+};
+
+// Shared input property selecting human-readable text, JSON, or both
+const OUTPUT_PROPERTY = {
+  type: "string",
+  enum: OUTPUT_MODES,
+  default: "text",
+  description:
+    "Result format: 'text' (readable summary), 'json' (normalized object, also sent as structuredContent), or 'both'",
+};
+
 class LocalMCPServer {
   constructor() {
     // Initialize tool instances
     this.perplexityTool = new PerplexityTool();
+    this.writeGuard = new WriteGuard();
+    this.auditLog = new AuditLog();
+    this.auditLog.instrumentAxios(axios);
     // Diagnostics state and axios defaults
     this.lastErrorSummary = null;
     try {
@@ -77,7 +158,7 @@ class LocalMCPServer {
   }
 
   async handleListTools() {
-    return {
+    return this.withOutputSchemas({
       tools: [
         {
           name: "add_numbers",
@@ -104,8 +185,11 @@ class LocalMCPServer {
               ticketKey: {
                 type: "string",
                 description: "JIRA ticket key (e.g., PROJ-123)",
-                pattern: "^[A-Z]+-[0-9]+$",
+                pattern: ISSUE_KEY_PATTERN,
               },
+              descriptionFormat: DESCRIPTION_FORMAT_PROPERTY,
+              linkedFields: LINKED_FIELDS_PROPERTY,
+              output: OUTPUT_PROPERTY,
             },
             required: ["ticketKey"],
           },
@@ -120,12 +204,39 @@ class LocalMCPServer {
               ticketKey: {
                 type: "string",
                 description: "JIRA ticket key (e.g., SCRUM-42)",
-                pattern: "^[A-Z]+-[0-9]+$",
+                pattern: ISSUE_KEY_PATTERN,
               },
+              descriptionFormat: DESCRIPTION_FORMAT_PROPERTY,
+              linkedFields: LINKED_FIELDS_PROPERTY,
+              output: OUTPUT_PROPERTY,
             },
             required: ["ticketKey"],
           },
         },
+        {
+          name: "fetch_jira_tickets",
+          description:
+            "Fetch many JIRA tickets in one call (batched JQL), with per-key errors for misses",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ticketKeys: {
+                type: "array",
+                items: {
+                  type: "string",
+                  pattern: ISSUE_KEY_PATTERN,
+                },
+                minItems: 1,
+                maxItems: 500,
+                description: "JIRA ticket keys (e.g., ['PROJ-1', 'PROJ-2'])",
+              },
+              descriptionFormat: DESCRIPTION_FORMAT_PROPERTY,
+              linkedFields: LINKED_FIELDS_PROPERTY,
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["ticketKeys"],
+          },
+        },
         this.perplexityTool.getToolDefinition(),
         {
           name: "search_jira_projects",
@@ -154,6 +265,7 @@ class LocalMCPServer {
                 maximum: 100,
                 description: "Maximum number of results to return",
               },
+              output: OUTPUT_PROPERTY,
             },
           },
         },
@@ -201,6 +313,7 @@ class LocalMCPServer {
                 default: true,
                 description: "Include projects associated with the board",
               },
+              output: OUTPUT_PROPERTY,
             },
           },
         },
@@ -239,13 +352,14 @@ class LocalMCPServer {
                 default: true,
                 description: "Include active sprint information",
               },
+              output: OUTPUT_PROPERTY,
             },
           },
         },
         {
           name: "fetch_jira_project_tree",
           description:
-            "Fetch complete 3-level JIRA project tree: Project → Epics → Issues → Subtasks",
+            "Fetch a JIRA project tree following the site's issue type hierarchy: Initiative/Theme levels (Jira Premium) → Epics → Issues → Subtasks",
           inputSchema: {
             type: "object",
             properties: {
@@ -253,6 +367,23 @@ class LocalMCPServer {
                 type: "string",
                 description: "Project key (e.g., 'WEB') or project ID",
               },
+              rootJql: {
+                type: "string",
+                description:
+                  "JQL selecting the root issues within the project, without ORDER BY (default: every issue of the top hierarchy level)",
+              },
+              maxDepth: {
+                type: "number",
+                minimum: 0,
+                maximum: 10,
+                description:
+                  "Levels to descend below the roots (default: down to subtasks)",
+              },
+              includeOrphans: {
+                type: "boolean",
+                description:
+                  "List issues without a parent or Epic Link under Unassigned (default: true unless rootJql is set)",
+              },
               pageSize: {
                 type: "number",
                 description: "Items per page (default: 100)",
@@ -260,437 +391,3322 @@ class LocalMCPServer {
                 minimum: 1,
                 maximum: 500,
               },
+              output: OUTPUT_PROPERTY,
             },
             required: ["projectKeyOrId"],
           },
         },
-      ],
-    };
-  }
-
-  async handleListResources() {
-    return {
-      resources: [],
-    };
-  }
-
-  async handleReadResource(request) {
-    throw new McpError(ErrorCode.InvalidRequest, "No resources available");
-  }
-
-  async handleCall(request) {
-    console.error("handleCall received:", JSON.stringify(request, null, 2));
-    const { name, arguments: args, _auth } = request.params || {};
-    console.error("Tool called:", name, args ? Object.keys(args) : "no args");
-
-    if (!name) {
-      throw new McpError(
-        ErrorCode.InvalidRequest,
-        "Missing tool name in request",
-      );
-    }
-
-    try {
-      switch (name) {
-        case "add_numbers":
-          return this.handleAddNumbers(args);
-        case "fetch_jira_ticket":
-        case "fetch_ticket": // Lane B compatibility alias
-          return this.handleFetchJiraTicket(args);
-        case "fetch_perplexity_data":
-          return this.perplexityTool.execute(args, _auth);
-        case "search_jira_projects":
-          return this.handleSearchJiraProjects(args);
-        case "search_jira_boards":
-          return this.handleSearchJiraBoards(args);
-        case "search_projects_with_boards":
-          return this.handleSearchProjectsWithBoards(args);
-        case "fetch_jira_project_tree":
-          return this.handleFetchJiraProjectTree(args);
-        default:
-          throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-      }
-    } catch (err) {
-      console.error("Tool execution error:", err);
-      if (err instanceof McpError) throw err;
-      throw new McpError(ErrorCode.InternalError, err.message);
-    }
-  }
-
-  async handleAddNumbers(args) {
-    const { numbers } = args || {};
-    if (!Array.isArray(numbers)) {
-      throw new McpError(ErrorCode.InvalidParams, "Numbers must be an array");
-    }
-    if (numbers.length < 2) {
-      throw new McpError(
-        ErrorCode.InvalidParams,
-        "At least 2 numbers are required",
-      );
-    }
-    for (const n of numbers) {
-      if (typeof n !== "number" || isNaN(n)) {
-        throw new McpError(ErrorCode.InvalidParams, `Invalid number: ${n}`);
-      }
-    }
-    const sum = numbers.reduce((a, b) => a + b, 0);
-    return {
-      content: [
         {
-          type: "text",
-          text: `Added ${numbers.length} numbers: ${numbers.join(
-            " + ",
-          )} = ${sum}`,
-        },
-      ],
-    };
-  }
-
-  async handleFetchJiraTicket(args) {
-    const { ticketKey } = args || {};
-    if (!ticketKey || typeof ticketKey !== "string") {
-      throw new McpError(
-        ErrorCode.InvalidParams,
-        "Ticket key is required and must be a string",
-      );
-    }
-    if (!/^[A-Z]+-[0-9]+$/.test(ticketKey)) {
-      throw new McpError(
-        ErrorCode.InvalidParams,
-        "Invalid ticket key format. Expected format: PROJ-123",
-      );
-    }
-
-    console.log(`Fetching JIRA ticket: ${ticketKey}`);
-
-    try {
-      // Use the enhanced JIRA client
-      const ticketData = await fetchJiraTicketFull({
-        baseUrl: JIRA_CONFIG.baseUrl,
-        issueKey: ticketKey,
-        auth: {
-          email: JIRA_CONFIG.email,
-          apiToken: JIRA_CONFIG.apiToken,
+          name: "search_jira_issues",
+          description:
+            "Search JIRA issues with a raw JQL query, selected fields and resumable token pagination",
+          inputSchema: {
+            type: "object",
+            properties: {
+              jql: {
+                type: "string",
+                description:
+                  "JQL query (e.g., 'project = WEB AND issuetype = Bug AND statusCategory != Done')",
+              },
+              fields: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Fields to return (default: summary, status, issuetype, priority, assignee, reporter, created, updated, labels, components, parent)",
+              },
+              expand: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Expand options (e.g., 'renderedFields', 'names', 'changelog')",
+              },
+              maxResults: {
+                type: "number",
+                description: "Maximum number of issues to return in this call",
+                default: 50,
+                minimum: 1,
+                maximum: 1000,
+              },
+              pageSize: {
+                type: "number",
+                description: "Issues per upstream request (default: 100)",
+                default: 100,
+                minimum: 1,
+                maximum: 100,
+              },
+              nextPageToken: {
+                type: "string",
+                description:
+                  "Cursor returned by a previous call to resume the search",
+              },
+              descriptionFormat: DESCRIPTION_FORMAT_PROPERTY,
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["jql"],
+          },
         },
-      });
-
-      console.log(`Successfully fetched JIRA ticket: ${ticketKey}`);
-
-      // Format the comprehensive response using existing formatter
-      const responseText = this.formatJiraTicketResponse(ticketData);
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: responseText,
+        {
+          name: "fetch_jira_issue_history",
+          description:
+            "Fetch an issue's changelog as normalized change events, with time spent in each status",
+          inputSchema: {
+            type: "object",
+            properties: {
+              issueKey: {
+                type: "string",
+                description: "JIRA issue key (e.g., PROJ-123)",
+                pattern: ISSUE_KEY_PATTERN,
+              },
+              fields: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Only return changes to these fields (e.g., ['status', 'assignee'])",
+              },
+              since: {
+                type: "string",
+                description:
+                  "Only return changes at or after this ISO date (e.g., 2025-01-31)",
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["issueKey"],
           },
-        ],
-      };
-    } catch (error) {
-      const status = error?.response?.status;
-      let dataSnippet;
-      try {
-        dataSnippet = JSON.stringify(error?.response?.data)?.slice(0, 1000);
-      } catch {}
-      console.error("Enhanced JIRA client error:", error?.message || error, {
-        status,
-        dataSnippet,
-      });
-
-      // Convert to MCP error format
-      if (String(error?.message || "").includes("not found")) {
-        throw new McpError(ErrorCode.InvalidParams, error.message);
-      } else if (
-        String(error?.message || "").includes("authentication") ||
-        String(error?.message || "").includes("access denied")
-      ) {
-        throw new McpError(ErrorCode.InvalidParams, error.message);
-      } else {
-        throw new McpError(
-          ErrorCode.InternalError,
-          error.message || "unknown error",
-        );
-      }
-    }
-  }
-
-  async handleSearchJiraProjects(args) {
-    const { query, status, categoryId, maxResults = 50 } = args || {};
-
-    console.log(
-      `Searching JIRA projects with query: "${query}", status: ${status}`,
-    );
-
-    try {
-      const projects = await searchProjects({
-        baseUrl: JIRA_CONFIG.baseUrl,
-        auth: {
-          email: JIRA_CONFIG.email,
-          apiToken: JIRA_CONFIG.apiToken,
         },
-        query,
-        status,
-        categoryId,
-        maxResults,
-      });
-
-      console.log(`Found ${projects.length} projects`);
-
-      const responseText = this.formatProjectsResponse(projects, {
-        query,
-        status,
-        categoryId,
-      });
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: responseText,
+        {
+          name: "fetch_jira_comments",
+          description:
+            "Fetch the full comment thread of an issue with bodies converted to plain text",
+          inputSchema: {
+            type: "object",
+            properties: {
+              issueKey: {
+                type: "string",
+                description: "JIRA issue key (e.g., PROJ-123)",
+                pattern: ISSUE_KEY_PATTERN,
+              },
+              orderBy: {
+                type: "string",
+                enum: ["created", "-created"],
+                default: "created",
+                description:
+                  "Sort order: 'created' (oldest first) or '-created' (newest first)",
+              },
+              since: {
+                type: "string",
+                description:
+                  "Only return comments created at or after this ISO date",
+              },
+              limit: {
+                type: "number",
+                minimum: 1,
+                maximum: 5000,
+                description: "Maximum number of comments to return",
+              },
+              descriptionFormat: DESCRIPTION_FORMAT_PROPERTY,
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["issueKey"],
           },
-        ],
-      };
-    } catch (error) {
-      console.error("Project search error:", error.message);
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to search projects: ${error.message}`,
-      );
-    }
-  }
-
-  async handleSearchJiraBoards(args) {
+        },
+        {
+          name: "fetch_jira_worklogs",
+          description:
+            "Fetch individual worklog entries for an issue or a JQL result set, optionally grouped by user, day or issue",
+          inputSchema: {
+            type: "object",
+            properties: {
+              issueKey: {
+                type: "string",
+                description: "JIRA issue key (e.g., PROJ-123)",
+                pattern: ISSUE_KEY_PATTERN,
+              },
+              jql: {
+                type: "string",
+                description:
+                  "JQL selecting the issues to collect worklogs from (e.g., 'parent = PROJ-1')",
+              },
+              startedAfter: {
+                type: "string",
+                description: "Only worklogs started at or after this ISO date",
+              },
+              startedBefore: {
+                type: "string",
+                description: "Only worklogs started before this ISO date",
+              },
+              groupBy: {
+                type: "string",
+                enum: ["user", "day", "issue"],
+                description: "Aggregate time spent per user, day or issue",
+              },
+              maxIssues: {
+                type: "number",
+                default: 200,
+                minimum: 1,
+                maximum: 1000,
+                description: "Maximum number of issues to scan for a JQL query",
+              },
+              descriptionFormat: DESCRIPTION_FORMAT_PROPERTY,
+              output: OUTPUT_PROPERTY,
+            },
+          },
+        },
+        {
+          name: "create_jira_issue",
+          description:
+            "Create a JIRA issue. The description is Markdown and is converted to ADF; Story Points and Epic Link fields are resolved per site",
+          inputSchema: {
+            type: "object",
+            properties: {
+              projectKey: {
+                type: "string",
+                description: "Project key or numeric id (e.g., WEB)",
+              },
+              issueType: {
+                type: "string",
+                description: "Issue type name or id (e.g., Bug, Story, Task)",
+              },
+              summary: {
+                type: "string",
+                description: "Issue summary (title)",
+              },
+              description: {
+                type: "string",
+                description: "Description in Markdown",
+              },
+              labels: {
+                type: "array",
+                items: { type: "string" },
+                description: "Labels (no spaces)",
+              },
+              components: {
+                type: "array",
+                items: { type: "string" },
+                description: "Component names or ids",
+              },
+              priority: {
+                type: "string",
+                description: "Priority name or id (e.g., High)",
+              },
+              assigneeAccountId: {
+                type: "string",
+                description: "Atlassian account id of the assignee",
+              },
+              parentKey: {
+                type: "string",
+                description: "Parent issue key (required for sub-tasks)",
+              },
+              epicKey: {
+                type: "string",
+                description:
+                  "Epic key; set through Epic Link when the site has it, otherwise as parent",
+              },
+              storyPoints: {
+                type: "number",
+                minimum: 0,
+                description: "Story point estimate",
+              },
+              output: OUTPUT_PROPERTY,
+              ...WRITE_GUARD_PROPERTIES,
+            },
+            required: ["projectKey", "issueType", "summary"],
+          },
+        },
+        {
+          name: "list_jira_transitions",
+          description:
+            "List the workflow transitions available for a JIRA issue from its current status, with the screen fields each one requires",
+          inputSchema: {
+            type: "object",
+            properties: {
+              issueKey: {
+                type: "string",
+                description: "JIRA issue key (e.g., PROJ-123)",
+                pattern: ISSUE_KEY_PATTERN,
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["issueKey"],
+          },
+        },
+        {
+          name: "transition_jira_issue",
+          description:
+            "Move a JIRA issue to a target status (or through a transition id), filling required screen fields and optionally adding a Markdown comment",
+          inputSchema: {
+            type: "object",
+            properties: {
+              issueKey: {
+                type: "string",
+                description: "JIRA issue key (e.g., PROJ-123)",
+                pattern: ISSUE_KEY_PATTERN,
+              },
+              status: {
+                type: "string",
+                description:
+                  "Target status name (e.g., Done); a transition name also matches",
+              },
+              transitionId: {
+                type: "string",
+                description: "Explicit transition id (overrides status)",
+              },
+              resolution: {
+                type: "string",
+                description:
+                  "Resolution name or id when the screen asks for one",
+              },
+              fields: {
+                type: "object",
+                description:
+                  'Other screen fields by id or name, e.g. { "Fix versions": [{ "name": "1.2" }] }',
+              },
+              comment: {
+                type: "string",
+                description: "Comment in Markdown added with the transition",
+              },
+              output: OUTPUT_PROPERTY,
+              ...WRITE_GUARD_PROPERTIES,
+            },
+            required: ["issueKey"],
+          },
+        },
+        {
+          name: "fetch_sprint_report",
+          description:
+            "Sprint report for a board: issues committed at sprint start, added or removed mid-sprint, completed and incomplete, with estimate totals per bucket from the board's estimation field",
+          inputSchema: {
+            type: "object",
+            properties: {
+              boardId: {
+                type: "number",
+                description: "Agile board id (see search_jira_boards)",
+              },
+              sprint: {
+                type: ["string", "number"],
+                default: "active",
+                description: "Sprint id, 'active' or 'last closed'",
+              },
+              maxIssues: {
+                type: "number",
+                default: 500,
+                minimum: 1,
+                maximum: 2000,
+                description:
+                  "Maximum number of issues to scan (sprint issues first, then other board issues updated since the sprint started)",
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["boardId"],
+          },
+        },
+        {
+          name: "fetch_board_velocity",
+          description:
+            "Velocity history for a board: committed and completed estimate for each of the last N closed sprints, with average and standard deviation",
+          inputSchema: {
+            type: "object",
+            properties: {
+              boardId: {
+                type: "number",
+                description: "Agile board id (see search_jira_boards)",
+              },
+              sprintCount: {
+                type: "number",
+                default: 6,
+                minimum: 1,
+                maximum: 25,
+                description: "Number of most recent closed sprints",
+              },
+              maxIssuesPerSprint: {
+                type: "number",
+                default: 500,
+                minimum: 1,
+                maximum: 2000,
+                description: "Maximum number of issues to scan per sprint",
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["boardId"],
+          },
+        },
+        {
+          name: "fetch_sprint_burndown",
+          description:
+            "Daily burndown/burnup series for a sprint (scope, completed and remaining estimate, remaining time, guideline) plus scope changes, replayed from issue changelogs",
+          inputSchema: {
+            type: "object",
+            properties: {
+              boardId: {
+                type: "number",
+                description: "Agile board id (see search_jira_boards)",
+              },
+              sprint: {
+                type: ["string", "number"],
+                default: "active",
+                description: "Sprint id, 'active' or 'last closed'",
+              },
+              maxIssues: {
+                type: "number",
+                default: 500,
+                minimum: 1,
+                maximum: 2000,
+                description:
+                  "Maximum number of issues to scan (sprint issues first, then other board issues updated since the sprint started)",
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["boardId"],
+          },
+        },
+        {
+          name: "fetch_board_state",
+          description:
+            "Snapshot of a board's columns: issues bucketed by the column status mapping, with issue count, estimate total and per-assignee WIP for each column",
+          inputSchema: {
+            type: "object",
+            properties: {
+              boardId: {
+                type: "number",
+                description: "Agile board id (see search_jira_boards)",
+              },
+              jql: {
+                type: "string",
+                description:
+                  "Extra JQL to narrow the board scope (e.g., assignee = currentUser())",
+              },
+              doneWithinDays: {
+                type: "number",
+                default: 14,
+                minimum: 0,
+                description:
+                  "Kanban boards: include done issues resolved within this many days",
+              },
+              maxIssues: {
+                type: "number",
+                default: 500,
+                minimum: 1,
+                maximum: 2000,
+                description: "Maximum number of issues to load",
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["boardId"],
+          },
+        },
+        {
+          name: "fetch_board_backlog",
+          description:
+            "Backlog of a board in rank order with estimate, epic, labels and flagged marker; optionally stops at a cumulative story-point budget",
+          inputSchema: {
+            type: "object",
+            properties: {
+              boardId: {
+                type: "number",
+                description: "Agile board id (see search_jira_boards)",
+              },
+              jql: {
+                type: "string",
+                description: "Extra JQL to filter the backlog",
+              },
+              pointBudget: {
+                type: "number",
+                minimum: 0,
+                description:
+                  "Stop at the first issue that would push the cumulative estimate over this budget",
+              },
+              maxIssues: {
+                type: "number",
+                default: 200,
+                minimum: 1,
+                maximum: 1000,
+                description: "Maximum number of backlog issues to load",
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["boardId"],
+          },
+        },
+        {
+          name: "move_issues_to_sprint",
+          description:
+            'Move issues into a sprint (by id, or by name with boardId) or back to the backlog with sprint "backlog", optionally ranking them before or after an anchor issue',
+          inputSchema: {
+            type: "object",
+            properties: {
+              issueKeys: {
+                type: "array",
+                items: { type: "string", pattern: ISSUE_KEY_PATTERN },
+                minItems: 1,
+                maxItems: MAX_AGILE_ISSUES,
+                description: 'Issue keys to move (e.g., ["PROJ-1", "PROJ-2"])',
+              },
+              sprint: {
+                type: ["string", "number"],
+                description:
+                  'Target sprint id, sprint name (active or future, needs boardId) or "backlog"',
+              },
+              boardId: {
+                type: "number",
+                description:
+                  "Agile board id; required for sprint names, also selects the board's rank field",
+              },
+              rankBeforeIssue: {
+                type: "string",
+                description: "Rank the moved issues before this issue",
+              },
+              rankAfterIssue: {
+                type: "string",
+                description: "Rank the moved issues after this issue",
+              },
+              output: OUTPUT_PROPERTY,
+              ...WRITE_GUARD_PROPERTIES,
+            },
+            required: ["issueKeys", "sprint"],
+          },
+        },
+        {
+          name: "rank_issues",
+          description:
+            "Re-rank issues (kept in the given order) before or after an anchor issue",
+          inputSchema: {
+            type: "object",
+            properties: {
+              issueKeys: {
+                type: "array",
+                items: { type: "string", pattern: ISSUE_KEY_PATTERN },
+                minItems: 1,
+                maxItems: MAX_AGILE_ISSUES,
+                description: "Issue keys to rank, in the desired order",
+              },
+              rankBeforeIssue: {
+                type: "string",
+                description: "Place the issues before this issue",
+              },
+              rankAfterIssue: {
+                type: "string",
+                description: "Place the issues after this issue",
+              },
+              boardId: {
+                type: "number",
+                description: "Agile board id whose rank field should be used",
+              },
+              output: OUTPUT_PROPERTY,
+              ...WRITE_GUARD_PROPERTIES,
+            },
+            required: ["issueKeys"],
+          },
+        },
+        {
+          name: "fetch_project_versions",
+          description:
+            "List a project's versions (releases) with start/release dates, released/archived/overdue flags, fix-version issue counts per status category, unresolved and affected counts, and progress toward release",
+          inputSchema: {
+            type: "object",
+            properties: {
+              projectKeyOrId: {
+                type: "string",
+                description: "Project key (e.g., 'WEB') or project ID",
+              },
+              status: {
+                type: "string",
+                description:
+                  "Only versions in these states: released, unreleased, archived (comma-separated)",
+              },
+              query: {
+                type: "string",
+                description: "Match version name or description",
+              },
+              includeCounts: {
+                type: "boolean",
+                default: true,
+                description:
+                  "Load unresolved and affected issue counts (two extra requests per version)",
+              },
+              maxResults: {
+                type: "number",
+                default: 50,
+                minimum: 1,
+                maximum: 200,
+                description: "Maximum number of versions to return",
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["projectKeyOrId"],
+          },
+        },
+        {
+          name: "fetch_issue_link_graph",
+          description:
+            "Walk issue links, parent, subtasks and epic children outward from one issue up to a depth limit; returns nodes, directed edges with link type, and any dependency cycles",
+          inputSchema: {
+            type: "object",
+            properties: {
+              issueKey: {
+                type: "string",
+                description: "Issue to start from (e.g., PROJ-123)",
+                pattern: ISSUE_KEY_PATTERN,
+              },
+              maxDepth: {
+                type: "number",
+                default: 2,
+                minimum: 0,
+                maximum: 5,
+                description: "Number of hops to follow from the start issue",
+              },
+              linkTypes: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  'Only follow these link types, by name or description (e.g., ["Blocks"] or ["is blocked by"])',
+              },
+              direction: {
+                type: "string",
+                enum: ["both", "outward", "inward"],
+                default: "both",
+                description:
+                  'Which side of each link to follow: "outward" follows "blocks", "inward" follows "is blocked by"',
+              },
+              includeHierarchy: {
+                type: "boolean",
+                default: true,
+                description: "Also follow parent, subtasks and epic children",
+              },
+              maxNodes: {
+                type: "number",
+                default: 200,
+                minimum: 1,
+                maximum: 500,
+                description: "Stop adding issues once the graph has this many",
+              },
+              output: OUTPUT_PROPERTY,
+            },
+            required: ["issueKey"],
+          },
+        },
+      ],
+    });
+  }
+
+  // Advertise each tool's structuredContent contract as outputSchema
+  // (write tools are left out entirely in read-only mode)
+  withOutputSchemas(listing) {
+    return {
+      ...listing,
+      tools: listing.tools
+        .filter((tool) => this.writeGuard.isListed(tool.name))
+        .map((tool) =>
+          TOOL_OUTPUT_SCHEMAS[tool.name]
+            ? { ...tool, outputSchema: TOOL_OUTPUT_SCHEMAS[tool.name] }
+            : tool,
+        ),
+    };
+  }
+
+  async handleListResources() {
+    return {
+      resources: [AUDIT_RESOURCE],
+    };
+  }
+
+  async handleReadResource(request) {
+    const { uri } = request.params || {};
+    const audit = this.auditLog.readResource(uri);
+    if (audit) {
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "application/json",
+            text: JSON.stringify(audit, null, 2),
+          },
+        ],
+      };
+    }
+    throw new McpError(ErrorCode.InvalidRequest, `Unknown resource: ${uri}`);
+  }
+
+  // `context` comes from the transport: HTTP passes the caller it
+  // authenticated; stdio falls back to the MCP client info
+  async handleCall(request, { transport = "stdio", caller } = {}) {
+    console.error("handleCall received:", JSON.stringify(request, null, 2));
+    const { name, arguments: args, _auth } = request.params || {};
+    console.error("Tool called:", name, args ? Object.keys(args) : "no args");
+
+    if (!name) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        "Missing tool name in request",
+      );
+    }
+
+    return this.auditLog.track(
+      {
+        transport,
+        caller:
+          caller || callerFromClientInfo(this.server.getClientVersion?.()),
+        tool: name,
+        args,
+      },
+      () => this.runTool(name, args, _auth),
+    );
+  }
+
+  async runTool(name, args, _auth) {
+    try {
+      // Read-only mode, project allowlist, dry runs and confirmation tokens
+      const guard = this.writeGuard.check(name, args || {});
+      if (guard.write) {
+        console.error(
+          `Write tool ${name}: ${
+            guard.needsConfirmation
+              ? "confirmation required, previewing"
+              : guard.dryRun
+                ? "dry run"
+                : "executing"
+          }`,
+        );
+      }
+      const result = await this.dispatchTool(name, guard.args, _auth);
+      if (guard.dryRun) {
+        // Only a preview that got this far (arguments valid) earns a token
+        return guard.needsConfirmation
+          ? this.attachConfirmation(
+              result,
+              this.writeGuard.issueToken(name, args || {}),
+            )
+          : result;
+      }
+      this.checkOutputSchema(name, result);
+      return result;
+    } catch (err) {
+      console.error("Tool execution error:", err);
+      if (err instanceof McpError) throw err;
+      throw new McpError(ErrorCode.InternalError, err.message);
+    }
+  }
+
+  async dispatchTool(name, args, _auth) {
+    switch (name) {
+      case "add_numbers":
+        return this.handleAddNumbers(args);
+      case "fetch_jira_ticket":
+      case "fetch_ticket": // Lane B compatibility alias
+        return this.handleFetchJiraTicket(args);
+      case "fetch_jira_tickets":
+        return this.handleFetchJiraTickets(args);
+      case "fetch_perplexity_data":
+        return this.perplexityTool.execute(args, _auth);
+      case "search_jira_projects":
+        return this.handleSearchJiraProjects(args);
+      case "search_jira_boards":
+        return this.handleSearchJiraBoards(args);
+      case "search_projects_with_boards":
+        return this.handleSearchProjectsWithBoards(args);
+      case "fetch_jira_project_tree":
+        return this.handleFetchJiraProjectTree(args);
+      case "search_jira_issues":
+        return this.handleSearchJiraIssues(args);
+      case "fetch_jira_issue_history":
+        return this.handleFetchJiraIssueHistory(args);
+      case "fetch_jira_comments":
+        return this.handleFetchJiraComments(args);
+      case "fetch_jira_worklogs":
+        return this.handleFetchJiraWorklogs(args);
+      case "create_jira_issue":
+        return this.handleCreateJiraIssue(args);
+      case "list_jira_transitions":
+        return this.handleListJiraTransitions(args);
+      case "transition_jira_issue":
+        return this.handleTransitionJiraIssue(args);
+      case "fetch_sprint_report":
+        return this.handleFetchSprintReport(args);
+      case "fetch_board_velocity":
+        return this.handleFetchBoardVelocity(args);
+      case "fetch_sprint_burndown":
+        return this.handleFetchSprintBurndown(args);
+      case "fetch_board_state":
+        return this.handleFetchBoardState(args);
+      case "fetch_board_backlog":
+        return this.handleFetchBoardBacklog(args);
+      case "move_issues_to_sprint":
+        return this.handleMoveIssuesToSprint(args);
+      case "rank_issues":
+        return this.handleRankIssues(args);
+      case "fetch_project_versions":
+        return this.handleFetchProjectVersions(args);
+      case "fetch_issue_link_graph":
+        return this.handleFetchIssueLinkGraph(args);
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  }
+
+  // Preview of a write: the request(s) the tool would send, unsent
+  buildDryRunResult(name, output, plan) {
+    let responseText = `DRY RUN: ${name} (nothing was sent)
+═══════════════════════════════════════════════════════════════`;
+    plan.requests.forEach((req, index) => {
+      responseText += `\n\nREQUEST ${index + 1}: ${req.method} ${req.url}
+───────────────────────────────────────────────────────────────
+${JSON.stringify(req.body, null, 2)}`;
+    });
+    return this.buildToolResult(output, responseText, {
+      dryRun: true,
+      tool: name,
+      requests: plan.requests,
+    });
+  }
+
+  // Add the confirmation token to a dry-run preview
+  attachConfirmation(result, { token, expiresAt }) {
+    const note = {
+      type: "text",
+      text: `CONFIRMATION REQUIRED: nothing was sent. To execute, repeat this call with the same arguments and confirm_token "${token}" (expires ${expiresAt}).`,
+    };
+    if (!result.structuredContent) {
+      return { ...result, content: [...result.content, note] };
+    }
+    const data = {
+      ...result.structuredContent,
+      confirmToken: token,
+      expiresAt,
+    };
+    // buildToolResult always puts the JSON block last
+    return {
+      content: [
+        ...result.content.slice(0, -1),
+        { type: "text", text: JSON.stringify(data, null, 2) },
+        note,
+      ],
+      structuredContent: data,
+    };
+  }
+
+  // Check the normalized output against the tool's declared output schema
+  checkOutputSchema(name, result) {
+    const schema = TOOL_OUTPUT_SCHEMAS[name];
+    const data = result?.structuredContent ?? result?.[OUTPUT_DATA];
+    if (SCHEMA_VALIDATION_MODE === "off" || !schema || data === undefined) {
+      return;
+    }
+    const errors = validateAgainstSchema(data, schema);
+    if (errors.length === 0) return;
+
+    const summary = `Output schema violation for ${name}: ${errors
+      .slice(0, 5)
+      .join("; ")}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ""}`;
+    if (SCHEMA_VALIDATION_MODE === "strict") {
+      throw new McpError(ErrorCode.InternalError, summary);
+    }
+    console.error(summary);
+  }
+
+  async handleAddNumbers(args) {
+    const { numbers } = args || {};
+    if (!Array.isArray(numbers)) {
+      throw new McpError(ErrorCode.InvalidParams, "Numbers must be an array");
+    }
+    if (numbers.length < 2) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "At least 2 numbers are required",
+      );
+    }
+    for (const n of numbers) {
+      if (typeof n !== "number" || isNaN(n)) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid number: ${n}`);
+      }
+    }
+    const sum = numbers.reduce((a, b) => a + b, 0);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Added ${numbers.length} numbers: ${numbers.join(
+            " + ",
+          )} = ${sum}`,
+        },
+      ],
+      structuredContent: { numbers, sum },
+    };
+  }
+
+  validateOutputMode(output) {
+    if (!OUTPUT_MODES.includes(output)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `output must be one of: ${OUTPUT_MODES.join(", ")}`,
+      );
+    }
+  }
+
+  // Build a tool result for the requested output mode. 'json' and 'both'
+  // carry the normalized object as JSON text and as MCP structuredContent.
+  buildToolResult(output, responseText, data) {
+    const content = [];
+    if (output !== "json") {
+      content.push({ type: "text", text: responseText });
+    }
+    if (output === "text") {
+      return { content, [OUTPUT_DATA]: data };
+    }
+    content.push({ type: "text", text: JSON.stringify(data, null, 2) });
+    return { content, structuredContent: data };
+  }
+
+  // Drop the raw upstream payload kept on tickets for debugging
+  stripRawTicket(ticket) {
+    const { raw, ...normalized } = ticket;
+    return normalized;
+  }
+
+  validateDescriptionFormat(descriptionFormat) {
+    if (!RICH_TEXT_FORMATS.includes(descriptionFormat)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `descriptionFormat must be one of: ${RICH_TEXT_FORMATS.join(", ")}`,
+      );
+    }
+  }
+
+  validateLinkedFields(linkedFields) {
+    if (
+      !Array.isArray(linkedFields) ||
+      linkedFields.length > 20 ||
+      linkedFields.some((f) => typeof f !== "string" || !f.trim())
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "linkedFields must be an array of up to 20 field ids or names",
+      );
+    }
+  }
+
+  validateIssueKey(issueKey) {
+    if (!issueKey || typeof issueKey !== "string") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Issue key is required and must be a string",
+      );
+    }
+    if (!ISSUE_KEY_RE.test(issueKey)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Invalid issue key format. Expected format: PROJ-123",
+      );
+    }
+  }
+
+  validateBoardId(boardId) {
+    if (!/^[1-9][0-9]*$/.test(String(boardId ?? ""))) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Board id is required and must be a positive integer",
+      );
+    }
+  }
+
+  // Issue keys for Agile bulk endpoints, plus an optional rank anchor
+  validateAgileIssues(issueKeys, { rankBeforeIssue, rankAfterIssue }) {
+    if (
+      !Array.isArray(issueKeys) ||
+      issueKeys.length === 0 ||
+      issueKeys.length > MAX_AGILE_ISSUES
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `issueKeys must list 1 to ${MAX_AGILE_ISSUES} issue keys`,
+      );
+    }
+    issueKeys.forEach((key) => this.validateIssueKey(key));
+    if (new Set(issueKeys).size !== issueKeys.length) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "issueKeys must not contain duplicates",
+      );
+    }
+    for (const anchor of [rankBeforeIssue, rankAfterIssue]) {
+      if (anchor === undefined) continue;
+      this.validateIssueKey(anchor);
+      if (issueKeys.includes(anchor)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Rank anchor ${anchor} cannot be one of the issues being moved`,
+        );
+      }
+    }
+  }
+
+  async handleFetchJiraTicket(args) {
+    const {
+      ticketKey,
+      descriptionFormat = "text",
+      linkedFields = [],
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    if (!ticketKey || typeof ticketKey !== "string") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Ticket key is required and must be a string",
+      );
+    }
+    if (!ISSUE_KEY_RE.test(ticketKey)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Invalid ticket key format. Expected format: PROJ-123",
+      );
+    }
+    this.validateDescriptionFormat(descriptionFormat);
+    this.validateLinkedFields(linkedFields);
+
+    console.log(`Fetching JIRA ticket: ${ticketKey}`);
+
+    try {
+      // Use the enhanced JIRA client
+      const ticketData = await fetchJiraTicketFull({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        issueKey: ticketKey,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        descriptionFormat,
+        linkedFields: linkedFields.map((f) => f.trim()),
+      });
+
+      console.log(`Successfully fetched JIRA ticket: ${ticketKey}`);
+
+      // Format the comprehensive response using existing formatter
+      const responseText = this.formatJiraTicketResponse(ticketData);
+
+      return this.buildToolResult(
+        output,
+        responseText,
+        this.stripRawTicket(ticketData),
+      );
+    } catch (error) {
+      const status = error?.response?.status;
+      let dataSnippet;
+      try {
+        dataSnippet = JSON.stringify(error?.response?.data)?.slice(0, 1000);
+      } catch {}
+      console.error("Enhanced JIRA client error:", error?.message || error, {
+        status,
+        dataSnippet,
+      });
+
+      // Convert to MCP error format
+      if (String(error?.message || "").includes("not found")) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      } else if (
+        String(error?.message || "").includes("authentication") ||
+        String(error?.message || "").includes("access denied")
+      ) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      } else {
+        throw new McpError(
+          ErrorCode.InternalError,
+          error.message || "unknown error",
+        );
+      }
+    }
+  }
+
+  async handleFetchJiraTickets(args) {
+    const {
+      ticketKeys,
+      descriptionFormat = "text",
+      linkedFields = [],
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    if (!Array.isArray(ticketKeys) || ticketKeys.length === 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Ticket keys are required and must be a non-empty array",
+      );
+    }
+    if (ticketKeys.length > 500) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "At most 500 ticket keys can be fetched in one call",
+      );
+    }
+    this.validateDescriptionFormat(descriptionFormat);
+    this.validateLinkedFields(linkedFields);
+
+    // Malformed keys are reported per key instead of failing the whole call
+    const validKeys = [];
+    const invalidKeys = [];
+    for (const key of ticketKeys) {
+      if (typeof key === "string" && ISSUE_KEY_RE.test(key)) {
+        validKeys.push(key);
+      } else {
+        invalidKeys.push({
+          key: String(key),
+          error: "Invalid ticket key format. Expected format: PROJ-123",
+        });
+      }
+    }
+
+    console.error(`Fetching ${validKeys.length} JIRA tickets in bulk`);
+
+    try {
+      const bulk = validKeys.length
+        ? await fetchJiraTicketsBulk({
+            baseUrl: JIRA_CONFIG.baseUrl,
+            issueKeys: validKeys,
+            auth: {
+              email: JIRA_CONFIG.email,
+              apiToken: JIRA_CONFIG.apiToken,
+            },
+            descriptionFormat,
+            linkedFields: linkedFields.map((f) => f.trim()),
+          })
+        : { requested: 0, tickets: [], moved: [], errors: [], fieldIds: {} };
+
+      const result = {
+        ...bulk,
+        requested: ticketKeys.length,
+        errors: [...invalidKeys, ...bulk.errors],
+      };
+
+      console.error(
+        `Bulk fetch returned ${result.tickets.length} tickets, ${result.errors.length} errors`,
+      );
+
+      const responseText = this.formatJiraTicketsResponse(result);
+
+      return this.buildToolResult(output, responseText, {
+        ...result,
+        tickets: result.tickets.map((t) => this.stripRawTicket(t)),
+      });
+    } catch (error) {
+      console.error("Bulk ticket fetch error:", error?.message || error);
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to fetch tickets: ${error?.message || "unknown error"}`,
+      );
+    }
+  }
+
+  async handleSearchJiraProjects(args) {
+    const {
+      query,
+      status,
+      categoryId,
+      maxResults = 50,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+
+    console.log(
+      `Searching JIRA projects with query: "${query}", status: ${status}`,
+    );
+
+    try {
+      const projects = await searchProjects({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        query,
+        status,
+        categoryId,
+        maxResults,
+      });
+
+      console.log(`Found ${projects.length} projects`);
+
+      const responseText = this.formatProjectsResponse(projects, {
+        query,
+        status,
+        categoryId,
+      });
+
+      return this.buildToolResult(output, responseText, {
+        search: {
+          query: query ?? null,
+          status: status ?? null,
+          categoryId: categoryId ?? null,
+        },
+        count: projects.length,
+        projects,
+      });
+    } catch (error) {
+      console.error("Project search error:", error.message);
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search projects: ${error.message}`,
+      );
+    }
+  }
+
+  async handleSearchJiraBoards(args) {
+    const {
+      name,
+      type,
+      projectKeyOrId,
+      maxResults = 50,
+      includeConfig = true,
+      includeActiveSprints = true,
+      includeProjects = true,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+
+    console.log(
+      `Searching JIRA boards with name: "${name}", type: ${type}, project: ${projectKeyOrId}`,
+    );
+
+    try {
+      const boards = await searchBoardsFull({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        name,
+        type,
+        projectKeyOrId,
+        maxResults,
+        includeConfig,
+        includeActiveSprints,
+        includeProjects,
+      });
+
+      console.log(`Found ${boards.length} boards`);
+
+      const responseText = this.formatBoardsResponse(boards, {
+        name,
+        type,
+        projectKeyOrId,
+      });
+
+      return this.buildToolResult(output, responseText, {
+        search: {
+          name: name ?? null,
+          type: type ?? null,
+          projectKeyOrId: projectKeyOrId ?? null,
+        },
+        count: boards.length,
+        boards,
+      });
+    } catch (error) {
+      console.error("Board search error:", error.message);
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search boards: ${error.message}`,
+      );
+    }
+  }
+
+  async handleSearchProjectsWithBoards(args) {
+    const {
+      projectQuery,
+      projectStatus,
+      projectCategoryId,
+      boardType,
+      includeConfig = true,
+      includeActiveSprints = true,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+
+    console.log(
+      `Searching projects with boards - project query: "${projectQuery}", board type: ${boardType}`,
+    );
+
+    try {
+      const projectsWithBoards = await searchProjectsWithBoards({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        projectQuery,
+        projectStatus,
+        projectCategoryId,
+        boardType,
+        includeConfig,
+        includeActiveSprints,
+      });
+
+      console.log(`Found ${projectsWithBoards.length} projects with boards`);
+
+      const responseText = this.formatProjectsWithBoardsResponse(
+        projectsWithBoards,
+        {
+          projectQuery,
+          projectStatus,
+          boardType,
+        },
+      );
+
+      return this.buildToolResult(output, responseText, {
+        search: {
+          projectQuery: projectQuery ?? null,
+          projectStatus: projectStatus ?? null,
+          projectCategoryId: projectCategoryId ?? null,
+          boardType: boardType ?? null,
+        },
+        count: projectsWithBoards.length,
+        results: projectsWithBoards,
+      });
+    } catch (error) {
+      console.error("Projects with boards search error:", error.message);
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search projects with boards: ${error.message}`,
+      );
+    }
+  }
+
+  async handleFetchJiraProjectTree(args) {
+    const {
+      projectKeyOrId,
+      rootJql,
+      maxDepth,
+      includeOrphans,
+      pageSize = 100,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+
+    if (!projectKeyOrId || typeof projectKeyOrId !== "string") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Project key or ID is required and must be a string",
+      );
+    }
+    if (
+      rootJql !== undefined &&
+      (typeof rootJql !== "string" || !rootJql.trim())
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "rootJql must be a non-empty string",
+      );
+    }
+    if (
+      maxDepth !== undefined &&
+      (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > 10)
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "maxDepth must be an integer between 0 and 10",
+      );
+    }
+    if (includeOrphans !== undefined && typeof includeOrphans !== "boolean") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "includeOrphans must be a boolean",
+      );
+    }
+
+    console.log(`Fetching JIRA project tree for: ${projectKeyOrId}`);
+
+    try {
+      const projectTree = await fetchProjectTree({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        projectKeyOrId,
+        rootJql: rootJql?.trim(),
+        maxDepth,
+        includeOrphans,
+        pageSize,
+      });
+
+      console.log(`Successfully fetched project tree for: ${projectKeyOrId}`);
+      console.log(
+        `Stats: ${projectTree.stats.total} issues over ${projectTree.levels} levels (${projectTree.stats.epics} epics, ${projectTree.stats.children} issues, ${projectTree.stats.subtasks} subtasks, ${projectTree.stats.orphans} unassigned)`,
+      );
+
+      // Format the response for better readability
+      const responseText = this.formatProjectTreeResponse(projectTree);
+
+      return this.buildToolResult(output, responseText, projectTree);
+    } catch (error) {
+      const status = error?.response?.status;
+      let dataSnippet;
+      try {
+        dataSnippet = JSON.stringify(error?.response?.data)?.slice(0, 1000);
+      } catch {}
+      console.error("Project tree fetch error:", error?.message || error, {
+        status,
+        dataSnippet,
+      });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Project ${projectKeyOrId} not found`,
+        );
+      }
+      if (status === 400) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Invalid JQL: ${describeJiraError(error)}`,
+        );
+      }
+      if (error?.invalidInput) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to fetch project tree: ${error?.message || "unknown error"}`,
+      );
+    }
+  }
+
+  async handleSearchJiraIssues(args) {
+    const {
+      jql,
+      fields,
+      expand = [],
+      maxResults = 50,
+      pageSize = 100,
+      nextPageToken,
+      descriptionFormat = "text",
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+
+    if (!jql || typeof jql !== "string") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "JQL is required and must be a string",
+      );
+    }
+    if (fields !== undefined && !Array.isArray(fields)) {
+      throw new McpError(ErrorCode.InvalidParams, "Fields must be an array");
+    }
+    if (!Array.isArray(expand)) {
+      throw new McpError(ErrorCode.InvalidParams, "Expand must be an array");
+    }
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 1000) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "maxResults must be an integer between 1 and 1000",
+      );
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "pageSize must be an integer between 1 and 100",
+      );
+    }
+    this.validateDescriptionFormat(descriptionFormat);
+
+    console.error(`Searching JIRA issues with JQL: ${jql}`);
+
+    try {
+      const searchResult = await searchJiraIssues({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        jql,
+        fields,
+        expand,
+        maxResults,
+        pageSize,
+        nextPageToken,
+        descriptionFormat,
+      });
+
+      console.error(`Found ${searchResult.count} issues`);
+
+      const responseText = this.formatSearchIssuesResponse(searchResult);
+
+      return this.buildToolResult(output, responseText, searchResult);
+    } catch (error) {
+      const status = error?.response?.status;
+      const message =
+        error?.response?.data?.errorMessages?.[0] || error?.message;
+      console.error("Issue search error:", message, { status });
+      if (status === 400 || error?.invalidInput) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid JQL: ${message}`);
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search issues: ${message}`,
+      );
+    }
+  }
+
+  formatSearchIssuesResponse(searchResult) {
+    let response = `JIRA Issue Search Results
+═══════════════════════════════════════════════════════════════
+
+SEARCH PARAMETERS:
+• JQL: ${searchResult.jql}
+• Fields: ${searchResult.fields.join(", ")}`;
+    if (searchResult.expand.length > 0) {
+      response += `\n• Expand: ${searchResult.expand.join(", ")}`;
+    }
+
+    response += `\n\nFOUND ${searchResult.count} ISSUES:
+───────────────────────────────────────────────────────────────`;
+
+    searchResult.issues.forEach((issue, index) => {
+      response += `\n\n${index + 1}. ${issue.key} - ${issue.summary}
+   • Type: ${issue.issuetype || "Unknown"}
+   • Status: ${issue.status || "Unknown"}${
+     issue.statusCategory ? ` (${issue.statusCategory})` : ""
+   }
+   • Priority: ${issue.priority || "Not set"}
+   • Assignee: ${issue.assignee || "Unassigned"}`;
+
+      if (issue.parentKey) {
+        response += `\n   • Parent: ${issue.parentKey}`;
+      }
+      if (issue.labels.length > 0) {
+        response += `\n   • Labels: ${issue.labels.join(", ")}`;
+      }
+      if (issue.components.length > 0) {
+        response += `\n   • Components: ${issue.components.join(", ")}`;
+      }
+      if (issue.description) {
+        response += `\n   • Description:\n${this.formatRichText(
+          issue.description,
+        )
+          .split("\n")
+          .map((line) => `     ${line}`)
+          .join("\n")}`;
+      }
+      for (const [fieldId, value] of Object.entries(issue.fields)) {
+        if (value === null || value === undefined) continue;
+        response += `\n   • ${fieldId}: ${
+          typeof value === "object" ? JSON.stringify(value) : value
+        }`;
+      }
+    });
+
+    response += `\n\nPAGINATION:`;
+    if (searchResult.isLast) {
+      response += `\n• No more results`;
+    } else {
+      response += `\n• More results available
+• nextPageToken: ${searchResult.nextPageToken}`;
+    }
+
+    return response;
+  }
+
+  async handleFetchJiraIssueHistory(args) {
+    const { issueKey, fields = [], since, output = "text" } = args || {};
+    this.validateOutputMode(output);
+
+    if (!issueKey || typeof issueKey !== "string") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Issue key is required and must be a string",
+      );
+    }
+    if (!ISSUE_KEY_RE.test(issueKey)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Invalid issue key format. Expected format: PROJ-123",
+      );
+    }
+    if (!Array.isArray(fields)) {
+      throw new McpError(ErrorCode.InvalidParams, "Fields must be an array");
+    }
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Since must be a valid ISO date",
+      );
+    }
+
+    console.error(`Fetching JIRA issue history for: ${issueKey}`);
+
+    try {
+      const history = await fetchIssueHistory({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        issueKey,
+        fields,
+        since,
+      });
+
+      console.error(
+        `Fetched ${history.totalChanges} changes for ${history.issueKey}`,
+      );
+
+      const responseText = this.formatIssueHistoryResponse(history);
+
+      return this.buildToolResult(output, responseText, history);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Issue history fetch error:", error?.message || error, {
+        status,
+      });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `JIRA ticket ${issueKey} not found`,
+        );
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to fetch issue history: ${error?.message || "unknown error"}`,
+      );
+    }
+  }
+
+  async handleFetchJiraComments(args) {
+    const {
+      issueKey,
+      orderBy = "created",
+      since,
+      limit,
+      descriptionFormat = "text",
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+
+    if (!issueKey || typeof issueKey !== "string") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Issue key is required and must be a string",
+      );
+    }
+    if (!ISSUE_KEY_RE.test(issueKey)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Invalid issue key format. Expected format: PROJ-123",
+      );
+    }
+    if (!["created", "-created"].includes(orderBy)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "orderBy must be 'created' or '-created'",
+      );
+    }
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Since must be a valid ISO date",
+      );
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Limit must be a positive integer",
+      );
+    }
+    this.validateDescriptionFormat(descriptionFormat);
+
+    console.error(`Fetching JIRA comments for: ${issueKey}`);
+
+    try {
+      const thread = await fetchIssueComments({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        issueKey,
+        orderBy,
+        since,
+        limit,
+        descriptionFormat,
+      });
+
+      console.error(`Fetched ${thread.count} comments for ${issueKey}`);
+
+      const responseText = this.formatCommentsResponse(thread);
+
+      return this.buildToolResult(output, responseText, thread);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Comment fetch error:", error?.message || error, {
+        status,
+      });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `JIRA ticket ${issueKey} not found`,
+        );
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to fetch comments: ${error?.message || "unknown error"}`,
+      );
+    }
+  }
+
+  formatCommentsResponse(thread) {
+    let response = `JIRA Comments: ${thread.issueKey}
+═══════════════════════════════════════════════════════════════
+
+PARAMETERS:
+• Order: ${thread.orderBy === "-created" ? "newest first" : "oldest first"}`;
+    if (thread.since) response += `\n• Since: ${thread.since}`;
+    if (thread.limit) response += `\n• Limit: ${thread.limit}`;
+
+    response += `\n\nFOUND ${thread.count} COMMENTS:
+───────────────────────────────────────────────────────────────`;
+
+    thread.comments.forEach((comment, index) => {
+      response += `\n\n${index + 1}. ${comment.author.displayName} (${new Date(
+        comment.created,
+      ).toLocaleString()})`;
+      if (comment.updated && comment.updated !== comment.created) {
+        response += ` [edited ${new Date(comment.updated).toLocaleString()}]`;
+      }
+      if (comment.visibility) {
+        response += ` [visible to ${comment.visibility.type}: ${comment.visibility.value}]`;
+      }
+      response += `\n${this.formatRichText(comment.body)}`;
+    });
+
+    return response;
+  }
+
+  async handleFetchJiraWorklogs(args) {
+    const {
+      issueKey,
+      jql,
+      startedAfter,
+      startedBefore,
+      groupBy,
+      maxIssues = 200,
+      descriptionFormat = "text",
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+
+    if (!issueKey && !jql) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Provide either 'issueKey' or 'jql'",
+      );
+    }
+    if (issueKey && jql) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Provide only one of 'issueKey' or 'jql'",
+      );
+    }
+    if (issueKey && !ISSUE_KEY_RE.test(issueKey)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Invalid issue key format. Expected format: PROJ-123",
+      );
+    }
+    for (const [name, value] of Object.entries({
+      startedAfter,
+      startedBefore,
+    })) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `${name} must be a valid ISO date`,
+        );
+      }
+    }
+    if (groupBy !== undefined && !["user", "day", "issue"].includes(groupBy)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "groupBy must be 'user', 'day' or 'issue'",
+      );
+    }
+    if (!Number.isInteger(maxIssues) || maxIssues < 1 || maxIssues > 1000) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "maxIssues must be an integer between 1 and 1000",
+      );
+    }
+    this.validateDescriptionFormat(descriptionFormat);
+
+    console.error(`Fetching JIRA worklogs for: ${issueKey || jql}`);
+
+    try {
+      const worklogs = await fetchIssueWorklogs({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        issueKey,
+        jql,
+        startedAfter,
+        startedBefore,
+        groupBy,
+        maxIssues,
+        descriptionFormat,
+      });
+
+      console.error(
+        `Fetched ${worklogs.count} worklogs from ${worklogs.issuesScanned} issues`,
+      );
+
+      const responseText = this.formatWorklogsResponse(worklogs);
+
+      return this.buildToolResult(output, responseText, worklogs);
+    } catch (error) {
+      const status = error?.response?.status;
+      const message =
+        error?.response?.data?.errorMessages?.[0] || error?.message;
+      console.error("Worklog fetch error:", message, { status });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `JIRA ticket ${issueKey} not found`,
+        );
+      }
+      if ((status === 400 && jql) || error?.invalidInput) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid JQL: ${message}`);
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to fetch worklogs: ${message || "unknown error"}`,
+      );
+    }
+  }
+
+  formatWorklogsResponse(worklogs) {
+    let response = `JIRA Worklogs
+═══════════════════════════════════════════════════════════════
+
+SCOPE:`;
+    if (worklogs.scope.issueKey) {
+      response += `\n• Issue: ${worklogs.scope.issueKey}`;
+    } else {
+      response += `\n• JQL: ${worklogs.scope.jql}`;
+    }
+    if (worklogs.startedAfter)
+      response += `\n• Started After: ${worklogs.startedAfter}`;
+    if (worklogs.startedBefore)
+      response += `\n• Started Before: ${worklogs.startedBefore}`;
+
+    response += `\n\nTOTALS:
+• Issues Scanned: ${worklogs.issuesScanned}${
+      worklogs.truncated ? " (issue cap reached, results truncated)" : ""
+    }
+• Entries: ${worklogs.count}
+• Time Spent: ${this.formatDurationSeconds(worklogs.totalSeconds)} (${
+      worklogs.totalSeconds
+    }s)`;
+
+    if (worklogs.groups) {
+      response += `\n\nBY ${worklogs.groupBy.toUpperCase()}:`;
+      worklogs.groups.forEach((g) => {
+        response += `\n• ${g.label}: ${this.formatDurationSeconds(
+          g.totalSeconds,
+        )} (${g.count} ${g.count === 1 ? "entry" : "entries"})`;
+      });
+    }
+
+    response += `\n\nENTRIES:
+───────────────────────────────────────────────────────────────`;
+
+    worklogs.entries.forEach((e) => {
+      response += `\n• ${e.issueKey} ${new Date(e.started).toLocaleString()} ${
+        e.author.displayName
+      }: ${e.timeSpent || this.formatDurationSeconds(e.timeSpentSeconds)}`;
+      if (e.comment) response += ` - ${this.formatRichText(e.comment)}`;
+    });
+
+    return response;
+  }
+
+  async handleCreateJiraIssue(args) {
+    const {
+      projectKey,
+      issueType,
+      summary,
+      description,
+      labels = [],
+      components = [],
+      priority,
+      assigneeAccountId,
+      parentKey,
+      epicKey,
+      storyPoints,
+      dry_run: dryRun = false,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+
+    for (const [label, value] of [
+      ["Project key", projectKey],
+      ["Issue type", issueType],
+      ["Summary", summary],
+    ]) {
+      if (!value || typeof value !== "string" || !value.trim()) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `${label} is required and must be a string`,
+        );
+      }
+    }
+    for (const [label, value] of [
+      ["parent key", parentKey],
+      ["epic key", epicKey],
+    ]) {
+      if (value !== undefined && !ISSUE_KEY_RE.test(value)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Invalid ${label} format. Expected format: PROJ-123`,
+        );
+      }
+    }
+    if (
+      !Array.isArray(labels) ||
+      labels.some((l) => typeof l !== "string" || /\s/.test(l))
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Labels must be an array of strings without spaces",
+      );
+    }
+    if (
+      !Array.isArray(components) ||
+      components.some((c) => typeof c !== "string")
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Components must be an array of strings",
+      );
+    }
+    if (
+      storyPoints !== undefined &&
+      (typeof storyPoints !== "number" ||
+        Number.isNaN(storyPoints) ||
+        storyPoints < 0)
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Story points must be a non-negative number",
+      );
+    }
+
+    console.error(`Creating JIRA ${issueType} in ${projectKey}`);
+
+    try {
+      const created = await createJiraIssue({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        projectKey,
+        issueType,
+        summary: summary.trim(),
+        description,
+        labels,
+        components,
+        priority,
+        assigneeAccountId,
+        parentKey,
+        epicKey,
+        storyPoints,
+        dryRun,
+      });
+      if (created.dryRun) {
+        return this.buildDryRunResult("create_jira_issue", output, created);
+      }
+
+      const responseText = this.formatCreateIssueResponse(created);
+
+      return this.buildToolResult(output, responseText, created);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Issue create error:", describeJiraError(error), {
+        status,
+      });
+      // 400 means JIRA rejected a field value the caller can fix
+      throw new McpError(
+        status === 400 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to create issue: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  formatCreateIssueResponse(created) {
+    const f = created.fields;
+    let response = `JIRA Issue Created: ${created.key}
+═══════════════════════════════════════════════════════════════
+
+• Key: ${created.key}
+• URL: ${created.url}
+• Project: ${f.project.key || f.project.id}
+• Type: ${f.issuetype.name || f.issuetype.id}
+• Summary: ${f.summary}`;
+    if (f.priority) {
+      response += `\n• Priority: ${f.priority.name || f.priority.id}`;
+    }
+    if (f.assignee) response += `\n• Assignee: ${f.assignee.accountId}`;
+    if (f.parent) response += `\n• Parent: ${f.parent.key}`;
+    if (created.epicKey) response += `\n• Epic: ${created.epicKey}`;
+    if (created.storyPoints !== null) {
+      response += `\n• Story Points: ${created.storyPoints}`;
+    }
+    if (f.labels) response += `\n• Labels: ${f.labels.join(", ")}`;
+    if (f.components) {
+      response += `\n• Components: ${f.components
+        .map((c) => c.name || c.id)
+        .join(", ")}`;
+    }
+    return response;
+  }
+
+  async handleListJiraTransitions(args) {
+    const { issueKey, output = "text" } = args || {};
+    this.validateOutputMode(output);
+    this.validateIssueKey(issueKey);
+
+    try {
+      const result = await listIssueTransitions({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        issueKey,
+      });
+
+      const responseText = this.formatTransitionsResponse(result);
+
+      return this.buildToolResult(output, responseText, result);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Transition list error:", describeJiraError(error), {
+        status,
+      });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `JIRA ticket ${issueKey} not found`,
+        );
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to list transitions: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  formatTransitionsResponse(result) {
+    let response = `JIRA Transitions: ${result.issueKey}
+═══════════════════════════════════════════════════════════════
+
+• Summary: ${result.summary || "N/A"}
+• Current Status: ${result.currentStatus || "Unknown"} (${
+      result.currentStatusCategory || "Unknown"
+    })
+
+AVAILABLE TRANSITIONS (${result.transitions.length}):
+───────────────────────────────────────────────────────────────`;
+
+    if (result.transitions.length === 0) {
+      response += "\nNo transitions available from this status.";
+    }
+    result.transitions.forEach((t) => {
+      response += `\n• ${t.name} [${t.id}] → ${t.to.name} (${
+        t.to.statusCategory || "Unknown"
+      })`;
+      t.fields.forEach((f) => {
+        response += `\n   - ${f.name} (${f.id})${
+          f.required
+            ? f.hasDefaultValue
+              ? " required, has default"
+              : " REQUIRED"
+            : ""
+        }`;
+        if (f.allowedValues) {
+          response += `: ${f.allowedValues
+            .map((v) => v.name || v.id)
+            .join(", ")}`;
+        }
+      });
+    });
+
+    return response;
+  }
+
+  async handleTransitionJiraIssue(args) {
+    const {
+      issueKey,
+      status,
+      transitionId,
+      resolution,
+      fields = {},
+      comment,
+      dry_run: dryRun = false,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    this.validateIssueKey(issueKey);
+
+    if (!status && !transitionId) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Provide a target status or a transitionId",
+      );
+    }
+    for (const [label, value] of [
+      ["Status", status],
+      ["Transition id", transitionId],
+      ["Resolution", resolution],
+      ["Comment", comment],
+    ]) {
+      if (value !== undefined && typeof value !== "string") {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `${label} must be a string`,
+        );
+      }
+    }
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+      throw new McpError(ErrorCode.InvalidParams, "Fields must be an object");
+    }
+
+    try {
+      const result = await transitionJiraIssue({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        issueKey,
+        status,
+        transitionId,
+        resolution,
+        fields,
+        comment,
+        dryRun,
+      });
+      if (result.dryRun) {
+        return this.buildDryRunResult("transition_jira_issue", output, result);
+      }
+
+      console.error(`Transitioned ${issueKey}: ${result.from} -> ${result.to}`);
+
+      const responseText = this.formatTransitionResultResponse(result);
+
+      return this.buildToolResult(output, responseText, result);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Transition error:", describeJiraError(error), {
+        status,
+      });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `JIRA ticket ${issueKey} not found`,
+        );
+      }
+      throw new McpError(
+        status === 400 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to transition issue: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  formatTransitionResultResponse(result) {
+    let response = `JIRA Issue Transitioned: ${result.issueKey}
+═══════════════════════════════════════════════════════════════
+
+• Transition: ${result.transition.name} [${result.transition.id}]
+• From: ${result.from || "Unknown"}
+• To: ${result.to} (${result.statusCategory || "Unknown"})`;
+    if (result.resolution) response += `\n• Resolution: ${result.resolution}`;
+    const fieldIds = Object.keys(result.fields);
+    if (fieldIds.length) response += `\n• Fields Set: ${fieldIds.join(", ")}`;
+    if (result.commented) response += "\n• Comment added";
+    return response;
+  }
+
+  async handleFetchSprintReport(args) {
+    const {
+      boardId,
+      sprint = "active",
+      maxIssues = 500,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    this.validateBoardId(boardId);
+
+    if (typeof sprint !== "string" && typeof sprint !== "number") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Sprint must be a sprint id, 'active' or 'last closed'",
+      );
+    }
+
+    try {
+      const report = await fetchSprintReport({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        boardId: Number(boardId),
+        sprint,
+        maxIssues,
+      });
+
+      const responseText = this.formatSprintReportResponse(report);
+
+      return this.buildToolResult(output, responseText, report);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Sprint report error:", describeJiraError(error), {
+        status,
+      });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Board ${boardId} or sprint ${sprint} not found`,
+        );
+      }
+      throw new McpError(
+        status === 400 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to build sprint report: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  // Board estimates are story points, or seconds for time-based boards
+  formatEstimate(value, estimation) {
+    if (value === null || value === undefined) return "unestimated";
+    if (/^time/.test(estimation?.fieldId || "")) {
+      return this.formatDurationSeconds(value);
+    }
+    return `${value} pts`;
+  }
+
+  formatSprintReportResponse(report) {
+    const { sprint, estimation } = report;
+    let response = `JIRA Sprint Report: ${sprint.name}
+═══════════════════════════════════════════════════════════════
+
+• Board: ${report.board.name} (${report.board.id})
+• Sprint: ${sprint.name} (${sprint.id}), ${sprint.state}`;
+    if (sprint.goal) response += `\n• Goal: ${sprint.goal}`;
+    response += `\n• Window: ${new Date(
+      report.window.start,
+    ).toLocaleString()} - ${new Date(report.window.end).toLocaleString()}${
+      report.window.ongoing ? " (in progress)" : ""
+    }
+• Estimation: ${estimation ? estimation.displayName : "Issue count"}
+• Issues Scanned: ${report.issuesScanned}${
+      report.truncated ? " (issue cap reached, results truncated)" : ""
+    }
+
+TOTALS:`;
+
+    const buckets = [
+      ["committed", "Committed"],
+      ["added", "Added"],
+      ["removed", "Removed"],
+      ["completed", "Completed"],
+      ["incomplete", "Incomplete"],
+    ];
+    buckets.forEach(([key, label]) => {
+      const t = report.totals[key];
+      response += `\n• ${label}: ${t.count} ${t.count === 1 ? "issue" : "issues"}${
+        t.points === null
+          ? ""
+          : `, ${this.formatEstimate(t.points, estimation)}`
+      }`;
+    });
+
+    buckets.forEach(([key, label]) => {
+      if (!report[key].length) return;
+      response += `\n\n${label.toUpperCase()} (${report[key].length}):
+───────────────────────────────────────────────────────────────`;
+      report[key].forEach((issue) => {
+        const estimate =
+          key === "committed" || key === "added"
+            ? issue.estimateAtStart
+            : issue.estimateAtEnd;
+        response += `\n• ${issue.key} [${issue.status || "Unknown"}] ${
+          issue.summary || ""
+        }`;
+        if (estimation) {
+          response += ` (${this.formatEstimate(estimate, estimation)})`;
+        }
+        if (key === "added" && issue.addedAt) {
+          response += ` added ${new Date(issue.addedAt).toLocaleDateString()}`;
+        }
+        if (key === "removed" && issue.removedAt) {
+          response += ` removed ${new Date(
+            issue.removedAt,
+          ).toLocaleDateString()}`;
+        }
+      });
+    });
+
+    return response;
+  }
+
+  async handleFetchBoardVelocity(args) {
     const {
-      name,
-      type,
-      projectKeyOrId,
-      maxResults = 50,
-      includeConfig = true,
-      includeActiveSprints = true,
-      includeProjects = true,
+      boardId,
+      sprintCount = 6,
+      maxIssuesPerSprint = 500,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    this.validateBoardId(boardId);
+
+    if (!Number.isInteger(sprintCount) || sprintCount < 1 || sprintCount > 25) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "sprintCount must be an integer between 1 and 25",
+      );
+    }
+
+    try {
+      const velocity = await fetchBoardVelocity({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        boardId: Number(boardId),
+        sprintCount,
+        maxIssuesPerSprint,
+      });
+
+      const responseText = this.formatBoardVelocityResponse(velocity);
+
+      return this.buildToolResult(output, responseText, velocity);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Velocity error:", describeJiraError(error), { status });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Board ${boardId} not found`,
+        );
+      }
+      throw new McpError(
+        status === 400 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to compute velocity: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  formatBoardVelocityResponse(velocity) {
+    const { estimation, basis, stats } = velocity;
+    const amount = (total) =>
+      basis === "points"
+        ? this.formatEstimate(total.points, estimation)
+        : `${total.count} ${total.count === 1 ? "issue" : "issues"}`;
+    const statValue = (value) =>
+      value === null
+        ? "N/A"
+        : basis === "points"
+          ? this.formatEstimate(value, estimation)
+          : `${value} issues`;
+
+    let response = `JIRA Board Velocity: ${velocity.board.name}
+═══════════════════════════════════════════════════════════════
+
+• Board: ${velocity.board.name} (${velocity.board.id})
+• Estimation: ${estimation ? estimation.displayName : "Issue count"}
+• Closed Sprints: ${stats.sprintCount}
+
+SPRINTS (oldest first):
+───────────────────────────────────────────────────────────────`;
+
+    if (velocity.sprints.length === 0) {
+      response += "\nNo closed sprints on this board.";
+    }
+    velocity.sprints.forEach((s) => {
+      response += `\n• ${s.sprint.name} (${s.sprint.id}) ${new Date(
+        s.sprint.startDate,
+      ).toLocaleDateString()} - ${new Date(
+        s.sprint.completeDate || s.sprint.endDate,
+      ).toLocaleDateString()}: committed ${amount(
+        s.committed,
+      )}, completed ${amount(s.completed)}${
+        s.completionRate === null
+          ? ""
+          : ` (${Math.round(s.completionRate * 100)}%)`
+      }${s.truncated ? " [truncated]" : ""}`;
+    });
+
+    response += `\n\nSTATISTICS:
+• Committed: average ${statValue(stats.committed.average)}, std dev ${statValue(
+      stats.committed.stdDev,
+    )}
+• Completed: average ${statValue(stats.completed.average)}, std dev ${statValue(
+      stats.completed.stdDev,
+    )}, range ${statValue(stats.completed.min)} - ${statValue(
+      stats.completed.max,
+    )}
+• Average Completion Rate: ${
+      stats.averageCompletionRate === null
+        ? "N/A"
+        : `${Math.round(stats.averageCompletionRate * 100)}%`
+    }`;
+
+    return response;
+  }
+
+  async handleFetchSprintBurndown(args) {
+    const {
+      boardId,
+      sprint = "active",
+      maxIssues = 500,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    this.validateBoardId(boardId);
+
+    if (typeof sprint !== "string" && typeof sprint !== "number") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Sprint must be a sprint id, 'active' or 'last closed'",
+      );
+    }
+
+    try {
+      const burndown = await fetchSprintBurndown({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        boardId: Number(boardId),
+        sprint,
+        maxIssues,
+      });
+
+      const responseText = this.formatSprintBurndownResponse(burndown);
+
+      return this.buildToolResult(output, responseText, burndown);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Burndown error:", describeJiraError(error), { status });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Board ${boardId} or sprint ${sprint} not found`,
+        );
+      }
+      throw new McpError(
+        status === 400 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to build burndown: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  formatSprintBurndownResponse(burndown) {
+    const { sprint, estimation } = burndown;
+    let response = `JIRA Sprint Burndown: ${sprint.name}
+═══════════════════════════════════════════════════════════════
+
+• Board: ${burndown.board.name} (${burndown.board.id})
+• Sprint: ${sprint.name} (${sprint.id}), ${sprint.state}
+• Window: ${new Date(burndown.window.start).toLocaleString()} - ${new Date(
+      burndown.window.end,
+    ).toLocaleString()}${burndown.window.ongoing ? " (in progress)" : ""}
+• Planned End: ${
+      burndown.window.plannedEnd
+        ? new Date(burndown.window.plannedEnd).toLocaleString()
+        : "N/A"
+    }
+• Estimation: ${estimation ? estimation.displayName : "Issue count"}
+• Issues Scanned: ${burndown.issuesScanned}${
+      burndown.truncated ? " (issue cap reached, results truncated)" : ""
+    }
+
+SERIES:
+───────────────────────────────────────────────────────────────`;
+
+    burndown.series.forEach((p) => {
+      response += `\n• Day ${p.day} (${new Date(p.at).toLocaleDateString()}): `;
+      response += estimation
+        ? `scope ${this.formatEstimate(
+            p.scopePoints,
+            estimation,
+          )}, completed ${this.formatEstimate(
+            p.completedPoints,
+            estimation,
+          )}, remaining ${this.formatEstimate(p.remainingPoints, estimation)}`
+        : `scope ${p.scopeIssues}, completed ${p.completedIssues}, remaining ${p.remainingIssues} issues`;
+      if (p.guidelinePoints !== null) {
+        response += `, guideline ${this.formatEstimate(
+          p.guidelinePoints,
+          estimation,
+        )}`;
+      }
+      if (p.remainingSeconds) {
+        response += `, time left ${this.formatDurationSeconds(
+          p.remainingSeconds,
+        )}`;
+      }
+    });
+
+    if (burndown.scopeChanges.length) {
+      response += `\n\nSCOPE CHANGES (${burndown.scopeChanges.length}):
+───────────────────────────────────────────────────────────────`;
+      burndown.scopeChanges.forEach((c) => {
+        response += `\n• ${new Date(c.at).toLocaleString()} ${c.key} ${c.type}`;
+        if (c.type === "added") {
+          response += ` (${this.formatEstimate(c.to, estimation)})`;
+        } else if (c.type === "removed") {
+          response += ` (${this.formatEstimate(c.from, estimation)})`;
+        } else {
+          response += `: ${this.formatEstimate(
+            c.from,
+            estimation,
+          )} → ${this.formatEstimate(c.to, estimation)}`;
+        }
+      });
+    }
+
+    return response;
+  }
+
+  async handleFetchBoardState(args) {
+    const {
+      boardId,
+      jql,
+      doneWithinDays = 14,
+      maxIssues = 500,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    this.validateBoardId(boardId);
+
+    if (jql !== undefined && (typeof jql !== "string" || !jql.trim())) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "JQL must be a non-empty string",
+      );
+    }
+    if (!Number.isInteger(doneWithinDays) || doneWithinDays < 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "doneWithinDays must be a non-negative integer",
+      );
+    }
+
+    try {
+      const state = await fetchBoardState({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        boardId: Number(boardId),
+        jql,
+        doneWithinDays,
+        maxIssues,
+      });
+
+      const responseText = this.formatBoardStateResponse(state);
+
+      return this.buildToolResult(output, responseText, state);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Board state error:", describeJiraError(error), {
+        status,
+      });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Board ${boardId} not found`,
+        );
+      }
+      if (status === 400 && jql) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Invalid JQL: ${describeJiraError(error)}`,
+        );
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to load board state: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  formatBoardStateResponse(state) {
+    const { estimation } = state;
+    let response = `JIRA Board State: ${state.board.name}
+═══════════════════════════════════════════════════════════════
+
+• Board: ${state.board.name} (${state.board.id}), ${state.board.type}`;
+    if (state.scope.sprints) {
+      response += `\n• Sprints: ${
+        state.scope.sprints.length
+          ? state.scope.sprints.map((s) => `${s.name} (${s.id})`).join(", ")
+          : "No active sprint"
+      }`;
+    }
+    if (state.scope.filter) {
+      response += `\n• Filter: ${state.scope.filter}${
+        state.scope.noActiveSprint ? " (not applied, no active sprint)" : ""
+      }`;
+    }
+    response += `\n• Issues: ${state.issuesScanned}${
+      state.truncated ? " (issue cap reached, results truncated)" : ""
+    }`;
+
+    const columnLine = (name, column) => {
+      let line = `\n\n${name.toUpperCase()} (${column.count}${
+        estimation ? `, ${this.formatEstimate(column.points, estimation)}` : ""
+      })`;
+      if (column.limits?.max !== null && column.limits?.max !== undefined) {
+        line += ` limit ${column.limits.max}${
+          column.overLimit ? " - OVER LIMIT" : ""
+        }`;
+      }
+      return `${line}
+───────────────────────────────────────────────────────────────`;
+    };
+
+    const columnBody = (column) => {
+      let body = "";
+      if (column.wip.length) {
+        body += `\n• WIP: ${column.wip
+          .map((w) => `${w.assignee} ${w.count}`)
+          .join(", ")}`;
+      }
+      column.issues.forEach((issue) => {
+        body += `\n• ${issue.key} [${issue.status || "Unknown"}] ${
+          issue.summary || ""
+        } (${issue.assignee?.displayName || "Unassigned"}${
+          estimation
+            ? `, ${this.formatEstimate(issue.estimate, estimation)}`
+            : ""
+        })`;
+      });
+      return body;
+    };
+
+    state.columns.forEach((column) => {
+      response += columnLine(column.name, column) + columnBody(column);
+    });
+    if (state.unmapped.count) {
+      response += `\n\nUNMAPPED STATUSES (${state.unmapped.count}):
+───────────────────────────────────────────────────────────────`;
+      state.unmapped.issues.forEach((issue) => {
+        response += `\n• ${issue.key} [${issue.status || "Unknown"}] ${
+          issue.summary || ""
+        }`;
+      });
+    }
+
+    return response;
+  }
+
+  async handleFetchBoardBacklog(args) {
+    const {
+      boardId,
+      jql,
+      pointBudget,
+      maxIssues = 200,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    this.validateBoardId(boardId);
+
+    if (jql !== undefined && (typeof jql !== "string" || !jql.trim())) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "JQL must be a non-empty string",
+      );
+    }
+    if (
+      pointBudget !== undefined &&
+      (typeof pointBudget !== "number" || !(pointBudget >= 0))
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "pointBudget must be a non-negative number",
+      );
+    }
+
+    try {
+      const backlog = await fetchBoardBacklog({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        boardId: Number(boardId),
+        jql,
+        pointBudget,
+        maxIssues,
+      });
+
+      const responseText = this.formatBoardBacklogResponse(backlog);
+
+      return this.buildToolResult(output, responseText, backlog);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Backlog error:", describeJiraError(error), { status });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Board ${boardId} not found`,
+        );
+      }
+      throw new McpError(
+        status === 400 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to load backlog: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  formatBoardBacklogResponse(backlog) {
+    const { estimation } = backlog;
+    let response = `JIRA Board Backlog: ${backlog.board.name}
+═══════════════════════════════════════════════════════════════
+
+• Board: ${backlog.board.name} (${backlog.board.id})`;
+    if (backlog.jql) response += `\n• JQL: ${backlog.jql}`;
+    response += `\n• Issues: ${backlog.count}${
+      backlog.truncated ? " (issue cap reached, results truncated)" : ""
+    }`;
+    if (estimation) {
+      response += `\n• Total Estimate: ${this.formatEstimate(
+        backlog.totalEstimate,
+        estimation,
+      )}`;
+    }
+    if (backlog.budget) {
+      response += `\n• Budget: ${this.formatEstimate(
+        backlog.budget.points,
+        estimation,
+      )}, used ${this.formatEstimate(
+        backlog.budget.used,
+        estimation,
+      )}, remaining ${this.formatEstimate(
+        backlog.budget.remaining,
+        estimation,
+      )}`;
+      if (backlog.budget.stoppedAt) {
+        response += ` (next up: ${backlog.budget.stoppedAt} does not fit)`;
+      }
+    }
+
+    response += `\n\nRANK ORDER:
+───────────────────────────────────────────────────────────────`;
+    if (backlog.issues.length === 0) response += "\nBacklog is empty.";
+    backlog.issues.forEach((issue) => {
+      response += `\n${issue.rank}. ${issue.key}${
+        issue.flagged ? " [FLAGGED]" : ""
+      } ${issue.summary || ""} (${issue.issuetype || "Unknown"}, ${
+        issue.status || "Unknown"
+      }${
+        estimation ? `, ${this.formatEstimate(issue.estimate, estimation)}` : ""
+      })`;
+      if (issue.epic) response += `\n   • Epic: ${issue.epic.key}`;
+      if (issue.labels.length) {
+        response += `\n   • Labels: ${issue.labels.join(", ")}`;
+      }
+    });
+
+    return response;
+  }
+
+  async handleMoveIssuesToSprint(args) {
+    const {
+      issueKeys,
+      sprint,
+      boardId,
+      rankBeforeIssue,
+      rankAfterIssue,
+      dry_run: dryRun = false,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    this.validateAgileIssues(issueKeys, { rankBeforeIssue, rankAfterIssue });
+    if (boardId !== undefined) this.validateBoardId(boardId);
+
+    if (
+      (typeof sprint !== "string" && typeof sprint !== "number") ||
+      !String(sprint).trim()
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'Sprint must be a sprint id, a sprint name or "backlog"',
+      );
+    }
+
+    try {
+      const result = await moveIssuesToSprint({
+        baseUrl: JIRA_CONFIG.baseUrl,
+        auth: {
+          email: JIRA_CONFIG.email,
+          apiToken: JIRA_CONFIG.apiToken,
+        },
+        issueKeys,
+        sprint,
+        boardId: boardId === undefined ? undefined : Number(boardId),
+        rankBeforeIssue,
+        rankAfterIssue,
+        dryRun,
+      });
+      if (result.dryRun) {
+        return this.buildDryRunResult("move_issues_to_sprint", output, result);
+      }
+
+      const responseText = this.formatMoveIssuesResponse(result);
+
+      return this.buildToolResult(output, responseText, result);
+    } catch (error) {
+      const status = error?.response?.status;
+      console.error("Sprint move error:", describeJiraError(error), {
+        status,
+      });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Sprint or board not found: ${describeJiraError(error)}`,
+        );
+      }
+      throw new McpError(
+        status === 400 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to move issues: ${describeJiraError(error)}`,
+      );
+    }
+  }
+
+  formatMoveIssuesResponse(result) {
+    let response = `JIRA Issues Moved: ${
+      result.sprint ? result.sprint.name : "Backlog"
+    }
+═══════════════════════════════════════════════════════════════
+
+• Target: ${
+      result.sprint
+        ? `${result.sprint.name} [${result.sprint.id}, ${result.sprint.state}]`
+        : "Backlog"
+    }
+• Issues (${result.moved}): ${result.issueKeys.join(", ")}`;
+    if (result.rankBeforeIssue) {
+      response += `\n• Ranked before: ${result.rankBeforeIssue}`;
+    }
+    if (result.rankAfterIssue) {
+      response += `\n• Ranked after: ${result.rankAfterIssue}`;
+    }
+    return response;
+  }
+
+  async handleRankIssues(args) {
+    const {
+      issueKeys,
+      rankBeforeIssue,
+      rankAfterIssue,
+      boardId,
+      dry_run: dryRun = false,
+      output = "text",
     } = args || {};
+    this.validateOutputMode(output);
+    this.validateAgileIssues(issueKeys, { rankBeforeIssue, rankAfterIssue });
+    if (boardId !== undefined) this.validateBoardId(boardId);
 
-    console.log(
-      `Searching JIRA boards with name: "${name}", type: ${type}, project: ${projectKeyOrId}`,
-    );
+    if (!rankBeforeIssue === !rankAfterIssue) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Provide exactly one of rankBeforeIssue or rankAfterIssue",
+      );
+    }
 
     try {
-      const boards = await searchBoardsFull({
+      const result = await rankIssues({
         baseUrl: JIRA_CONFIG.baseUrl,
         auth: {
           email: JIRA_CONFIG.email,
           apiToken: JIRA_CONFIG.apiToken,
         },
-        name,
-        type,
-        projectKeyOrId,
-        maxResults,
-        includeConfig,
-        includeActiveSprints,
-        includeProjects,
+        issueKeys,
+        rankBeforeIssue,
+        rankAfterIssue,
+        boardId: boardId === undefined ? undefined : Number(boardId),
+        dryRun,
       });
+      if (result.dryRun) {
+        return this.buildDryRunResult("rank_issues", output, result);
+      }
 
-      console.log(`Found ${boards.length} boards`);
-
-      const responseText = this.formatBoardsResponse(boards, {
-        name,
-        type,
-        projectKeyOrId,
-      });
+      const responseText = this.formatRankIssuesResponse(result);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: responseText,
-          },
-        ],
-      };
+      return this.buildToolResult(output, responseText, result);
     } catch (error) {
-      console.error("Board search error:", error.message);
+      const status = error?.response?.status;
+      console.error("Rank error:", describeJiraError(error), { status });
       throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to search boards: ${error.message}`,
+        status === 400 || status === 404 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to rank issues: ${describeJiraError(error)}`,
       );
     }
   }
 
-  async handleSearchProjectsWithBoards(args) {
+  formatRankIssuesResponse(result) {
+    let response = `JIRA Issues Ranked
+═══════════════════════════════════════════════════════════════
+
+• ${result.rankBeforeIssue ? "Before" : "After"}: ${
+      result.rankBeforeIssue || result.rankAfterIssue
+    }
+• Ranked (${result.ranked.length}): ${result.ranked.join(", ") || "none"}`;
+    if (result.failed.length) {
+      response += `\n\nNOT RANKED:
+───────────────────────────────────────────────────────────────`;
+      result.failed.forEach((f) => {
+        response += `\n• ${f.issueKey} (${f.status}): ${
+          f.errors.join("; ") || "unknown error"
+        }`;
+      });
+    }
+    return response;
+  }
+
+  async handleFetchProjectVersions(args) {
     const {
-      projectQuery,
-      projectStatus,
-      projectCategoryId,
-      boardType,
-      includeConfig = true,
-      includeActiveSprints = true,
+      projectKeyOrId,
+      status,
+      query,
+      includeCounts = true,
+      maxResults = 50,
+      output = "text",
     } = args || {};
+    this.validateOutputMode(output);
 
-    console.log(
-      `Searching projects with boards - project query: "${projectQuery}", board type: ${boardType}`,
-    );
+    if (!projectKeyOrId || typeof projectKeyOrId !== "string") {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Project key or ID is required and must be a string",
+      );
+    }
+    if (status !== undefined) {
+      const states = typeof status === "string" ? status.split(",") : [];
+      const valid = ["released", "unreleased", "archived"];
+      if (!states.length || states.some((s) => !valid.includes(s.trim()))) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Status must be one or more of: ${valid.join(", ")}`,
+        );
+      }
+    }
+    if (query !== undefined && typeof query !== "string") {
+      throw new McpError(ErrorCode.InvalidParams, "Query must be a string");
+    }
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 200) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "maxResults must be an integer between 1 and 200",
+      );
+    }
 
     try {
-      const projectsWithBoards = await searchProjectsWithBoards({
+      const result = await fetchProjectVersions({
         baseUrl: JIRA_CONFIG.baseUrl,
         auth: {
           email: JIRA_CONFIG.email,
           apiToken: JIRA_CONFIG.apiToken,
         },
-        projectQuery,
-        projectStatus,
-        projectCategoryId,
-        boardType,
-        includeConfig,
-        includeActiveSprints,
+        projectKeyOrId,
+        status: status?.replace(/\s+/g, ""),
+        query,
+        includeCounts: includeCounts !== false,
+        maxResults,
       });
 
-      console.log(`Found ${projectsWithBoards.length} projects with boards`);
-
-      const responseText = this.formatProjectsWithBoardsResponse(
-        projectsWithBoards,
-        {
-          projectQuery,
-          projectStatus,
-          boardType,
-        },
-      );
+      const responseText = this.formatProjectVersionsResponse(result);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: responseText,
-          },
-        ],
-      };
+      return this.buildToolResult(output, responseText, result);
     } catch (error) {
-      console.error("Projects with boards search error:", error.message);
+      const status = error?.response?.status;
+      console.error("Versions error:", describeJiraError(error), { status });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Project ${projectKeyOrId} not found`,
+        );
+      }
       throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to search projects with boards: ${error.message}`,
+        status === 400 ? ErrorCode.InvalidParams : ErrorCode.InternalError,
+        `Failed to fetch versions: ${describeJiraError(error)}`,
       );
     }
   }
 
-  async handleFetchJiraProjectTree(args) {
-    const { projectKeyOrId, pageSize = 100 } = args || {};
+  formatProjectVersionsResponse(result) {
+    const { summary } = result;
+    let response = `JIRA Project Versions: ${result.project}
+═══════════════════════════════════════════════════════════════
 
-    if (!projectKeyOrId || typeof projectKeyOrId !== "string") {
+• Versions: ${summary.total}${result.truncated ? " (truncated)" : ""}
+• Released: ${summary.released}
+• Unreleased: ${summary.unreleased}
+• Archived: ${summary.archived}
+• Overdue: ${summary.overdue}
+
+VERSIONS:
+───────────────────────────────────────────────────────────────`;
+    if (result.versions.length === 0) response += "\nNo versions found.";
+    result.versions.forEach((v) => {
+      const state = v.archived
+        ? "Archived"
+        : v.released
+          ? "Released"
+          : "Unreleased";
+      response += `\n\n${v.name} [${v.id}] - ${state}${
+        v.overdue ? " (OVERDUE)" : ""
+      }`;
+      if (v.startDate || v.releaseDate) {
+        response += `\n   • Dates: ${v.startDate || "?"} → ${
+          v.releaseDate || "?"
+        }`;
+      }
+      const cat = v.counts.byStatusCategory;
+      if (cat) {
+        response += `\n   • Status: To Do ${cat.toDo}, In Progress ${
+          cat.inProgress
+        }, Done ${cat.done}${cat.unmapped ? `, Unmapped ${cat.unmapped}` : ""}`;
+      }
+      if (v.progress !== null) {
+        response += `\n   • Progress: ${Math.round(v.progress * 100)}% done`;
+      }
+      if (v.counts.issues !== null) {
+        response += `\n   • Issues: ${v.counts.issues} (${
+          v.counts.unresolved
+        } unresolved), affects ${v.counts.affected}`;
+      }
+      if (v.description) response += `\n   • ${v.description}`;
+    });
+
+    return response;
+  }
+
+  async handleFetchIssueLinkGraph(args) {
+    const {
+      issueKey,
+      maxDepth = 2,
+      linkTypes,
+      direction = "both",
+      includeHierarchy = true,
+      maxNodes = 200,
+      output = "text",
+    } = args || {};
+    this.validateOutputMode(output);
+    this.validateIssueKey(issueKey);
+
+    if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > 5) {
       throw new McpError(
         ErrorCode.InvalidParams,
-        "Project key or ID is required and must be a string",
+        "maxDepth must be an integer between 0 and 5",
+      );
+    }
+    if (!Number.isInteger(maxNodes) || maxNodes < 1 || maxNodes > 500) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "maxNodes must be an integer between 1 and 500",
+      );
+    }
+    if (
+      linkTypes !== undefined &&
+      (!Array.isArray(linkTypes) ||
+        linkTypes.length === 0 ||
+        linkTypes.some((t) => typeof t !== "string" || !t.trim()))
+    ) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "linkTypes must be a non-empty array of link type names",
+      );
+    }
+    if (!["both", "outward", "inward"].includes(direction)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'Direction must be "both", "outward" or "inward"',
       );
     }
-
-    console.log(`Fetching JIRA project tree for: ${projectKeyOrId}`);
 
     try {
-      const projectTree = await fetchProjectTree3Levels({
+      const graph = await fetchIssueLinkGraph({
         baseUrl: JIRA_CONFIG.baseUrl,
         auth: {
           email: JIRA_CONFIG.email,
           apiToken: JIRA_CONFIG.apiToken,
         },
-        projectKeyOrId,
-        pageSize,
+        issueKey,
+        maxDepth,
+        linkTypes: linkTypes?.map((t) => t.trim()),
+        direction,
+        includeHierarchy: includeHierarchy !== false,
+        maxNodes,
       });
 
-      console.log(`Successfully fetched project tree for: ${projectKeyOrId}`);
-      console.log(
-        `Stats: ${projectTree.stats.epics} epics, ${projectTree.stats.children} issues, ${projectTree.stats.subtasks} subtasks`,
-      );
-
-      // Format the response for better readability
-      const responseText = this.formatProjectTreeResponse(projectTree);
+      const responseText = this.formatIssueLinkGraphResponse(graph);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: responseText,
-          },
-        ],
-      };
+      return this.buildToolResult(output, responseText, graph);
     } catch (error) {
       const status = error?.response?.status;
-      let dataSnippet;
-      try {
-        dataSnippet = JSON.stringify(error?.response?.data)?.slice(0, 1000);
-      } catch {}
-      console.error("Project tree fetch error:", error?.message || error, {
-        status,
-        dataSnippet,
-      });
+      console.error("Link graph error:", describeJiraError(error), { status });
+      if (status === 404) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `JIRA ticket ${issueKey} not found`,
+        );
+      }
       throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to fetch project tree: ${error?.message || "unknown error"}`,
+        status === 400 || error?.invalidInput
+          ? ErrorCode.InvalidParams
+          : ErrorCode.InternalError,
+        `Failed to build link graph: ${describeJiraError(error)}`,
       );
     }
   }
 
+  formatIssueLinkGraphResponse(graph) {
+    const { stats, filters } = graph;
+    let response = `JIRA Issue Link Graph: ${graph.root}
+═══════════════════════════════════════════════════════════════
+
+• Issues: ${stats.nodes}${graph.truncated ? " (node limit reached)" : ""}
+• Edges: ${stats.edges}
+• Depth: ${stats.maxDepthReached} of ${graph.maxDepth}
+• Link Types: ${filters.linkTypes ? filters.linkTypes.join(", ") : "all"} (${
+      filters.direction
+    })
+• Hierarchy: ${filters.includeHierarchy ? "included" : "excluded"}`;
+
+    if (graph.cycles.length) {
+      response += `\n\nCYCLES (${graph.cycles.length}):
+───────────────────────────────────────────────────────────────`;
+      graph.cycles.forEach((cycle) => {
+        response += `\n• ${cycle.join(" → ")}`;
+      });
+    }
+
+    response += `\n\nISSUES:
+───────────────────────────────────────────────────────────────`;
+    graph.nodes.forEach((node) => {
+      response += `\n${"  ".repeat(node.depth)}• ${node.key}${
+        node.summary ? ` ${node.summary}` : ""
+      } (${node.issuetype || "Unknown"}, ${node.status || "Unknown"})${
+        node.visible ? "" : " [not visible]"
+      }`;
+    });
+
+    response += `\n\nEDGES:
+───────────────────────────────────────────────────────────────`;
+    if (graph.edges.length === 0) response += "\nNo links followed.";
+    graph.edges.forEach((edge) => {
+      response += `\n• ${edge.from} ${edge.label || edge.type} ${edge.to}${
+        edge.kind === "hierarchy" ? ` (${edge.type})` : ""
+      }`;
+    });
+
+    return response;
+  }
+
+  formatDurationSeconds(seconds) {
+    const d = Math.floor(seconds / 86400);
+    const h = Math.floor((seconds % 86400) / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const parts = [];
+    if (d) parts.push(`${d}d`);
+    if (h) parts.push(`${h}h`);
+    if (m || parts.length === 0) parts.push(`${m}m`);
+    return parts.join(" ");
+  }
+
+  formatIssueHistoryResponse(history) {
+    let response = `JIRA Issue History: ${history.issueKey}
+═══════════════════════════════════════════════════════════════
+
+OVERVIEW:
+• Summary: ${history.summary}
+• Current Status: ${history.currentStatus}
+• Created: ${new Date(history.created).toLocaleString()}
+• Total Changes: ${history.totalChanges}`;
+
+    if (history.filters.fields.length > 0) {
+      response += `\n• Field Filter: ${history.filters.fields.join(", ")}`;
+    }
+    if (history.filters.since) {
+      response += `\n• Since: ${history.filters.since}`;
+    }
+
+    if (history.timeInStatus.length > 0) {
+      response += `\n\nTIME IN STATUS:`;
+      history.timeInStatus.forEach((t) => {
+        response += `\n• ${t.status}: ${this.formatDurationSeconds(
+          t.totalSeconds,
+        )} (${t.visits} ${t.visits === 1 ? "visit" : "visits"})`;
+      });
+    }
+
+    if (history.statusTransitions.length > 0) {
+      response += `\n\nSTATUS TRANSITIONS:`;
+      history.statusTransitions.forEach((t) => {
+        response += `\n• ${new Date(t.at).toLocaleString()}: ${t.from} → ${
+          t.to
+        } (by ${t.author.displayName})`;
+      });
+    }
+
+    response += `\n\nCHANGES (${history.events.length}):
+───────────────────────────────────────────────────────────────`;
+
+    if (history.events.length === 0) {
+      response += `\n\nNo matching changes.`;
+      return response;
+    }
+
+    history.events.forEach((ev) => {
+      response += `\n• ${new Date(ev.created).toLocaleString()} ${
+        ev.author.displayName
+      } changed ${ev.field}: ${ev.fromString ?? "(none)"} → ${
+        ev.toString ?? "(none)"
+      }`;
+    });
+
+    return response;
+  }
+
   formatProjectTreeResponse(projectTree) {
+    const levelName = new Map(
+      projectTree.hierarchy.map((h) => [
+        h.level,
+        h.issueTypes.map((t) => t.name).join("/"),
+      ]),
+    );
     let response = `JIRA Project Tree: ${projectTree.project}
 ═══════════════════════════════════════════════════════════════
 
 PROJECT STATISTICS:
 • Levels: ${projectTree.levels}
-• Epics: ${projectTree.stats.epics}
-• Issues: ${projectTree.stats.children}
-• Subtasks: ${projectTree.stats.subtasks}
+• Issues: ${projectTree.stats.total}`;
+    projectTree.stats.byLevel.forEach(({ level, count }) => {
+      response += `\n• ${levelName.get(level) || `Level ${level}`}: ${count}`;
+    });
+    response += `\n• Unassigned: ${projectTree.stats.orphans}`;
+    if (projectTree.stats.epicLinkChildren) {
+      response += `\n• Via Epic Link: ${projectTree.stats.epicLinkChildren}`;
+    }
+    const { points, timeSeconds } = projectTree.stats;
+    if (points.total) {
+      response += `\n• Story Points: ${points.done}/${points.total} done`;
+    }
+    if (timeSeconds.total) {
+      response += `\n• Estimated: ${this.formatDurationSeconds(
+        timeSeconds.done,
+      )}/${this.formatDurationSeconds(timeSeconds.total)} done, ${this.formatDurationSeconds(
+        timeSeconds.remaining,
+      )} remaining`;
+    }
+    if (projectTree.rootJql) response += `\n• Roots: ${projectTree.rootJql}`;
+    if (projectTree.maxDepth !== null) {
+      response += `\n• Max Depth: ${projectTree.maxDepth}`;
+    }
 
-EPIC BREAKDOWN:
+    response += `\n\nHIERARCHY:
 ───────────────────────────────────────────────────────────────`;
 
-    if (projectTree.epics.length === 0) {
-      response += `\n\nNo epics found in project ${projectTree.project}.`;
+    if (projectTree.roots.length === 0 && projectTree.unassigned.length === 0) {
+      response += `\n\nNo root issues found in project ${projectTree.project}.`;
       return response;
     }
 
-    projectTree.epics.forEach((epic, index) => {
-      const childCount = epic.children?.length || 0;
-      const subtaskCount =
-        epic.children?.reduce(
-          (sum, child) => sum + (child.subtasks?.length || 0),
-          0,
-        ) || 0;
-
-      response += `\n\n${index + 1}. EPIC: ${epic.key} - ${epic.summary}
-   • Status: ${epic.status || "Unknown"}
-   • Priority: ${epic.priority || "Normal"}
-   • Assignee: ${epic.assignee || "Unassigned"}`;
-
-      if (epic.storyPoints) {
-        response += `\n   • Story Points: ${epic.storyPoints}`;
+    const describeRollup = (r) => {
+      const parts = [];
+      if (r.points.total) {
+        parts.push(`${r.points.done}/${r.points.total} pts`);
+      }
+      if (r.timeSeconds.total) {
+        parts.push(
+          `${this.formatDurationSeconds(
+            r.timeSeconds.done,
+          )}/${this.formatDurationSeconds(r.timeSeconds.total)} estimated`,
+        );
       }
+      parts.push(`${r.issues.done}/${r.issues.total} issues done`);
+      return `${
+        r.progress === null ? "-" : `${Math.round(r.progress * 100)}%`
+      } (${parts.join(", ")})`;
+    };
 
-      response += `\n   • Child Issues: ${childCount}
-   • Subtasks: ${subtaskCount}`;
+    const countBelow = (node) =>
+      node.children.reduce((sum, c) => sum + 1 + countBelow(c), 0);
 
-      if (epic.children && epic.children.length > 0) {
-        response += `\n\n   CHILD ISSUES:`;
-        epic.children.forEach((child, childIndex) => {
-          response += `\n   ${childIndex + 1}. ${child.key} - ${child.summary}
-      • Type: ${child.issuetype || "Unknown"}
-      • Status: ${child.status || "Unknown"}
-      • Assignee: ${child.assignee || "Unassigned"}`;
+    const renderNode = (node, indent, label) => {
+      const pad = "   ".repeat(indent);
+      response += `\n${pad}${label} ${node.key} - ${node.summary}
+${pad}   • Type: ${node.issuetype || "Unknown"}
+${pad}   • Status: ${node.status || "Unknown"}
+${pad}   • Assignee: ${node.assignee || "Unassigned"}`;
 
-          if (child.storyPoints) {
-            response += `\n      • Story Points: ${child.storyPoints}`;
-          }
+      if (node.storyPoints !== null) {
+        response += `\n${pad}   • Story Points: ${node.storyPoints}`;
+      }
+      if (node.children.length > 0) {
+        response += `\n${pad}   • Progress: ${describeRollup(node.rollup)}`;
+      }
 
-          if (child.subtasks && child.subtasks.length > 0) {
-            response += `\n      • Subtasks: ${child.subtasks.length}`;
-            child.subtasks.forEach((subtask, subtaskIndex) => {
-              response += `\n        ${subtaskIndex + 1}. ${subtask.key} - ${
-                subtask.summary
-              } (${subtask.status || "Unknown"})`;
-            });
-          }
-        });
+      if (node.children.length > 0) {
+        response += `\n${pad}   • Children: ${node.children.length} (${countBelow(
+          node,
+        )} below)`;
+        node.children.forEach((child, index) =>
+          renderNode(child, indent + 1, `${index + 1}.`),
+        );
       }
+    };
+
+    projectTree.roots.forEach((root, index) => {
+      response += "\n";
+      renderNode(
+        root,
+        0,
+        `${index + 1}. ${(root.issuetype || "Issue").toUpperCase()}:`,
+      );
     });
 
+    if (projectTree.unassigned.length > 0) {
+      response += `\n\nUNASSIGNED (no parent or Epic Link):
+───────────────────────────────────────────────────────────────`;
+      projectTree.unassigned.forEach((node, index) => {
+        response += "\n";
+        renderNode(
+          node,
+          0,
+          `${index + 1}. ${(node.issuetype || "Issue").toUpperCase()}:`,
+        );
+      });
+    }
+
     return response;
   }
 
@@ -835,6 +3851,44 @@ SEARCH PARAMETERS:`;
     return response;
   }
 
+  // Rich text is a string for 'text'/'markdown' and the ADF document for 'adf'
+  formatRichText(value) {
+    if (value && typeof value === "object") {
+      return JSON.stringify(value, null, 2);
+    }
+    return value ?? "";
+  }
+
+  formatJiraTicketsResponse(result) {
+    let response = `JIRA Bulk Ticket Fetch
+═══════════════════════════════════════════════════════════════
+
+SUMMARY:
+• Requested: ${result.requested}
+• Fetched: ${result.tickets.length}
+• Errors: ${result.errors.length}`;
+
+    if (result.moved?.length > 0) {
+      response += `\n\nMOVED (fetched under the current key):`;
+      result.moved.forEach((m) => {
+        response += `\n• ${m.requestedKey} → ${m.key}`;
+      });
+    }
+
+    if (result.errors.length > 0) {
+      response += `\n\nERRORS:`;
+      result.errors.forEach((err) => {
+        response += `\n• ${err.key}: ${err.error}`;
+      });
+    }
+
+    result.tickets.forEach((ticket) => {
+      response += `\n\n${this.formatJiraTicketResponse(ticket)}`;
+    });
+
+    return response;
+  }
+
   formatJiraTicketResponse(info) {
     let response = `JIRA Ticket: ${info.key}
 ═══════════════════════════════════════════════════════════════
@@ -870,7 +3924,7 @@ TIMELINE:
     }
 
     response += `\n\nDESCRIPTION:
-${info.description}`;
+${this.formatRichText(info.description)}`;
 
     if (info.resolution) {
       response += `\n\nRESOLUTION:
@@ -900,12 +3954,26 @@ ${info.labels.join(", ")}`;
     if (info.linkedIssues.length > 0) {
       response += `\n\nLINKED ISSUES:`;
       info.linkedIssues.forEach((link) => {
-        if (link.inwardIssue) {
-          response += `\n• ${link.type.inward}: ${link.inwardIssue.key} - ${link.inwardIssue.summary} (${link.inwardIssue.status})`;
-        }
-        if (link.outwardIssue) {
-          response += `\n• ${link.type.outward}: ${link.outwardIssue.key} - ${link.outwardIssue.summary} (${link.outwardIssue.status})`;
-        }
+        const other = link.inwardIssue || link.outwardIssue;
+        if (!other) return;
+        const label =
+          (link.inwardIssue ? link.type.inward : link.type.outward) ||
+          link.type.name ||
+          "linked";
+        response += `\n• ${label}: ${other.key}${
+          other.summary ? ` - ${other.summary}` : ""
+        }${other.status ? ` (${other.status})` : ""}`;
+        Object.entries(link.fields || {}).forEach(([name, value]) => {
+          response += `\n   • ${name}: ${
+            value === null || value === undefined
+              ? "None"
+              : Array.isArray(value)
+                ? value.join(", ") || "None"
+                : typeof value === "object"
+                  ? JSON.stringify(value)
+                  : value
+          }`;
+        });
       });
     }
 
@@ -1020,10 +4088,11 @@ ${info.labels.join(", ")}`;
     if (info.recentComments.length > 0) {
       response += `\n\nRECENT COMMENTS:`;
       info.recentComments.forEach((comment) => {
+        const body = this.formatRichText(comment.body);
         response += `\n• ${comment.author} (${new Date(
           comment.created,
-        ).toLocaleDateString()}): ${comment.body.substring(0, 100)}${
-          comment.body.length > 100 ? "..." : ""
+        ).toLocaleDateString()}): ${body.substring(0, 100)}${
+          body.length > 100 ? "..." : ""
         }`;
       });
     }
@@ -1134,7 +4203,10 @@ ${info.labels.join(", ")}`;
             break;
           case "tools/call":
           case "callTool":
-            result = await this.handleCall({ params: params });
+            result = await this.handleCall(
+              { params: params },
+              { transport: "http", caller: callerFromRequest(req) },
+            );
             break;
           case "resources/list":
             result = await this.handleListResources();
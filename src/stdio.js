@@ -11,6 +11,9 @@ import {
   McpError,
 } from "@modelcontextprotocol/sdk/types.js";
 import axios from "axios";
+import { AuditLog, AUDIT_RESOURCE, callerFromClientInfo } from "./audit-log.js";
+import { STDIO_TOOL_OUTPUT_SCHEMAS } from "./schemas/tool-outputs.js";
+import { validateAgainstSchema } from "./schemas/validate.js";
 
 // Environment variables are provided by the parent process (HTTP bridge)
 // to avoid stdout noise that corrupts JSON-RPC communication.
@@ -46,6 +49,24 @@ const PERPLEXITY_CONFIG = {
   baseUrl: process.env.PERPLEXITY_API_BASE || "https://api.perplexity.ai",
 };
 
+// Set by the HTTP bridge on the child it spawns; only then is the
+// bridge-supplied _caller trusted for the audit log
+const SPAWNED_BY_BRIDGE = process.env.MCP_BRIDGE_CHILD === "1";
+
+// Tool results are checked against their output schema:
+// 'off' skips the check, 'warn' logs violations, 'strict' fails the call
+const SCHEMA_VALIDATION_MODE = ["off", "warn", "strict"].includes(
+  process.env.MCP_SCHEMA_VALIDATION
+)
+  ? process.env.MCP_SCHEMA_VALIDATION
+  : "warn";
+
+// Result whose text is the JSON of `data`, also sent as structuredContent
+const jsonResult = (data) => ({
+  content: [{ type: "text", text: JSON.stringify(data, null, 2) }],
+  structuredContent: data,
+});
+
 // Perplexity cache and search history
 const perplexityCache = new Map();
 const searchHistory = [];
@@ -66,6 +87,10 @@ class StdioMCPServer {
     this.oauthToken = null;
     this.oauthExpires = 0;
 
+    // Audit trail of tool calls and upstream writes
+    this.auditLog = new AuditLog();
+    this.auditLog.instrumentAxios(axios);
+
     this.setupHandlers();
   }
 
@@ -201,11 +226,40 @@ class StdioMCPServer {
       });
     }
 
-    return { tools };
+    // Advertise each tool's structuredContent contract as outputSchema
+    return {
+      tools: tools.map((tool) =>
+        STDIO_TOOL_OUTPUT_SCHEMAS[tool.name]
+          ? { ...tool, outputSchema: STDIO_TOOL_OUTPUT_SCHEMAS[tool.name] }
+          : tool
+      ),
+    };
+  }
+
+  // Check structuredContent against the tool's declared output schema
+  checkOutputSchema(name, result) {
+    const schema = STDIO_TOOL_OUTPUT_SCHEMAS[name];
+    if (
+      SCHEMA_VALIDATION_MODE === "off" ||
+      !schema ||
+      result?.structuredContent === undefined
+    ) {
+      return;
+    }
+    const errors = validateAgainstSchema(result.structuredContent, schema);
+    if (errors.length === 0) return;
+
+    const summary = `Output schema violation for ${name}: ${errors
+      .slice(0, 5)
+      .join("; ")}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ""}`;
+    if (SCHEMA_VALIDATION_MODE === "strict") {
+      throw new McpError(ErrorCode.InternalError, summary);
+    }
+    console.error(`[MCP] ${summary}`);
   }
 
   async handleListResources() {
-    const resources = [];
+    const resources = [AUDIT_RESOURCE];
 
     // Add search history resources if Perplexity is enabled
     const enablePerplexity =
@@ -235,6 +289,19 @@ class StdioMCPServer {
       return this.handleSearchHistoryResource(uri);
     }
 
+    const audit = this.auditLog.readResource(uri);
+    if (audit) {
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "application/json",
+            text: JSON.stringify(audit, null, 2),
+          },
+        ],
+      };
+    }
+
     throw new McpError(ErrorCode.InvalidRequest, `Unknown resource: ${uri}`);
   }
 
@@ -302,7 +369,10 @@ class StdioMCPServer {
   }
 
   async handleCall(request) {
+    // _caller is injected by the HTTP bridge (the parent process); from any
+    // other client it is ignored so callers cannot pick their audit identity
     const { name, arguments: args } = request.params || {};
+    const _caller = SPAWNED_BY_BRIDGE ? request.params?._caller : undefined;
     console.error(`[MCP] Tool called: ${name}`, args);
 
     if (!name) {
@@ -312,23 +382,23 @@ class StdioMCPServer {
       );
     }
 
+    return this.auditLog.track(
+      {
+        transport: _caller ? "http-bridge" : "stdio",
+        caller:
+          _caller || callerFromClientInfo(this.server.getClientVersion?.()),
+        tool: name,
+        args,
+      },
+      () => this.runTool(name, args)
+    );
+  }
+
+  async runTool(name, args) {
     try {
-      switch (name) {
-        case "add_numbers":
-          return this.handleAddNumbers(args);
-        case "jira_whoami":
-          return this.handleJiraWhoami(args);
-        case "fetch_jira_ticket":
-          return this.handleFetchJiraTicket(args);
-        case "fetch_jira_projects":
-          return this.handleFetchJiraProjects(args);
-        case "fetch_current_sprint":
-          return this.handleFetchCurrentSprint(args);
-        case "fetch_perplexity_data":
-          return this.handleFetchPerplexityData(args);
-        default:
-          throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-      }
+      const result = await this.dispatchTool(name, args);
+      this.checkOutputSchema(name, result);
+      return result;
     } catch (err) {
       console.error(`[MCP] Tool execution error for ${name}:`, err.message);
       if (err instanceof McpError) throw err;
@@ -336,6 +406,25 @@ class StdioMCPServer {
     }
   }
 
+  async dispatchTool(name, args) {
+    switch (name) {
+      case "add_numbers":
+        return this.handleAddNumbers(args);
+      case "jira_whoami":
+        return this.handleJiraWhoami(args);
+      case "fetch_jira_ticket":
+        return this.handleFetchJiraTicket(args);
+      case "fetch_jira_projects":
+        return this.handleFetchJiraProjects(args);
+      case "fetch_current_sprint":
+        return this.handleFetchCurrentSprint(args);
+      case "fetch_perplexity_data":
+        return this.handleFetchPerplexityData(args);
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  }
+
   async handleAddNumbers(args) {
     const { numbers } = args || {};
     if (!Array.isArray(numbers)) {
@@ -362,6 +451,7 @@ class StdioMCPServer {
           )} = ${sum}`,
         },
       ],
+      structuredContent: { numbers, sum },
     };
   }
 
@@ -438,25 +528,14 @@ class StdioMCPServer {
       });
 
       const user = response.data;
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(
-              {
-                accountId: user.accountId,
-                displayName: user.displayName,
-                emailAddress: user.emailAddress,
-                active: user.active,
-                timeZone: user.timeZone,
-                locale: user.locale,
-              },
-              null,
-              2
-            ),
-          },
-        ],
-      };
+      return jsonResult({
+        accountId: user.accountId,
+        displayName: user.displayName,
+        emailAddress: user.emailAddress,
+        active: user.active,
+        timeZone: user.timeZone,
+        locale: user.locale,
+      });
     } catch (error) {
       console.error(
         "[MCP] JIRA whoami error:",
@@ -509,14 +588,7 @@ class StdioMCPServer {
         description: fields.description || "No description",
       };
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(info, null, 2),
-          },
-        ],
-      };
+      return jsonResult(info);
     } catch (error) {
       console.error(
         "[MCP] JIRA ticket fetch error:",
@@ -556,18 +628,7 @@ class StdioMCPServer {
         lead: project.lead?.displayName || "Unknown",
       }));
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(
-              { projects, total: response.data.total },
-              null,
-              2
-            ),
-          },
-        ],
-      };
+      return jsonResult({ projects, total: response.data.total });
     } catch (error) {
       console.error(
         "[MCP] JIRA projects fetch error:",
@@ -625,14 +686,7 @@ class StdioMCPServer {
         goal: sprint.goal || "No goal set",
       }));
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({ projectKey, boardId, sprints }, null, 2),
-          },
-        ],
-      };
+      return jsonResult({ projectKey, boardId, sprints });
     } catch (error) {
       console.error(
         "[MCP] JIRA sprint fetch error:",
@@ -688,18 +742,7 @@ class StdioMCPServer {
         data: cached,
       });
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(
-              { ...cached, cache_hit: true, search_id: id },
-              null,
-              2
-            ),
-          },
-        ],
-      };
+      return jsonResult({ ...cached, cache_hit: true, search_id: id });
     }
 
     // System prompt optimized for data collection
@@ -768,18 +811,7 @@ class StdioMCPServer {
         data: formattedData,
       });
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(
-              { ...formattedData, cache_hit: false, search_id: id },
-              null,
-              2
-            ),
-          },
-        ],
-      };
+      return jsonResult({ ...formattedData, cache_hit: false, search_id: id });
     } catch (error) {
       console.error(
         "[MCP] Perplexity API error:",
@@ -91,17 +91,19 @@ export class PerplexityTool {
     );
     const cached = this.cache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+      const cachedResult = {
+        ...cached.data,
+        cache_hit: true,
+        cached_at: new Date(cached.timestamp).toISOString(),
+      };
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify({
-              ...cached.data,
-              cache_hit: true,
-              cached_at: new Date(cached.timestamp).toISOString(),
-            }),
+            text: JSON.stringify(cachedResult),
           },
         ],
+        structuredContent: cachedResult,
       };
     }
 
@@ -229,6 +231,7 @@ export class PerplexityTool {
             text: JSON.stringify(searchResult),
           },
         ],
+        structuredContent: searchResult,
       };
     } catch (error) {
       console.error("Perplexity API error:", error);
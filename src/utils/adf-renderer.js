@@ -0,0 +1,258 @@
+/**
+ * ADF (Atlassian Document Format) renderer
+ * Renders JIRA Cloud rich text to Markdown or structured plain text while
+ * keeping block structure: headings, nested lists, code blocks, tables,
+ * panels, quotes, mentions, emojis, status lozenges and smart links.
+ * ADF spec: https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+ */
+
+export const RICH_TEXT_FORMATS = ["text", "markdown", "adf"];
+
+const PANEL_LABELS = {
+  info: "Info",
+  note: "Note",
+  warning: "Warning",
+  success: "Success",
+  error: "Error",
+  tip: "Tip",
+  custom: "Note",
+};
+
+/** ---------- Line helpers ---------- */
+// Prefix the first line with `first` and every following line with `rest`
+function indentLines(text, first, rest = " ".repeat(first.length)) {
+  return text
+    .split("\n")
+    .map((line, i) => (i === 0 ? first + line : line ? rest + line : line))
+    .join("\n");
+}
+
+const prefixLines = (text, prefix) =>
+  text
+    .split("\n")
+    .map((line) => (line ? prefix + line : prefix.trimEnd()))
+    .join("\n");
+
+/** ---------- Inline nodes ---------- */
+function applyMarks(text, marks = [], md) {
+  let out = text;
+  let href = null;
+  for (const mark of marks) {
+    switch (mark.type) {
+      case "code":
+        if (md) out = `\`${out}\``;
+        break;
+      case "strong":
+        if (md) out = `**${out}**`;
+        break;
+      case "em":
+        if (md) out = `_${out}_`;
+        break;
+      case "strike":
+        if (md) out = `~~${out}~~`;
+        break;
+      case "link":
+        href = mark.attrs?.href || null;
+        break;
+      default:
+        // underline, textColor, subsup, border... have no Markdown equivalent
+        break;
+    }
+  }
+  if (href) {
+    if (md) out = `[${out}](${href})`;
+    else if (href !== text) out = `${out} (${href})`;
+  }
+  return out;
+}
+
+function renderInline(node, ctx) {
+  const md = ctx.md;
+  const attrs = node.attrs || {};
+  switch (node.type) {
+    case "text":
+      return applyMarks(node.text || "", node.marks, md);
+    case "hardBreak":
+      return md ? "  \n" : "\n";
+    case "mention":
+      return attrs.text || (attrs.id ? `@${attrs.id}` : "@unknown");
+    case "emoji":
+      return attrs.text || attrs.shortName || "";
+    case "status": {
+      const label = attrs.text || "";
+      return md ? `\`${label.toUpperCase()}\`` : `[${label.toUpperCase()}]`;
+    }
+    case "date": {
+      const ts = Number(attrs.timestamp);
+      return Number.isNaN(ts) ? "" : new Date(ts).toISOString().slice(0, 10);
+    }
+    case "inlineCard":
+    case "blockCard":
+    case "embedCard": {
+      const url = attrs.url || attrs.data?.url || "";
+      return md && url ? `<${url}>` : url;
+    }
+    case "mediaInline":
+    case "media":
+      return `[attachment: ${attrs.alt || attrs.id || "file"}]`;
+    case "placeholder":
+      return "";
+    default:
+      return renderInlineContent(node.content, ctx);
+  }
+}
+
+function renderInlineContent(nodes = [], ctx) {
+  return nodes.map((n) => renderInline(n, ctx)).join("");
+}
+
+/** ---------- Block nodes ---------- */
+function renderListItem(item, marker, ctx) {
+  const body = renderBlocks(item.content, { ...ctx, tight: true });
+  return indentLines(body, marker);
+}
+
+function renderTable(node, ctx) {
+  const rows = (node.content || []).map((row) =>
+    (row.content || []).map((cell) => {
+      const text = renderBlocks(cell.content, { ...ctx, tight: true });
+      return ctx.md
+        ? text.replace(/\|/g, "\\|").replace(/\n+/g, "<br>")
+        : text.replace(/\n+/g, " ");
+    })
+  );
+  if (rows.length === 0) return "";
+
+  if (!ctx.md) return rows.map((cells) => cells.join(" | ")).join("\n");
+
+  // GFM tables need a header row; use the first row and pad ragged rows
+  const width = Math.max(...rows.map((r) => r.length));
+  const pad = (cells) => [...cells, ...Array(width - cells.length).fill("")];
+  const line = (cells) => `| ${pad(cells).join(" | ")} |`;
+  return [
+    line(rows[0]),
+    line(Array(width).fill("---")),
+    ...rows.slice(1).map(line),
+  ].join("\n");
+}
+
+function renderBlock(node, ctx) {
+  const md = ctx.md;
+  const attrs = node.attrs || {};
+  switch (node.type) {
+    case "doc":
+      return renderBlocks(node.content, ctx);
+    case "paragraph":
+      return renderInlineContent(node.content, ctx);
+    case "heading": {
+      const text = renderInlineContent(node.content, ctx);
+      const level = Math.min(Math.max(Number(attrs.level) || 1, 1), 6);
+      return md ? `${"#".repeat(level)} ${text}` : text;
+    }
+    case "bulletList":
+      return (node.content || [])
+        .map((item) => renderListItem(item, md ? "- " : "• ", ctx))
+        .join("\n");
+    case "orderedList": {
+      const start = Number(attrs.order) || 1;
+      return (node.content || [])
+        .map((item, i) => renderListItem(item, `${start + i}. `, ctx))
+        .join("\n");
+    }
+    case "taskList":
+      return (node.content || [])
+        .map((item) =>
+          item.type === "taskItem"
+            ? indentLines(
+                renderInlineContent(item.content, ctx),
+                item.attrs?.state === "DONE" ? "- [x] " : "- [ ] "
+              )
+            : renderBlock(item, ctx)
+        )
+        .join("\n");
+    case "decisionList":
+      return (node.content || [])
+        .map((item) =>
+          indentLines(renderInlineContent(item.content, ctx), "- ✓ ")
+        )
+        .join("\n");
+    case "listItem":
+      return renderListItem(node, md ? "- " : "• ", ctx);
+    case "codeBlock": {
+      const code = (node.content || []).map((n) => n.text || "").join("");
+      return md ? `\`\`\`${attrs.language || ""}\n${code}\n\`\`\`` : code;
+    }
+    case "blockquote":
+      return prefixLines(renderBlocks(node.content, ctx), "> ");
+    case "panel": {
+      const label = PANEL_LABELS[attrs.panelType] || "Note";
+      const body = renderBlocks(node.content, ctx);
+      return md
+        ? prefixLines(`**${label}:** ${body}`, "> ")
+        : `[${label.toUpperCase()}] ${body}`;
+    }
+    case "rule":
+      return "---";
+    case "table":
+      return renderTable(node, ctx);
+    case "expand":
+    case "nestedExpand": {
+      const body = renderBlocks(node.content, ctx);
+      if (!attrs.title) return body;
+      return md ? `**${attrs.title}**\n\n${body}` : `${attrs.title}\n${body}`;
+    }
+    case "mediaSingle":
+    case "mediaGroup":
+      return (node.content || []).map((n) => renderInline(n, ctx)).join("\n");
+    case "blockCard":
+    case "embedCard":
+      return renderInline(node, ctx);
+    default: {
+      // Unknown nodes: keep their text rather than dropping it
+      const children = node.content || [];
+      const inline = children.every(
+        (c) => c.type === "text" || c.type === "hardBreak"
+      );
+      return inline
+        ? renderInlineContent(children, ctx)
+        : renderBlocks(children, ctx);
+    }
+  }
+}
+
+function renderBlocks(nodes = [], ctx) {
+  return nodes
+    .map((n) => renderBlock(n, ctx))
+    .filter((s) => s !== "")
+    .join(ctx.tight ? "\n" : "\n\n");
+}
+
+/**
+ * ADF to Markdown (headings, lists, code fences, GFM tables, links...)
+ */
+export function adfToMarkdown(adf) {
+  if (!adf || typeof adf !== "object") return "";
+  return renderBlock(adf, { md: true, tight: false }).trim();
+}
+
+/**
+ * ADF to plain text that keeps structure (bullets, numbering, table rows)
+ */
+export function adfToText(adf) {
+  if (!adf || typeof adf !== "object") return "";
+  return renderBlock(adf, { md: false, tight: false }).trim();
+}
+
+/**
+ * Render a rich text field in the requested format.
+ *   'text'     structured plain text (default)
+ *   'markdown' Markdown
+ *   'adf'      the untouched ADF document
+ * Non-ADF values (Server/Data Center plain text or HTML) are returned as-is.
+ */
+export function renderRichText(value, format = "text") {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "object") return value;
+  if (format === "adf") return value;
+  return format === "markdown" ? adfToMarkdown(value) : adfToText(value);
+}
@@ -1,83 +1,158 @@
 import axios from "axios";
+import { jqlSearchPaged, makeAuthHeader } from "../jira-common-utils.js";
+import {
+  fetchFieldNames,
+  findEpicLinkFieldId,
+  findStoryPointsFieldId,
+} from "../jira-client.js";
+import {
+  issueKeyValue,
+  jqlAnd,
+  jqlCondition,
+  jqlIdentifier,
+  jqlIn,
+  jqlList,
+  jqlValue,
+  parentIn,
+  projectClause,
+} from "./jql.js";
 
-/** ---------- Auth header (Bearer OR Basic) ---------- */
-function makeAuthHeader({ email, apiToken, bearer }) {
-  if (bearer) return { Authorization: `Bearer ${bearer}` };
-  if (email && apiToken) {
-    const b64 = Buffer.from(`${email}:${apiToken}`).toString("base64");
-    return { Authorization: `Basic ${b64}` };
-  }
-  throw new Error("Provide either { bearer } or { email, apiToken }");
-}
-
-/** ---------- Field-name helpers ---------- */
-function findFieldIdByDisplay(names = {}, regexes = []) {
-  for (const [fieldId, display] of Object.entries(names)) {
-    if (regexes.some((re) => re.test(display))) return fieldId; // e.g. "customfield_10014"
-  }
-  return null;
-}
+const estimateNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) ? value : null;
 
-const idNum = (customfield) => (customfield || "").replace(/^customfield_/, "");
-
-/** ---------- JQL search with pagination (Enhanced Search: /rest/api/3/search/jql) ---------- */
-async function jqlSearchPaged({
-  baseUrl,
-  headers,
-  jql,
-  fields = [],
-  pageSize = 100,
-}) {
-  const urlJql = `${baseUrl.replace(/\/+$/, "")}/rest/api/3/search/jql`;
-  const issues = [];
-  let nextPageToken = undefined;
-  while (true) {
-    const body = {
-      jql,
-      maxResults: pageSize,
-      fields: fields.length ? fields : [],
-      fieldsByKeys: false,
-      ...(nextPageToken ? { nextPageToken } : {}),
-    };
-    const { data } = await axios.post(urlJql, body, {
-      headers: {
-        ...headers,
-        Accept: "application/json",
-        "Content-Type": "application/json",
-      },
-    });
-    issues.push(...(data?.issues || []));
-    nextPageToken = data?.nextPageToken;
-    if (!nextPageToken) break;
-  }
-  return { issues };
-}
+const round = (n) => Math.round(n * 100) / 100;
 
 /** ---------- Normalize a subset of fields for nodes ---------- */
-function normIssue(issue) {
+function normIssue(issue, { epicLinkFieldId, storyPointsFieldId } = {}) {
   const f = issue.fields || {};
+  // Company-managed projects may still attach children through Epic Link
+  const epicLink = epicLinkFieldId ? f[epicLinkFieldId] : null;
 
   return {
     id: issue.id,
     key: issue.key,
     summary: f.summary || null,
     status: f.status?.name || null,
+    statusCategory: f.status?.statusCategory?.name || null,
+    done: f.status?.statusCategory?.key === "done",
     issuetype: f.issuetype?.name || null,
     priority: f.priority?.name || null,
     assignee: f.assignee?.displayName || null,
     reporter: f.reporter?.displayName || null,
-    parentKey: f.parent?.key || null,
+    parentKey:
+      f.parent?.key || (typeof epicLink === "string" ? epicLink : null),
+    // Site hierarchy level: 2+ portfolio (Initiative...), 1 Epic, 0 standard, -1 subtask
+    level: f.issuetype?.hierarchyLevel ?? (f.issuetype?.subtask ? -1 : 0),
+    storyPoints: storyPointsFieldId
+      ? estimateNumber(f[storyPointsFieldId])
+      : null,
+    originalEstimateSeconds: estimateNumber(f.timeoriginalestimate),
+    remainingEstimateSeconds: estimateNumber(f.timeestimate),
+  };
+}
+
+/**
+ * ---------- Estimate rollups, bottom-up ----------
+ * Points: children that carry points replace the parent's own estimate
+ * (an epic sized up front is not counted twice); a leaf counts its own.
+ * Time: own estimate plus every descendant's, like Jira's aggregate fields.
+ * `done` sums the values of issues in the Done status category; progress is
+ * done/total points, else done/total issues when nothing is pointed.
+ */
+function rollUp(node) {
+  const points = { done: 0, total: 0 };
+  const time = { done: 0, total: 0, remaining: 0 };
+  const issues = { done: 0, total: 0 };
+
+  let childPoints = 0;
+  for (const child of node.children) {
+    const r = rollUp(child);
+    childPoints += r.points.total;
+    points.done += r.points.done;
+    points.total += r.points.total;
+    time.done += r.timeSeconds.done;
+    time.total += r.timeSeconds.total;
+    time.remaining += r.timeSeconds.remaining;
+    issues.done += r.issues.done + (child.done ? 1 : 0);
+    issues.total += r.issues.total + 1;
+  }
+  if (!childPoints && node.storyPoints !== null) {
+    points.total = node.storyPoints;
+    points.done = node.done ? node.storyPoints : 0;
+  }
+  const own = node.originalEstimateSeconds || 0;
+  time.total += own;
+  time.done += node.done ? own : 0;
+  time.remaining += node.done ? 0 : node.remainingEstimateSeconds || 0;
+
+  const progress = points.total
+    ? points.done / points.total
+    : issues.total
+      ? issues.done / issues.total
+      : null;
+  node.rollup = {
+    points: { done: round(points.done), total: round(points.total) },
+    timeSeconds: time,
+    issues,
+    progress: progress === null ? null : Math.round(progress * 1000) / 1000,
   };
+  return node.rollup;
 }
 
-/** ---------- Build 3-level tree: Project -> Epics -> Issues -> Subtasks ---------- */
-async function fetchProjectTree3Levels({
+const chunk = (arr, n = 50) =>
+  arr.reduce((a, _, i) => (i % n ? a : [...a, arr.slice(i, i + n)]), []);
+
+/** ---------- Issue type hierarchy of a project ---------- */
+async function fetchIssueTypeHierarchy({ baseUrl, headers, projectKeyOrId }) {
+  const { data: project } = await axios.get(
+    `${baseUrl.replace(/\/+$/, "")}/rest/api/3/project/${encodeURIComponent(
+      projectKeyOrId
+    )}`,
+    { headers }
+  );
+  const byLevel = new Map();
+  for (const t of project?.issueTypes || []) {
+    const level = t.hierarchyLevel ?? (t.subtask ? -1 : 0);
+    if (!byLevel.has(level)) byLevel.set(level, []);
+    byLevel.get(level).push({ id: String(t.id), name: t.name });
+  }
+  // Highest level first
+  return [...byLevel.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([level, issueTypes]) => ({ level, issueTypes }));
+}
+
+/**
+ * ---------- Project tree over the site's issue type hierarchy ----------
+ * Roots are the project's top hierarchy level (e.g. Initiative on Premium,
+ * otherwise Epic) or the issues matched by `rootJql`; each level below is
+ * loaded with `parent in (...)` until subtasks or `maxDepth` is reached.
+ * Epic-level parents also pick up children that only carry the legacy
+ * Epic Link field. Issues below the top level with neither a parent nor an
+ * Epic Link are collected in `unassigned`, so the tree covers the project.
+ * Every node carries a `rollup` of story points and time estimates from the
+ * issues below it (see rollUp).
+ *
+ * Params:
+ *   projectKeyOrId: string (required)
+ *   rootJql: string (optional, no ORDER BY) - ANDed with the project
+ *   maxDepth: number (optional) - levels to descend below the roots
+ *   includeOrphans: boolean (default true without rootJql) - fill `unassigned`
+ *   pageSize: number (default 100)
+ */
+async function fetchProjectTree({
   baseUrl,
   auth, // { email, apiToken } or { bearer }
   projectKeyOrId, // e.g. "WEB" or 10010
+  rootJql,
+  maxDepth,
+  includeOrphans = !rootJql,
   pageSize = 100,
 }) {
   const headers = { Accept: "application/json", ...makeAuthHeader(auth) };
+  // Validates the key (and the project allowlist) before any request
+  const inProject = projectClause(projectKeyOrId);
+  const rootCondition = rootJql ? jqlCondition(rootJql) : null;
 
   // Minimal field set to keep payloads simple and compatible
   const baseFields = [
@@ -90,109 +165,170 @@ async function fetchProjectTree3Levels({
     "priority",
     "parent",
     "subtasks",
+    "timeoriginalestimate",
+    "timeestimate",
   ];
 
-  // 1) Get all Epics in the project (discover custom fields once)
-  const epicsJql = `project = "${projectKeyOrId}" AND issuetype = Epic ORDER BY rank`;
-  const { issues: epicIssues } = await jqlSearchPaged({
+  // Custom fields, discovered once per tree
+  const fieldIds = { epicLinkFieldId: null, storyPointsFieldId: null };
+  try {
+    const names = await fetchFieldNames({ baseUrl, headers });
+    fieldIds.epicLinkFieldId = findEpicLinkFieldId(names);
+    fieldIds.storyPointsFieldId = findStoryPointsFieldId(names);
+  } catch (error) {
+    console.warn("Field discovery failed for project tree:", error.message);
+  }
+  const { epicLinkFieldId } = fieldIds;
+  const fields = [
+    ...baseFields,
+    epicLinkFieldId,
+    fieldIds.storyPointsFieldId,
+  ].filter(Boolean);
+  const epicLinkClause = epicLinkFieldId
+    ? jqlIdentifier(epicLinkFieldId)
+    : null;
+  const typeList = (types) =>
+    jqlList(types, (t) => (t.id ? jqlValue(t.id) : jqlValue(t.name)));
+
+  const hierarchy = await fetchIssueTypeHierarchy({
     baseUrl,
     headers,
-    jql: epicsJql,
-    fields: baseFields,
+    projectKeyOrId,
+  });
+  const lowestLevel = hierarchy.length
+    ? hierarchy[hierarchy.length - 1].level
+    : -1;
+
+  // 1) Roots: caller JQL, else every issue of the top hierarchy level
+  let rootsJql;
+  if (rootCondition) {
+    rootsJql = `${jqlAnd(inProject, rootCondition)} ORDER BY Rank`;
+  } else {
+    const topTypes = hierarchy[0]?.issueTypes || [{ name: "Epic" }];
+    rootsJql = `${jqlAnd(
+      inProject,
+      `issuetype in ${typeList(topTypes)}`
+    )} ORDER BY Rank`;
+  }
+  const { issues: rootIssues } = await jqlSearchPaged({
+    baseUrl,
+    headers,
+    jql: rootsJql,
+    fields,
     pageSize,
   });
 
-  // Normalize epics
-  const epics = epicIssues.map((e) => normIssue(e));
-  const epicKeys = epics.map((e) => e.key);
-  const epicKeySet = new Set(epicKeys);
-
-  // 2) Get direct children of the epics via parent IN (forward-compatible)
-  let childIssues = [];
-  const childrenByEpic = new Map(epicKeys.map((k) => [k, []]));
-  if (epicKeys.length) {
-    const chunk = (arr, n = 50) =>
-      arr.reduce((a, _, i) => (i % n ? a : [...a, arr.slice(i, i + n)]), []);
-    const epicChunks = chunk(epicKeys, 50);
-    const orClauses = epicChunks.map(
-      (ks) => `parent in (${ks.map((k) => `"${k}"`).join(",")})`
-    );
-    const childrenJql = `project = "${projectKeyOrId}" AND (${orClauses.join(
-      " OR "
-    )}) ORDER BY Rank`;
-    const { issues: children } = await jqlSearchPaged({
+  const nodes = new Map();
+  const roots = rootIssues.map((i) => {
+    const node = { ...normIssue(i, fieldIds), children: [] };
+    nodes.set(node.key, node);
+    return node;
+  });
+
+  // 2) Orphans: levels between the top and subtasks with no parent at all
+  // (subtasks always have one; a project without them still has level 0)
+  const unassigned = [];
+  const orphanTypes = hierarchy
+    .slice(1)
+    .filter((h) => h.level >= 0)
+    .flatMap((h) => h.issueTypes);
+  if (includeOrphans && orphanTypes.length) {
+    const { issues } = await jqlSearchPaged({
       baseUrl,
       headers,
-      jql: childrenJql,
-      fields: baseFields,
+      jql: `${jqlAnd(
+        inProject,
+        `issuetype in ${typeList(orphanTypes)}`,
+        "parent is EMPTY",
+        epicLinkClause && `${epicLinkClause} is EMPTY`
+      )} ORDER BY Rank`,
+      fields,
       pageSize,
     });
-    childIssues = children.map((i) => normIssue(i));
-    for (const c of childIssues) {
-      const p = c.parentKey;
-      if (p && epicKeySet.has(p)) childrenByEpic.get(p).push(c);
+    for (const issue of issues) {
+      if (nodes.has(issue.key)) continue;
+      const node = { ...normIssue(issue, fieldIds), children: [] };
+      nodes.set(node.key, node);
+      unassigned.push(node);
     }
   }
 
-  // childrenByEpic already populated by epic-specific queries above
-
-  // 3) Fetch all subtasks for those children (level 3)
-  let subtasksByParent = new Map();
-  if (childIssues.length) {
-    const parentKeys = childIssues.map((i) => i.key);
-    const chunks = (arr, n = 50) =>
-      arr.reduce(
-        (a, _, ix) => (ix % n ? a : [...a, arr.slice(ix, ix + n)]),
-        []
-      );
-    const parentKeyChunks = chunks(parentKeys, 50);
-    const allSubtasks = [];
-    for (const group of parentKeyChunks) {
+  // 3) Walk down one level per round, parents of the same round batched
+  let epicLinkChildren = 0;
+  let frontier = [...roots, ...unassigned].filter((n) => n.level > lowestLevel);
+  let depth = 0;
+  while (frontier.length && (maxDepth === undefined || depth < maxDepth)) {
+    const next = [];
+    for (const group of chunk(frontier)) {
+      const clauses = [parentIn(group.map((n) => n.key))];
+      const epics = group.filter((n) => n.level === 1).map((n) => n.key);
+      if (epicLinkFieldId && epics.length) {
+        clauses.push(jqlIn(epicLinkFieldId, epics, issueKeyValue));
+      }
       const { issues } = await jqlSearchPaged({
         baseUrl,
         headers,
-        jql: `parent in (${group.map((k) => `"${k}"`).join(",")})`,
-        fields: baseFields,
+        jql: `${jqlAnd(inProject, clauses.join(" OR "))} ORDER BY Rank`,
+        fields,
         pageSize,
       });
-      allSubtasks.push(...issues);
-    }
-    const normalizedSubs = allSubtasks.map((s) => normIssue(s));
-    subtasksByParent = new Map();
-
-    // rehydrate parent mapping from the already fetched 'parent' field
-    for (const raw of allSubtasks) {
-      const parentKey = raw.fields?.parent?.key;
-      if (!parentKey) continue;
-      const norm = normalizedSubs.find((n) => n.key === raw.key);
-      if (!subtasksByParent.has(parentKey)) subtasksByParent.set(parentKey, []);
-      subtasksByParent.get(parentKey).push(norm);
+      for (const issue of issues) {
+        if (nodes.has(issue.key)) continue;
+        const node = { ...normIssue(issue, fieldIds), children: [] };
+        const parent = nodes.get(node.parentKey);
+        if (!parent) continue;
+        nodes.set(node.key, node);
+        parent.children.push(node);
+        if (!issue.fields?.parent?.key) epicLinkChildren += 1;
+        if (node.level > lowestLevel) next.push(node);
+      }
     }
+    frontier = next;
+    depth += 1;
   }
 
-  // 4) Build final tree: for each epic → attach children → attach subtasks
-  const epicsWithChildren = epics.map((e) => {
-    const children = childrenByEpic.get(e.key) || [];
-    const childrenWithSubs = children.map((ch) => ({
-      ...ch,
-      subtasks: subtasksByParent.get(ch.key) || [],
-    }));
-    return { ...e, children: childrenWithSubs };
-  });
+  // 4) Rollups, then counts per level (and the historical epic/child/subtask
+  //    totals)
+  const tops = [...roots, ...unassigned];
+  tops.forEach(rollUp);
+  const sum = (pick) => round(tops.reduce((t, n) => t + pick(n.rollup), 0));
+
+  const countsByLevel = new Map();
+  for (const node of nodes.values()) {
+    countsByLevel.set(node.level, (countsByLevel.get(node.level) || 0) + 1);
+  }
+  const countAt = (level) => countsByLevel.get(level) || 0;
 
   return {
     project: projectKeyOrId,
-    levels: 3,
+    rootJql: rootJql || null,
+    maxDepth: maxDepth ?? null,
+    storyPointsFieldId: fieldIds.storyPointsFieldId,
+    levels: countsByLevel.size,
+    hierarchy,
     stats: {
-      epics: epics.length,
-      children: childIssues.length,
-      subtasks: Array.from(subtasksByParent.values()).reduce(
-        (a, arr) => a + arr.length,
-        0
-      ),
+      total: nodes.size,
+      byLevel: [...countsByLevel.entries()]
+        .sort(([a], [b]) => b - a)
+        .map(([level, count]) => ({ level, count })),
+      epics: countAt(1),
+      children: countAt(0),
+      subtasks: countAt(-1),
+      orphans: unassigned.length,
+      epicLinkChildren,
+      points: {
+        done: sum((r) => r.points.done),
+        total: sum((r) => r.points.total),
+      },
+      timeSeconds: {
+        done: sum((r) => r.timeSeconds.done),
+        total: sum((r) => r.timeSeconds.total),
+        remaining: sum((r) => r.timeSeconds.remaining),
+      },
     },
-    epics: epicsWithChildren,
+    roots,
+    unassigned,
   };
 }
 
-export { fetchProjectTree3Levels };
+export { fetchProjectTree, rollUp };
@@ -0,0 +1,174 @@
+import { invalidInput } from "../jira-common-utils.js";
+
+/**
+ * ---------- Safe JQL building ----------
+ * Every value that reaches a JQL string from tool arguments or API data goes
+ * through these helpers: values are double-quoted with `\` and `"` escaped,
+ * identifiers are validated or quoted, and issue keys must look like keys.
+ *
+ * Optional allowlist (per deployment):
+ *   MCP_JQL_PROJECTS=WEB,OPS   every JQL search is limited to these projects;
+ *                              projectClause() rejects any other project key
+ *                              and numeric project ids (they cannot be
+ *                              checked against keys without a lookup)
+ * The allowlist covers JQL search only. Reads that go straight to an
+ * endpoint (GET /issue/{key}, project versions, board configuration, sprint
+ * endpoints) are not restricted by it.
+ * Free-form JQL from callers cannot be escaped, so scopeJql() ANDs it with
+ * the allowlist after checking its parentheses are balanced (an unbalanced
+ * `) OR (` would otherwise escape the restriction).
+ */
+
+/** Issue key check shared with the tool input schemas (a string pattern there) */
+export const ISSUE_KEY_PATTERN = "^[A-Za-z][A-Za-z0-9_]*-[0-9]+$";
+export const ISSUE_KEY_RE = new RegExp(ISSUE_KEY_PATTERN);
+const PROJECT_KEY_RE = /^[A-Z][A-Z0-9_]*$/i;
+const IDENTIFIER_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/** ---------- Allowlist ---------- */
+export function allowedProjects(env = process.env) {
+  const keys = (env.MCP_JQL_PROJECTS || "")
+    .split(",")
+    .map((k) => k.trim().toUpperCase())
+    .filter(Boolean);
+  return keys.length ? keys : null;
+}
+
+/** ---------- Escaping ---------- */
+export function jqlString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t");
+  return `"${escaped}"`;
+}
+
+// Integers stay bare (sprint / filter / issue type ids); anything else is a string
+export function jqlValue(value) {
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return String(value);
+  }
+  if (typeof value === "string" && /^\d+$/.test(value)) return value;
+  return jqlString(value);
+}
+
+// Field names: customfield_N -> cf[N], plain names bare, anything else quoted
+export function jqlIdentifier(name) {
+  const field = String(name || "");
+  const custom = field.match(/^customfield_(\d+)$/);
+  if (custom) return `cf[${custom[1]}]`;
+  if (IDENTIFIER_RE.test(field)) return field;
+  if (!field.trim()) throw invalidInput("JQL field name must not be empty");
+  return jqlString(field);
+}
+
+export function jqlList(values, format = jqlValue) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw invalidInput("JQL list must not be empty");
+  }
+  return `(${values.map(format).join(", ")})`;
+}
+
+export function issueKeyValue(key) {
+  if (typeof key !== "string" || !ISSUE_KEY_RE.test(key.trim())) {
+    throw invalidInput(`Invalid issue key: ${JSON.stringify(key)}`);
+  }
+  return jqlString(key.trim());
+}
+
+/** ---------- Clauses ---------- */
+export const jqlIn = (field, values, format) =>
+  `${jqlIdentifier(field)} in ${jqlList(values, format)}`;
+
+export const jqlEquals = (field, value) =>
+  `${jqlIdentifier(field)} = ${jqlValue(value)}`;
+
+export const keyIn = (keys) => jqlIn("key", keys, issueKeyValue);
+
+export const parentIn = (keys) => jqlIn("parent", keys, issueKeyValue);
+
+// project = "X", refused up front unless X is an allowlisted key
+export function projectClause(projectKeyOrId) {
+  const value = String(projectKeyOrId ?? "").trim();
+  if (!value) throw invalidInput("Project key or ID is required");
+  const allowed = allowedProjects();
+  if (allowed && /^\d+$/.test(value)) {
+    throw invalidInput(
+      "Project ids are not accepted while MCP_JQL_PROJECTS is set; use the project key"
+    );
+  }
+  if (
+    allowed &&
+    (!PROJECT_KEY_RE.test(value) || !allowed.includes(value.toUpperCase()))
+  ) {
+    throw invalidInput(
+      `Project ${value} is not allowed on this server (MCP_JQL_PROJECTS: ${allowed.join(
+        ", "
+      )})`
+    );
+  }
+  return `project = ${jqlValue(value)}`;
+}
+
+// Clauses ANDed together, each parenthesised so OR inside one stays inside
+export const jqlAnd = (...clauses) =>
+  clauses
+    .filter(Boolean)
+    .map((c) => `(${c})`)
+    .join(" AND ");
+
+/**
+ * Split free-form JQL into its condition and ORDER BY parts, rejecting
+ * unbalanced parentheses or unterminated strings.
+ */
+function splitJql(jql) {
+  let depth = 0;
+  let quote = null;
+  let orderAt = -1;
+  for (let i = 0; i < jql.length; i++) {
+    const ch = jql[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "(") depth++;
+    else if (ch === ")" && --depth < 0) break;
+    else if (
+      depth === 0 &&
+      orderAt < 0 &&
+      /^order\s+by\b/i.test(jql.slice(i)) &&
+      (i === 0 || /\s/.test(jql[i - 1]))
+    ) {
+      orderAt = i;
+    }
+  }
+  if (quote || depth !== 0) {
+    throw invalidInput("JQL has unbalanced parentheses or quotes");
+  }
+  return orderAt < 0
+    ? { where: jql.trim(), orderBy: "" }
+    : { where: jql.slice(0, orderAt).trim(), orderBy: jql.slice(orderAt) };
+}
+
+// Free-form condition from a caller, checked so it can be ANDed safely
+export function jqlCondition(jql) {
+  const { where, orderBy } = splitJql(String(jql || ""));
+  if (orderBy) throw invalidInput("JQL condition must not contain ORDER BY");
+  return where;
+}
+
+/**
+ * Restrict any JQL to the allowlisted projects; unchanged when no allowlist
+ * is configured.
+ */
+export function scopeJql(jql) {
+  const allowed = allowedProjects();
+  if (!allowed) return jql;
+  const { where, orderBy } = splitJql(String(jql || ""));
+  const scoped = jqlAnd(jqlIn("project", allowed), where);
+  return orderBy ? `${scoped} ${orderBy.trim()}` : scoped;
+}
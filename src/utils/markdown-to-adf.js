@@ -0,0 +1,325 @@
+/**
+ * Markdown to ADF (Atlassian Document Format)
+ * Converts the Markdown agents write into the ADF document JIRA Cloud
+ * expects for descriptions and comments: headings, paragraphs, nested
+ * bullet/ordered lists, fenced code, blockquotes, rules, GFM tables and
+ * inline strong/em/strike/code/links.
+ * Single newlines inside a paragraph become hard breaks, which matches how
+ * JIRA users expect line-oriented text to render.
+ * ADF spec: https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+ */
+
+const FENCE_RE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_RE = /^\s*>\s?/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const leadingSpaces = (line) => line.match(/^\s*/)[0].length;
+
+/** ---------- Inline ---------- */
+const textNode = (text, marks) => ({
+  type: "text",
+  text,
+  ...(marks.length ? { marks } : {}),
+});
+
+const linkMark = (href) => ({ type: "link", attrs: { href } });
+
+// Sticky regexes tried at each position; `wordStart` rules only open after a
+// non-word character so snake_case identifiers stay intact
+const INLINE_RULES = [
+  {
+    re: /`([^`]+)`/y,
+    // ADF only allows the code mark alongside a link
+    build: (m, marks) => [
+      textNode(m[1], [
+        ...marks.filter((mk) => mk.type === "link"),
+        { type: "code" },
+      ]),
+    ],
+  },
+  {
+    re: /\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)/y,
+    build: (m, marks) => parseInline(m[1], [...marks, linkMark(m[2])]),
+  },
+  {
+    re: /<(https?:\/\/[^>\s]+)>/y,
+    build: (m, marks) => [textNode(m[1], [...marks, linkMark(m[1])])],
+  },
+  {
+    re: /\*\*(?!\s)(.+?)\*\*/y,
+    build: (m, marks) => parseInline(m[1], [...marks, { type: "strong" }]),
+  },
+  {
+    re: /__(?!\s)(.+?)__(?!\w)/y,
+    wordStart: true,
+    build: (m, marks) => parseInline(m[1], [...marks, { type: "strong" }]),
+  },
+  {
+    re: /~~(?!\s)(.+?)~~/y,
+    build: (m, marks) => parseInline(m[1], [...marks, { type: "strike" }]),
+  },
+  {
+    re: /\*(?![\s*])(.+?)\*/y,
+    build: (m, marks) => parseInline(m[1], [...marks, { type: "em" }]),
+  },
+  {
+    re: /_(?![\s_])(.+?)_(?!\w)/y,
+    wordStart: true,
+    build: (m, marks) => parseInline(m[1], [...marks, { type: "em" }]),
+  },
+];
+
+function parseInline(src, marks = []) {
+  const nodes = [];
+  let buf = "";
+  const flush = () => {
+    if (buf) nodes.push(textNode(buf, marks));
+    buf = "";
+  };
+
+  let i = 0;
+  outer: while (i < src.length) {
+    // Backslash escapes keep Markdown punctuation literal
+    if (src[i] === "\\" && /[\\`*_{}[\]()#+\-.!~>|]/.test(src[i + 1] || "")) {
+      buf += src[i + 1];
+      i += 2;
+      continue;
+    }
+    for (const rule of INLINE_RULES) {
+      if (rule.wordStart && /\w/.test(src[i - 1] || "")) continue;
+      rule.re.lastIndex = i;
+      const m = rule.re.exec(src);
+      if (m) {
+        flush();
+        nodes.push(...rule.build(m, marks));
+        i += m[0].length;
+        continue outer;
+      }
+    }
+    buf += src[i];
+    i += 1;
+  }
+  flush();
+  return nodes;
+}
+
+// Inline content for several source lines, joined with hard breaks
+function inlineLines(lines) {
+  const content = [];
+  lines.forEach((line, idx) => {
+    if (idx > 0) content.push({ type: "hardBreak" });
+    content.push(...parseInline(line.trim().replace(/\\$/, "")));
+  });
+  return content;
+}
+
+const paragraph = (lines) => ({
+  type: "paragraph",
+  content: inlineLines(lines),
+});
+
+/** ---------- Blocks ---------- */
+function isBlockStart(line) {
+  return (
+    FENCE_RE.test(line) ||
+    HEADING_RE.test(line) ||
+    RULE_RE.test(line) ||
+    QUOTE_RE.test(line) ||
+    LIST_RE.test(line)
+  );
+}
+
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+function parseTable(lines, start) {
+  const header = splitTableRow(lines[start]);
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+    rows.push(splitTableRow(lines[i]));
+    i += 1;
+  }
+
+  const row = (cells, cellType) => ({
+    type: "tableRow",
+    content: header.map((_, c) => ({
+      type: cellType,
+      content: [paragraph([cells[c] || ""])],
+    })),
+  });
+
+  return {
+    node: {
+      type: "table",
+      content: [
+        row(header, "tableHeader"),
+        ...rows.map((r) => row(r, "tableCell")),
+      ],
+    },
+    next: i,
+  };
+}
+
+function parseList(lines, start) {
+  const first = LIST_RE.exec(lines[start]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+
+  let i = start;
+  while (i < lines.length) {
+    const m = LIST_RE.exec(lines[i]);
+    if (!m || m[1].length !== indent || /\d/.test(m[2]) !== ordered) break;
+
+    // Item body: its first line plus indented (or lazily continued) lines,
+    // dedented so nested lists parse relative to the item
+    const contentIndent = indent + m[2].length + 1;
+    const body = [m[3]];
+    i += 1;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        const next = lines.slice(i + 1).find((l) => l.trim());
+        if (next !== undefined && leadingSpaces(next) > indent) {
+          body.push("");
+          i += 1;
+          continue;
+        }
+        break;
+      }
+      if (leadingSpaces(line) > indent) {
+        body.push(line.slice(Math.min(leadingSpaces(line), contentIndent)));
+      } else if (!isBlockStart(line) && body[body.length - 1].trim()) {
+        body.push(line);
+      } else {
+        break;
+      }
+      i += 1;
+    }
+
+    const content = parseBlocks(body);
+    // listItem content has to open with a paragraph
+    if (content[0]?.type !== "paragraph" && content[0]?.type !== "codeBlock") {
+      content.unshift({ type: "paragraph", content: [] });
+    }
+    items.push({ type: "listItem", content });
+  }
+
+  const order = ordered ? parseInt(first[2], 10) : 1;
+  return {
+    node: {
+      type: ordered ? "orderedList" : "bulletList",
+      ...(ordered && order !== 1 ? { attrs: { order } } : {}),
+      content: items,
+    },
+    next: i,
+  };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = FENCE_RE.exec(line);
+    if (fence) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && lines[i].trim() !== fence[1]) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      i += 1; // closing fence
+      const text = code.join("\n");
+      blocks.push({
+        type: "codeBlock",
+        ...(fence[2] ? { attrs: { language: fence[2] } } : {}),
+        // ADF rejects empty text nodes
+        content: text ? [{ type: "text", text }] : [],
+      });
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        attrs: { level: heading[1].length },
+        content: parseInline(heading[2]),
+      });
+      i += 1;
+      continue;
+    }
+
+    if (RULE_RE.test(line)) {
+      blocks.push({ type: "rule" });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE_RE, ""));
+        i += 1;
+      }
+      blocks.push({ type: "blockquote", content: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const { node, next } = parseList(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    if (
+      line.includes("|") &&
+      i + 1 < lines.length &&
+      lines[i + 1].includes("-") &&
+      TABLE_DIVIDER_RE.test(lines[i + 1])
+    ) {
+      const { node, next } = parseTable(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+      para.push(lines[i]);
+      i += 1;
+    }
+    blocks.push(paragraph(para));
+  }
+
+  return blocks;
+}
+
+/**
+ * Markdown to an ADF document ({ version: 1, type: "doc", content })
+ */
+export function markdownToAdf(markdown) {
+  const lines = String(markdown ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  return { version: 1, type: "doc", content: parseBlocks(lines) };
+}
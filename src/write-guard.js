@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+import crypto from "node:crypto";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+/**
+ * Write-safety layer for mutating tools.
+ *
+ * Every tool is classified as read or write; only tools listed in
+ * WRITE_TOOLS are writes. For those, in order:
+ *   MCP_READ_ONLY=1            rejects the call (and hides the tool)
+ *   MCP_WRITE_PROJECTS=A,B     rejects projects outside the allowlist
+ *   dry_run: true              runs without sending; returns the REST payload
+ *   MCP_CONFIRM_WRITES=1       first call is a dry run that also returns a
+ *                              single-use token; the second call must echo it
+ *                              as confirm_token with identical arguments
+ *   MCP_CONFIRM_TTL_SECONDS    token lifetime (default 120)
+ */
+
+const projectOfIssue = (issueKey) =>
+  typeof issueKey === "string" ? issueKey.split("-")[0] : null;
+
+// Projects of the issues and rank anchor of an Agile bulk call
+const projectsOfIssues = (args) => [
+  ...new Set(
+    [
+      ...(Array.isArray(args?.issueKeys) ? args.issueKeys : []),
+      args?.rankBeforeIssue,
+      args?.rankAfterIssue,
+    ]
+      .filter(Boolean)
+      .map(projectOfIssue)
+  ),
+];
+
+// Write tools and the project(s) each call touches
+export const WRITE_TOOLS = {
+  // The new issue's project, plus those of the issues it is attached under
+  create_jira_issue: (args) => [
+    args?.projectKey,
+    ...[args?.parentKey, args?.epicKey].filter(Boolean).map(projectOfIssue),
+  ],
+  transition_jira_issue: (args) => [projectOfIssue(args?.issueKey)],
+  move_issues_to_sprint: (args) => projectsOfIssues(args),
+  rank_issues: (args) => projectsOfIssues(args),
+};
+
+// Input properties every write tool accepts
+export const WRITE_GUARD_PROPERTIES = {
+  dry_run: {
+    type: "boolean",
+    default: false,
+    description:
+      "Validate and return the exact REST request(s) without sending them",
+  },
+  confirm_token: {
+    type: "string",
+    description:
+      "Token from a previous call when write confirmation is enabled; must be sent with the same arguments",
+  },
+};
+
+const GUARD_ARGS = ["dry_run", "confirm_token", "output"];
+
+const truthy = (value) =>
+  ["1", "true", "yes"].includes(String(value).toLowerCase());
+
+// JSON with sorted keys so equal arguments always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export class WriteGuard {
+  constructor(env = process.env) {
+    this.readOnly = truthy(env.MCP_READ_ONLY);
+    this.allowedProjects = (env.MCP_WRITE_PROJECTS || "")
+      .split(",")
+      .map((p) => p.trim().toUpperCase())
+      .filter(Boolean);
+    this.confirmWrites = truthy(env.MCP_CONFIRM_WRITES);
+    const ttl = parseInt(env.MCP_CONFIRM_TTL_SECONDS || "120", 10);
+    this.tokenTtlMs = (Number.isNaN(ttl) || ttl <= 0 ? 120 : ttl) * 1000;
+    this.tokens = new Map();
+  }
+
+  isWriteTool(name) {
+    return Object.hasOwn(WRITE_TOOLS, name);
+  }
+
+  // Tools to advertise: write tools disappear in read-only mode
+  isListed(name) {
+    return !(this.readOnly && this.isWriteTool(name));
+  }
+
+  argsHash(name, args = {}) {
+    const bound = Object.fromEntries(
+      Object.entries(args).filter(([k]) => !GUARD_ARGS.includes(k))
+    );
+    return crypto
+      .createHash("sha256")
+      .update(`${name}:${stableStringify(bound)}`)
+      .digest("hex");
+  }
+
+  sweepTokens(now = Date.now()) {
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) this.tokens.delete(token);
+    }
+  }
+
+  issueToken(name, args) {
+    this.sweepTokens();
+    const token = crypto.randomBytes(12).toString("base64url");
+    const expiresAt = Date.now() + this.tokenTtlMs;
+    this.tokens.set(token, { hash: this.argsHash(name, args), expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Tokens are single use: a valid token is consumed here
+  redeemToken(name, args) {
+    this.sweepTokens();
+    const entry = this.tokens.get(args.confirm_token);
+    if (!entry) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Confirmation token is invalid, expired or already used; call again without confirm_token to get a new one"
+      );
+    }
+    if (entry.hash !== this.argsHash(name, args)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Confirmation token was issued for different arguments; call again without confirm_token to get a new one"
+      );
+    }
+    this.tokens.delete(args.confirm_token);
+  }
+
+  /**
+   * Decide how a call may proceed. Throws McpError when it is not allowed.
+   * Returns { write, dryRun, needsConfirmation, args } where `args` is what
+   * the handler should run with (dry_run forced on for previews). When
+   * `needsConfirmation` is set the caller issues a token with issueToken()
+   * once the preview has run, so a call that fails validation gets none.
+   */
+  check(name, args = {}) {
+    if (!this.isWriteTool(name)) {
+      return { write: false, dryRun: false, needsConfirmation: false, args };
+    }
+
+    if (this.readOnly) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `${name} is disabled: server is in read-only mode (MCP_READ_ONLY)`
+      );
+    }
+
+    if (this.allowedProjects.length) {
+      const projects = WRITE_TOOLS[name](args).map((p) =>
+        String(p || "").toUpperCase()
+      );
+      const denied = projects.filter((p) => !this.allowedProjects.includes(p));
+      if (denied.length) {
+        throw new McpError(
+          ErrorCode.InvalidRequest,
+          `${name} is not allowed for project ${denied.join(
+            ", "
+          )}. Writable projects: ${this.allowedProjects.join(", ")}`
+        );
+      }
+    }
+
+    if (args.dry_run === true) {
+      return { write: true, dryRun: true, needsConfirmation: false, args };
+    }
+
+    if (this.confirmWrites) {
+      if (!args.confirm_token) {
+        return {
+          write: true,
+          dryRun: true,
+          needsConfirmation: true,
+          args: { ...args, dry_run: true },
+        };
+      }
+      this.redeemToken(name, args);
+    }
+
+    return { write: true, dryRun: false, needsConfirmation: false, args };
+  }
+}
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { runKeyBatch } from "../src/jira-client.js";
+
+const jiraError = (status, errorMessages) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: { errorMessages } },
+  });
+
+// Stands in for a `key in (...)` query that fails like Jira while the batch
+// holds a key it does not know
+const fakeQuery = (known, { namesKeys = true } = {}) => {
+  const batches = [];
+  const run = async (group) => {
+    batches.push(group);
+    const unknown = group.filter((k) => !known.includes(k));
+    if (unknown.length) {
+      throw jiraError(
+        400,
+        namesKeys
+          ? unknown.map(
+              (k) => `An issue with key '${k}' does not exist for field 'key'.`
+            )
+          : ["Error in the JQL Query"]
+      );
+    }
+  };
+  return { run, batches };
+};
+
+const collect = () => {
+  const rejected = [];
+  const onReject = (key, error, message) =>
+    rejected.push({ key, status: error.response?.status, message });
+  return { rejected, onReject };
+};
+
+describe("runKeyBatch", () => {
+  test("drops the keys a 400 names and retries the rest once", async () => {
+    const { run, batches } = fakeQuery(["A-1", "A-2"]);
+    const { rejected, onReject } = collect();
+    await runKeyBatch(["A-1", "X-1", "A-2", "y-2"], run, onReject);
+
+    assert.deepEqual(batches, [
+      ["A-1", "X-1", "A-2", "y-2"],
+      ["A-1", "A-2"],
+    ]);
+    assert.deepEqual(rejected, [
+      {
+        key: "X-1",
+        status: 400,
+        message: "An issue with key 'X-1' does not exist for field 'key'.",
+      },
+      {
+        key: "y-2",
+        status: 400,
+        message: "An issue with key 'y-2' does not exist for field 'key'.",
+      },
+    ]);
+  });
+
+  test("splits the batch in half when the 400 names no key", async () => {
+    const { run, batches } = fakeQuery(["A-1", "A-2", "A-3"], {
+      namesKeys: false,
+    });
+    const { rejected, onReject } = collect();
+    await runKeyBatch(["A-1", "A-2", "A-3", "X-1"], run, onReject);
+
+    assert.deepEqual(batches, [
+      ["A-1", "A-2", "A-3", "X-1"],
+      ["A-1", "A-2"],
+      ["A-3", "X-1"],
+      ["A-3"],
+      ["X-1"],
+    ]);
+    assert.deepEqual(rejected, [
+      { key: "X-1", status: 400, message: undefined },
+    ]);
+  });
+
+  test("rejects the whole batch on other errors without retrying", async () => {
+    let calls = 0;
+    const { rejected, onReject } = collect();
+    await runKeyBatch(
+      ["A-1", "A-2"],
+      async () => {
+        calls++;
+        throw jiraError(503, ["Service unavailable"]);
+      },
+      onReject
+    );
+
+    assert.equal(calls, 1);
+    assert.deepEqual(
+      rejected.map((r) => [r.key, r.status]),
+      [
+        ["A-1", 503],
+        ["A-2", 503],
+      ]
+    );
+  });
+
+  test("an empty batch sends no query", async () => {
+    const { run, batches } = fakeQuery([]);
+    await runKeyBatch([], run, () => assert.fail("nothing to reject"));
+    assert.deepEqual(batches, []);
+  });
+});
@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import axios from "axios";
+
+import { jqlSearchPaged } from "../src/jira-common-utils.js";
+
+const baseUrl = "https://example.atlassian.net";
+
+// Enhanced search over `total` issues; the cursor is the next index
+const fakeSearch = (t, total) => {
+  const calls = [];
+  t.mock.method(axios, "post", async (url, body) => {
+    calls.push(body);
+    const start = Number(body.nextPageToken || 0);
+    const end = Math.min(start + body.maxResults, total);
+    const issues = [];
+    for (let n = start; n < end; n++) issues.push({ key: `WEB-${n + 1}` });
+    return {
+      data: {
+        issues,
+        ...(end < total ? { nextPageToken: String(end) } : {}),
+      },
+    };
+  });
+  return calls;
+};
+
+test("jqlSearchPaged reads every page when maxResults is not given", async (t) => {
+  const calls = fakeSearch(t, 250);
+  const result = await jqlSearchPaged({
+    baseUrl,
+    headers: {},
+    jql: "project = WEB",
+  });
+
+  assert.deepEqual(
+    calls.map((c) => c.maxResults),
+    [100, 100, 100]
+  );
+  assert.equal(result.issues.length, 250);
+  assert.equal(result.nextPageToken, null);
+  assert.equal(result.isLast, true);
+});
+
+test("jqlSearchPaged stops at maxResults with a token to resume", async (t) => {
+  const calls = fakeSearch(t, 250);
+  const first = await jqlSearchPaged({
+    baseUrl,
+    headers: {},
+    jql: "project = WEB",
+    pageSize: 40,
+    maxResults: 60,
+  });
+
+  assert.deepEqual(
+    calls.map((c) => c.maxResults),
+    [40, 20]
+  );
+  assert.equal(first.issues.length, 60);
+  assert.equal(first.nextPageToken, "60");
+  assert.equal(first.isLast, false);
+
+  const rest = await jqlSearchPaged({
+    baseUrl,
+    headers: {},
+    jql: "project = WEB",
+    nextPageToken: first.nextPageToken,
+  });
+  assert.equal(rest.issues[0].key, "WEB-61");
+  assert.equal(rest.issues.length, 190);
+});
+
+test("jqlSearchPaged sends fields and expand with the query", async (t) => {
+  const calls = fakeSearch(t, 0);
+  const result = await jqlSearchPaged({
+    baseUrl,
+    headers: {},
+    jql: "project = WEB",
+    fields: ["summary"],
+    expand: ["changelog"],
+  });
+
+  assert.equal(calls[0].jql, "project = WEB");
+  assert.deepEqual(calls[0].fields, ["summary"]);
+  assert.equal(calls[0].expand, "changelog");
+  assert.deepEqual(result.issues, []);
+});
+
+test("jqlSearchPaged rejects bad limits before calling Jira", async (t) => {
+  const calls = fakeSearch(t, 10);
+  const search = (limits) =>
+    jqlSearchPaged({ baseUrl, headers: {}, jql: "project = WEB", ...limits });
+
+  for (const limits of [
+    { pageSize: 0 },
+    { pageSize: 2.5 },
+    { pageSize: "50" },
+    { maxResults: 0 },
+    { maxResults: -1 },
+    { maxResults: "x" },
+  ]) {
+    await assert.rejects(search(limits), { invalidInput: true });
+  }
+  assert.equal(calls.length, 0);
+});
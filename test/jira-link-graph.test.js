@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { findCycles } from "../src/jira-link-graph.js";
+
+const edges = (...pairs) =>
+  pairs.map((pair) => {
+    const [from, to] = pair.split(">");
+    return { from, to };
+  });
+
+test("an acyclic graph has no cycles", () => {
+  assert.deepEqual(findCycles(edges("A>B", "B>C", "A>C")), []);
+});
+
+test("a cycle is listed from its first issue back to it", () => {
+  assert.deepEqual(findCycles(edges("A>B", "B>C", "C>A", "C>D")), [
+    ["A", "B", "C", "A"],
+  ]);
+});
+
+test("cycles are found wherever the walk enters them", () => {
+  assert.deepEqual(findCycles(edges("X>A", "A>B", "B>A", "Y>Y")), [
+    ["A", "B", "A"],
+    ["Y", "Y"],
+  ]);
+});
+
+test("each back edge yields one cycle, up to the limit", () => {
+  const graph = edges("A>B", "B>A", "B>C", "C>A", "C>B");
+  assert.deepEqual(findCycles(graph), [
+    ["A", "B", "A"],
+    ["A", "B", "C", "A"],
+    ["B", "C", "B"],
+  ]);
+  assert.equal(findCycles(graph, 2).length, 2);
+});
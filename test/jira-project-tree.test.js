@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { rollUp } from "../src/utils/jira-project-tree.js";
+
+const node = (props, children = []) => ({
+  storyPoints: null,
+  done: false,
+  originalEstimateSeconds: null,
+  remainingEstimateSeconds: null,
+  ...props,
+  children,
+});
+
+test("pointed children replace the parent's own estimate", () => {
+  const epic = node({ storyPoints: 13 }, [
+    node({ storyPoints: 3, done: true }),
+    node({ storyPoints: 2 }),
+  ]);
+  const rollup = rollUp(epic);
+
+  assert.deepEqual(rollup.points, { done: 3, total: 5 });
+  assert.deepEqual(rollup.issues, { done: 1, total: 2 });
+  assert.equal(rollup.progress, 0.6);
+  assert.deepEqual(epic.children[0].rollup.points, { done: 3, total: 3 });
+});
+
+test("a parent keeps its own points when no child is pointed", () => {
+  const rollup = rollUp(
+    node({ storyPoints: 8, done: true }, [node({}), node({})])
+  );
+  assert.deepEqual(rollup.points, { done: 8, total: 8 });
+  assert.equal(rollup.progress, 1);
+});
+
+test("time adds the parent's own estimate to every descendant's", () => {
+  const rollup = rollUp(
+    node({ originalEstimateSeconds: 3600, remainingEstimateSeconds: 1800 }, [
+      node({ originalEstimateSeconds: 7200, done: true }, [
+        node({ originalEstimateSeconds: 600, remainingEstimateSeconds: 600 }),
+      ]),
+      node({ originalEstimateSeconds: 900, remainingEstimateSeconds: 300 }),
+    ])
+  );
+  assert.deepEqual(rollup.timeSeconds, {
+    done: 7200,
+    total: 12300,
+    remaining: 2700,
+  });
+  assert.deepEqual(rollup.issues, { done: 1, total: 3 });
+});
+
+test("progress falls back to issue counts, null for a bare leaf", () => {
+  assert.equal(
+    rollUp(node({}, [node({ done: true }), node({}), node({})])).progress,
+    0.333
+  );
+  assert.equal(rollUp(node({})).progress, null);
+});
+
+test("point totals are rounded to two decimals", () => {
+  const rollup = rollUp(
+    node({}, [node({ storyPoints: 0.1 }), node({ storyPoints: 0.2 })])
+  );
+  assert.deepEqual(rollup.points, { done: 0, total: 0.3 });
+});
@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import axios from "axios";
+
+import { DEFAULT_SEARCH_FIELDS, searchJiraIssues } from "../src/jira-search.js";
+
+const baseUrl = "https://example.atlassian.net/";
+const auth = { email: "dev@example.com", apiToken: "token" };
+
+const issue = (n) => ({
+  id: String(10000 + n),
+  key: `WEB-${n}`,
+  fields: {
+    summary: `Issue ${n}`,
+    status: { name: "To Do", statusCategory: { name: "To Do" } },
+    components: [{ name: "API" }],
+    customfield_10016: 3,
+  },
+});
+
+// Enhanced search over `total` issues; the cursor is the next index
+const fakeSearch = (t, total) => {
+  const calls = [];
+  t.mock.method(axios, "post", async (url, body) => {
+    calls.push({ url, body });
+    const start = Number(body.nextPageToken || 0);
+    const end = Math.min(start + body.maxResults, total);
+    const issues = [];
+    for (let n = start; n < end; n++) issues.push(issue(n + 1));
+    return {
+      data: {
+        issues,
+        ...(end < total ? { nextPageToken: String(end) } : {}),
+      },
+    };
+  });
+  return calls;
+};
+
+test("follows nextPageToken and asks only for what is still needed", async (t) => {
+  const calls = fakeSearch(t, 500);
+  const result = await searchJiraIssues({
+    baseUrl,
+    auth,
+    jql: "project = WEB",
+    maxResults: 25,
+    pageSize: 10,
+  });
+
+  assert.equal(
+    calls[0].url,
+    "https://example.atlassian.net/rest/api/3/search/jql"
+  );
+  assert.deepEqual(
+    calls.map((c) => c.body.maxResults),
+    [10, 10, 5]
+  );
+  assert.deepEqual(
+    calls.map((c) => c.body.nextPageToken),
+    [undefined, "10", "20"]
+  );
+  assert.equal(result.count, 25);
+  assert.equal(result.issues[24].key, "WEB-25");
+  assert.equal(result.nextPageToken, "25");
+  assert.equal(result.isLast, false);
+});
+
+test("resumes from a caller token and stops when Jira runs out", async (t) => {
+  const calls = fakeSearch(t, 30);
+  const result = await searchJiraIssues({
+    baseUrl,
+    auth,
+    jql: "project = WEB",
+    maxResults: 50,
+    nextPageToken: "25",
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].body.nextPageToken, "25");
+  assert.deepEqual(
+    result.issues.map((i) => i.key),
+    ["WEB-26", "WEB-27", "WEB-28", "WEB-29", "WEB-30"]
+  );
+  assert.equal(result.nextPageToken, null);
+  assert.equal(result.isLast, true);
+});
+
+test("requests the default fields and normalizes hits", async (t) => {
+  const calls = fakeSearch(t, 1);
+  const result = await searchJiraIssues({ baseUrl, auth, jql: "key = WEB-1" });
+
+  assert.deepEqual(calls[0].body.fields, DEFAULT_SEARCH_FIELDS);
+  assert.deepEqual(result.fields, DEFAULT_SEARCH_FIELDS);
+  const [hit] = result.issues;
+  assert.equal(hit.key, "WEB-1");
+  assert.equal(hit.status, "To Do");
+  assert.equal(hit.statusCategory, "To Do");
+  assert.deepEqual(hit.components, ["API"]);
+  assert.equal(hit.assignee, null);
+  assert.deepEqual(hit.fields, { customfield_10016: 3 });
+});
+
+test("passes caller fields and expand through", async (t) => {
+  const calls = fakeSearch(t, 1);
+  await searchJiraIssues({
+    baseUrl,
+    auth,
+    jql: "key = WEB-1",
+    fields: ["summary", "customfield_10016"],
+    expand: ["names", "changelog"],
+  });
+
+  assert.deepEqual(calls[0].body.fields, ["summary", "customfield_10016"]);
+  assert.equal(calls[0].body.expand, "names,changelog");
+});
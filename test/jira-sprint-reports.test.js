@@ -0,0 +1,157 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { sprintScope, valueAt } from "../src/jira-sprint-reports.js";
+
+const at = (iso) => Date.parse(`2026-03-${iso}Z`);
+
+// Sprint field changelog entry; from/to hold comma-separated sprint ids
+const sprintChange = (day, from, to) => ({
+  created: `2026-03-${day}Z`,
+  from,
+  to,
+});
+const sprintIds = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// Sprint membership replayed from the changelog, as buildTimeline does it
+const timeline = (createdDay, events, currentSprints) => {
+  const created = at(createdDay);
+  return {
+    created,
+    sprintChangeTimes: events.map((ev) => Date.parse(ev.created)),
+    sprintsAt: (t) =>
+      t < created
+        ? []
+        : valueAt(events, t, currentSprints, (ev, side) => sprintIds(ev[side])),
+  };
+};
+
+const start = at("02T09:00:00");
+const end = at("16T09:00:00");
+const scope = (tl) => {
+  const result = sprintScope(tl, 12, start, end);
+  if (!result) return result;
+  const { committed, addedAt, removedAt, atEnd } = result;
+  return { committed, addedAt, removedAt, atEnd };
+};
+
+describe("valueAt", () => {
+  const events = [
+    { created: "2026-03-05T10:00:00Z", from: "1", to: "2" },
+    { created: "2026-03-08T10:00:00Z", from: "2", to: "3" },
+  ];
+  const read = (ev, side) => ev[side];
+
+  test("a field that never changed keeps its current value", () => {
+    assert.equal(valueAt([], at("01T00:00:00"), "7", read), "7");
+  });
+
+  test("before the first change the field held its old value", () => {
+    assert.equal(valueAt(events, at("04T00:00:00"), "3", read), "1");
+  });
+
+  test("the last change at or before t wins", () => {
+    assert.equal(valueAt(events, at("05T10:00:00"), "3", read), "2");
+    assert.equal(valueAt(events, at("07T00:00:00"), "3", read), "2");
+    assert.equal(valueAt(events, at("20T00:00:00"), "3", read), "3");
+  });
+});
+
+describe("sprintScope", () => {
+  test("an issue in the sprint from before the start is committed", () => {
+    const tl = timeline(
+      "01T00:00:00",
+      [sprintChange("01T12:00:00", "", "12")],
+      ["12"]
+    );
+    assert.deepEqual(scope(tl), {
+      committed: true,
+      addedAt: null,
+      removedAt: null,
+      atEnd: true,
+    });
+  });
+
+  test("joining after the start counts as added", () => {
+    const tl = timeline(
+      "01T00:00:00",
+      [sprintChange("05T10:00:00", "", "12")],
+      ["12"]
+    );
+    assert.deepEqual(scope(tl), {
+      committed: false,
+      addedAt: at("05T10:00:00"),
+      removedAt: null,
+      atEnd: true,
+    });
+  });
+
+  test("an issue created inside the sprint is added at creation", () => {
+    const tl = timeline("06T08:00:00", [], ["12"]);
+    assert.equal(scope(tl).addedAt, at("06T08:00:00"));
+  });
+
+  test("leaving before the end counts as removed", () => {
+    const tl = timeline(
+      "01T00:00:00",
+      [
+        sprintChange("01T12:00:00", "", "12"),
+        sprintChange("09T15:00:00", "12", "13"),
+      ],
+      ["13"]
+    );
+    assert.deepEqual(scope(tl), {
+      committed: true,
+      addedAt: null,
+      removedAt: at("09T15:00:00"),
+      atEnd: false,
+    });
+  });
+
+  test("an issue carried over keeps the sprint among several", () => {
+    const tl = timeline(
+      "01T00:00:00",
+      [sprintChange("10T00:00:00", "11, 12", "11, 12, 14")],
+      ["11", "12", "14"]
+    );
+    assert.equal(scope(tl).committed, true);
+    assert.equal(scope(tl).atEnd, true);
+  });
+
+  test("changes outside the window are ignored", () => {
+    const tl = timeline(
+      "01T00:00:00",
+      [sprintChange("20T00:00:00", "", "12")],
+      ["12"]
+    );
+    assert.equal(scope(tl), null);
+  });
+
+  test("changes lists every join and leave inside the window", () => {
+    const tl = timeline(
+      "01T00:00:00",
+      [
+        sprintChange("04T10:00:00", "", "12"),
+        sprintChange("07T10:00:00", "12", ""),
+        sprintChange("11T10:00:00", "", "12"),
+      ],
+      ["12"]
+    );
+    const result = sprintScope(tl, 12, start, end);
+    assert.equal(result.addedAt, at("04T10:00:00"));
+    assert.equal(result.removedAt, null);
+    assert.deepEqual(result.changes, [
+      { at: at("04T10:00:00"), type: "added" },
+      { at: at("07T10:00:00"), type: "removed" },
+      { at: at("11T10:00:00"), type: "added" },
+    ]);
+  });
+
+  test("an issue that never belonged is null", () => {
+    assert.equal(scope(timeline("01T00:00:00", [], ["13"])), null);
+  });
+});
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test } from "node:test";
+
+import {
+  allowedProjects,
+  issueKeyValue,
+  jqlAnd,
+  jqlCondition,
+  jqlIdentifier,
+  jqlIn,
+  jqlString,
+  jqlValue,
+  keyIn,
+  projectClause,
+  scopeJql,
+} from "../src/utils/jql.js";
+
+const withAllowlist = (value) => {
+  process.env.MCP_JQL_PROJECTS = value;
+};
+
+afterEach(() => {
+  delete process.env.MCP_JQL_PROJECTS;
+});
+
+describe("escaping", () => {
+  test("jqlString quotes and escapes", () => {
+    assert.equal(jqlString('say "hi" \\ now'), '"say \\"hi\\" \\\\ now"');
+    assert.equal(jqlString("a\nb\tc"), '"a\\nb\\tc"');
+  });
+
+  test("jqlValue keeps integers bare and quotes the rest", () => {
+    assert.equal(jqlValue(42), "42");
+    assert.equal(jqlValue("42"), "42");
+    assert.equal(jqlValue("4 OR 1=1"), '"4 OR 1=1"');
+    assert.equal(jqlValue(1.5), '"1.5"');
+  });
+
+  test("jqlIdentifier maps custom fields and quotes odd names", () => {
+    assert.equal(jqlIdentifier("customfield_10014"), "cf[10014]");
+    assert.equal(jqlIdentifier("status"), "status");
+    assert.equal(jqlIdentifier("Story Points"), '"Story Points"');
+    assert.throws(() => jqlIdentifier(" "), { invalidInput: true });
+  });
+
+  test("issueKeyValue only accepts issue keys", () => {
+    assert.equal(issueKeyValue(" WEB-1 "), '"WEB-1"');
+    assert.equal(issueKeyValue("AB2-1"), '"AB2-1"');
+    assert.throws(() => issueKeyValue('WEB-1" OR key = "X-1'), {
+      invalidInput: true,
+    });
+    assert.throws(() => issueKeyValue(12), { invalidInput: true });
+  });
+});
+
+describe("clauses", () => {
+  test("keyIn and jqlIn build quoted lists", () => {
+    assert.equal(keyIn(["A-1", "B-2"]), 'key in ("A-1", "B-2")');
+    assert.equal(jqlIn("sprint", [1, 2]), "sprint in (1, 2)");
+    assert.throws(() => keyIn([]), { invalidInput: true });
+  });
+
+  test("jqlAnd parenthesises each clause and drops empty ones", () => {
+    assert.equal(
+      jqlAnd("a = 1 OR b = 2", null, "c = 3"),
+      "(a = 1 OR b = 2) AND (c = 3)"
+    );
+  });
+
+  test("jqlCondition rejects ORDER BY and unbalanced input", () => {
+    assert.equal(jqlCondition(" status = Done "), "status = Done");
+    assert.equal(
+      jqlCondition('summary ~ "order by (x"'),
+      'summary ~ "order by (x"'
+    );
+    assert.throws(() => jqlCondition("status = Done ORDER BY rank"), {
+      invalidInput: true,
+    });
+    assert.throws(() => jqlCondition("a = 1) OR (b = 2"), {
+      invalidInput: true,
+    });
+    assert.throws(() => jqlCondition('summary ~ "open'), {
+      invalidInput: true,
+    });
+  });
+});
+
+describe("project allowlist", () => {
+  test("allowedProjects parses the env list", () => {
+    assert.equal(allowedProjects({}), null);
+    assert.deepEqual(allowedProjects({ MCP_JQL_PROJECTS: " web, ops ,," }), [
+      "WEB",
+      "OPS",
+    ]);
+  });
+
+  test("projectClause accepts keys and ids without an allowlist", () => {
+    assert.equal(projectClause("WEB"), 'project = "WEB"');
+    assert.equal(projectClause("10001"), "project = 10001");
+    assert.throws(() => projectClause(""), { invalidInput: true });
+  });
+
+  test("projectClause enforces the allowlist", () => {
+    withAllowlist("WEB");
+    assert.equal(projectClause("web"), 'project = "web"');
+    assert.throws(() => projectClause("OPS"), { invalidInput: true });
+    assert.throws(() => projectClause("10001"), { invalidInput: true });
+    assert.throws(() => projectClause('WEB" OR project = "OPS'), {
+      invalidInput: true,
+    });
+  });
+
+  test("scopeJql leaves JQL alone without an allowlist", () => {
+    assert.equal(scopeJql("status = Done"), "status = Done");
+  });
+
+  test("scopeJql ANDs the allowlist and keeps ORDER BY last", () => {
+    withAllowlist("WEB,OPS");
+    assert.equal(
+      scopeJql("a = 1 OR b = 2 ORDER BY created DESC"),
+      '(project in ("WEB", "OPS")) AND (a = 1 OR b = 2) ORDER BY created DESC'
+    );
+    assert.throws(() => scopeJql("a = 1) OR (b = 2"), { invalidInput: true });
+  });
+});
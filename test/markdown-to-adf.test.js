@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { markdownToAdf } from "../src/utils/markdown-to-adf.js";
+
+const text = (value, marks) => ({
+  type: "text",
+  text: value,
+  ...(marks ? { marks } : {}),
+});
+const para = (...content) => ({ type: "paragraph", content });
+const blocks = (markdown) => markdownToAdf(markdown).content;
+
+test("empty input is an empty document", () => {
+  assert.deepEqual(markdownToAdf(undefined), {
+    version: 1,
+    type: "doc",
+    content: [],
+  });
+});
+
+test("headings and inline marks", () => {
+  assert.deepEqual(
+    blocks("# Title\r\n\r\nHello **bold** and `code` [x](https://a.b)"),
+    [
+      { type: "heading", attrs: { level: 1 }, content: [text("Title")] },
+      para(
+        text("Hello "),
+        text("bold", [{ type: "strong" }]),
+        text(" and "),
+        text("code", [{ type: "code" }]),
+        text(" "),
+        text("x", [{ type: "link", attrs: { href: "https://a.b" } }])
+      ),
+    ]
+  );
+});
+
+test("nested lists", () => {
+  const item = (...content) => ({ type: "listItem", content });
+  assert.deepEqual(blocks("- a\n- b\n  1. c"), [
+    {
+      type: "bulletList",
+      content: [
+        item(para(text("a"))),
+        item(para(text("b")), {
+          type: "orderedList",
+          content: [item(para(text("c")))],
+        }),
+      ],
+    },
+  ]);
+});
+
+test("fenced code keeps its language and raw text", () => {
+  assert.deepEqual(blocks("```js\nlet **x**\n```"), [
+    {
+      type: "codeBlock",
+      attrs: { language: "js" },
+      content: [text("let **x**")],
+    },
+  ]);
+});
+
+test("tables use header cells for the first row", () => {
+  const [table] = blocks("| a | b |\n|---|---|\n| 1 | 2 |");
+  assert.equal(table.type, "table");
+  assert.deepEqual(
+    table.content.map((row) => row.content.map((cell) => cell.type)),
+    [
+      ["tableHeader", "tableHeader"],
+      ["tableCell", "tableCell"],
+    ]
+  );
+  assert.deepEqual(table.content[1].content[1].content, [para(text("2"))]);
+});
+
+test("blockquotes and rules", () => {
+  assert.deepEqual(blocks("> quote\n\n---"), [
+    { type: "blockquote", content: [para(text("quote"))] },
+    { type: "rule" },
+  ]);
+});
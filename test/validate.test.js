@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { validateAgainstSchema } from "../src/schemas/validate.js";
+
+const schema = {
+  type: "object",
+  required: ["id", "tags"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "integer" },
+    score: { type: ["number", "null"] },
+    state: { enum: ["open", "done"] },
+    tags: { type: "array", items: { type: "string" } },
+    owner: { anyOf: [{ type: "null" }, { type: "string" }] },
+  },
+};
+
+test("a matching value has no errors", () => {
+  assert.deepEqual(
+    validateAgainstSchema(
+      { id: 1, score: 2.5, state: "open", tags: ["a"], owner: null },
+      schema
+    ),
+    []
+  );
+});
+
+test("integers satisfy number but not the other way round", () => {
+  assert.deepEqual(validateAgainstSchema(3, { type: "number" }), []);
+  assert.deepEqual(validateAgainstSchema(3.5, { type: "integer" }), [
+    "$: expected integer, got number",
+  ]);
+});
+
+test("reports each problem with its path", () => {
+  assert.deepEqual(
+    validateAgainstSchema(
+      { score: "high", state: "new", tags: ["a", 2], owner: 5, extra: true },
+      schema
+    ),
+    [
+      "$.id: is required",
+      "$.score: expected number|null, got string",
+      '$.state: "new" is not one of the enum',
+      "$.tags[1]: expected string, got integer",
+      "$.owner: does not match any allowed schema",
+      "$.extra: is not declared in the schema",
+    ]
+  );
+});
+
+test("undefined keys count as absent", () => {
+  assert.deepEqual(
+    validateAgainstSchema({ id: 1, tags: [], extra: undefined }, schema),
+    []
+  );
+  assert.deepEqual(validateAgainstSchema({ id: undefined, tags: [] }, schema), [
+    "$.id: is required",
+  ]);
+});
+
+test("additionalProperties schemas validate extra keys", () => {
+  const map = { type: "object", additionalProperties: { type: "string" } };
+  assert.deepEqual(validateAgainstSchema({ a: "x", b: 1 }, map), [
+    "$.b: expected string, got integer",
+  ]);
+});
@@ -0,0 +1,168 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+import { WriteGuard } from "../src/write-guard.js";
+
+const issue = { projectKey: "WEB", summary: "New", issueType: "Task" };
+
+describe("classification", () => {
+  test("read tools pass through untouched", () => {
+    const guard = new WriteGuard({ MCP_READ_ONLY: "1" });
+    const args = { issueKey: "WEB-1" };
+    assert.deepEqual(guard.check("fetch_jira_ticket", args), {
+      write: false,
+      dryRun: false,
+      needsConfirmation: false,
+      args,
+    });
+    assert.equal(guard.isListed("fetch_jira_ticket"), true);
+  });
+
+  test("read-only mode hides and rejects write tools", () => {
+    const guard = new WriteGuard({ MCP_READ_ONLY: "true" });
+    assert.equal(guard.isListed("create_jira_issue"), false);
+    assert.throws(() => guard.check("create_jira_issue", issue), {
+      code: ErrorCode.InvalidRequest,
+    });
+  });
+});
+
+describe("project allowlist", () => {
+  const guard = new WriteGuard({ MCP_WRITE_PROJECTS: "web, ops" });
+
+  test("allows listed projects", () => {
+    assert.equal(guard.check("create_jira_issue", issue).dryRun, false);
+    assert.equal(
+      guard.check("transition_jira_issue", { issueKey: "ops-3" }).write,
+      true
+    );
+  });
+
+  test("rejects a call touching any other project", () => {
+    assert.throws(
+      () => guard.check("create_jira_issue", { ...issue, projectKey: "MOB" }),
+      { code: ErrorCode.InvalidRequest, message: /project MOB/ }
+    );
+    assert.throws(
+      () => guard.check("transition_jira_issue", { issueKey: "MOB-2" }),
+      { code: ErrorCode.InvalidRequest }
+    );
+  });
+
+  test("checks the parent and epic a new issue is attached under", () => {
+    assert.equal(
+      guard.check("create_jira_issue", {
+        ...issue,
+        parentKey: "OPS-4",
+        epicKey: "WEB-1",
+      }).write,
+      true
+    );
+    assert.throws(
+      () => guard.check("create_jira_issue", { ...issue, parentKey: "MOB-4" }),
+      { code: ErrorCode.InvalidRequest, message: /project MOB/ }
+    );
+    assert.throws(
+      () => guard.check("create_jira_issue", { ...issue, epicKey: "MOB-1" }),
+      { code: ErrorCode.InvalidRequest, message: /project MOB/ }
+    );
+  });
+
+  test("checks every issue and rank anchor of an Agile call", () => {
+    assert.throws(
+      () =>
+        guard.check("move_issues_to_sprint", {
+          issueKeys: ["WEB-1", "MOB-2"],
+        }),
+      { code: ErrorCode.InvalidRequest, message: /project MOB/ }
+    );
+    assert.throws(
+      () =>
+        guard.check("rank_issues", {
+          issueKeys: ["WEB-1"],
+          rankBeforeIssue: "MOB-9",
+        }),
+      { code: ErrorCode.InvalidRequest }
+    );
+  });
+});
+
+describe("confirmation tokens", () => {
+  test("the argument hash ignores guard arguments and key order", () => {
+    const guard = new WriteGuard({});
+    assert.equal(
+      guard.argsHash("create_jira_issue", {
+        summary: "New",
+        projectKey: "WEB",
+        dry_run: true,
+        confirm_token: "t",
+      }),
+      guard.argsHash("create_jira_issue", { projectKey: "WEB", summary: "New" })
+    );
+    assert.notEqual(
+      guard.argsHash("create_jira_issue", issue),
+      guard.argsHash("create_jira_issue", { ...issue, summary: "Other" })
+    );
+  });
+
+  test("first call previews, second call with the token writes once", () => {
+    const guard = new WriteGuard({ MCP_CONFIRM_WRITES: "1" });
+    const preview = guard.check("create_jira_issue", issue);
+    assert.equal(preview.dryRun, true);
+    assert.equal(preview.needsConfirmation, true);
+    assert.equal(preview.args.dry_run, true);
+    // Issued by the caller once the preview ran
+    assert.equal(guard.tokens.size, 0);
+    const { token } = guard.issueToken("create_jira_issue", preview.args);
+
+    const confirmed = guard.check("create_jira_issue", {
+      ...issue,
+      confirm_token: token,
+    });
+    assert.equal(confirmed.dryRun, false);
+    assert.throws(
+      () =>
+        guard.check("create_jira_issue", { ...issue, confirm_token: token }),
+      { code: ErrorCode.InvalidParams, message: /already used/ }
+    );
+  });
+
+  test("a token only confirms the arguments it was issued for", () => {
+    const guard = new WriteGuard({ MCP_CONFIRM_WRITES: "1" });
+    const { token } = guard.issueToken("create_jira_issue", issue);
+    assert.throws(
+      () =>
+        guard.check("create_jira_issue", {
+          ...issue,
+          summary: "Changed",
+          confirm_token: token,
+        }),
+      { code: ErrorCode.InvalidParams, message: /different arguments/ }
+    );
+  });
+
+  test("expired tokens are rejected", () => {
+    const guard = new WriteGuard({
+      MCP_CONFIRM_WRITES: "1",
+      MCP_CONFIRM_TTL_SECONDS: "1",
+    });
+    const { token } = guard.issueToken("create_jira_issue", issue);
+    guard.tokens.get(token).expiresAt = Date.now() - 1;
+    assert.throws(
+      () =>
+        guard.check("create_jira_issue", { ...issue, confirm_token: token }),
+      { code: ErrorCode.InvalidParams }
+    );
+  });
+
+  test("an explicit dry run needs no token", () => {
+    const guard = new WriteGuard({ MCP_CONFIRM_WRITES: "1" });
+    const result = guard.check("create_jira_issue", {
+      ...issue,
+      dry_run: true,
+    });
+    assert.equal(result.dryRun, true);
+    assert.equal(result.needsConfirmation, false);
+  });
+});